@@ -6,26 +6,33 @@ const express = require("express");
 const cors = require("cors");
 
 const { NotFoundError } = require("./expressError");
+const { parseTrustProxy } = require("./helpers/trustProxy");
 
-const { authenticateJWT } = require("./middleware/auth"); 
+const { authenticateJWT, logImpersonation } = require("./middleware/auth"); 
 const authRoutes = require("./routes/auth");
 const companiesRoutes = require("./routes/companies");
 const usersRoutes = require("./routes/users");
 const jobsRoutes = require("./routes/jobs");
+const rolesRoutes = require("./routes/roles");
+const searchRoutes = require("./routes/search");
 
 const morgan = require("morgan");
 
 const app = express();
 
+app.set("trust proxy", parseTrustProxy(process.env.TRUST_PROXY));
 app.use(cors());
 app.use(express.json());
 app.use(morgan("tiny"));
 app.use(authenticateJWT);
+app.use(logImpersonation);
 
 app.use("/auth", authRoutes);
 app.use("/companies", companiesRoutes);
 app.use("/users", usersRoutes);
 app.use("/jobs", jobsRoutes)
+app.use("/roles", rolesRoutes);
+app.use("/search", searchRoutes);
 
 
 /** Handle 404 errors -- this matches everything */
@@ -38,6 +45,7 @@ app.use(function (err, req, res, next) {
   if (process.env.NODE_ENV !== "test") console.error(err.stack);
   const status = err.status || 500;
   const message = err.message;
+  if (err.retryAfter !== undefined) res.set("Retry-After", String(err.retryAfter));
 
   return res.status(status).json({
     error: { message, status },
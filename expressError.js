@@ -44,10 +44,24 @@ class ForbiddenError extends ExpressError {
   }
 }
 
+/** 429 TOO MANY REQUESTS error.
+ *
+ * retryAfter is the number of seconds to wait; it's sent as the
+ * Retry-After header.
+ */
+
+class TooManyRequestsError extends ExpressError {
+  constructor(message = "Too Many Requests", retryAfter) {
+    super(message, 429);
+    this.retryAfter = retryAfter;
+  }
+}
+
 module.exports = {
   ExpressError,
   NotFoundError,
   UnauthorizedError,
   BadRequestError,
   ForbiddenError,
+  TooManyRequestsError,
 };
\ No newline at end of file
@@ -0,0 +1,55 @@
+"use strict";
+
+const fs = require("fs");
+
+/** Sending email.
+ *
+ * Messages go through a transport: an async function taking
+ * { to, subject, text, sentAt }. Built in are:
+ *   memory: keeps messages in `outbox`; the default under test
+ *   file: appends messages as JSON lines to MAIL_OUTBOX_FILE; the default
+ *         in development (or with NODE_ENV unset), so it needs no mail server
+ *
+ * Choose one with MAIL_TRANSPORT, or plug in a real one by adding it to
+ * transports. In production, MAIL_TRANSPORT has to be set, so mail isn't
+ * quietly written to a file instead of being sent.
+ */
+
+const MAIL_OUTBOX_FILE = process.env.MAIL_OUTBOX_FILE || "mail-outbox.log";
+
+const outbox = [];
+
+const transports = {
+  memory: async msg => {
+    outbox.push(msg);
+  },
+  file: async msg => {
+    await fs.promises.appendFile(MAIL_OUTBOX_FILE, JSON.stringify(msg) + "\n");
+  },
+};
+
+function defaultTransport() {
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("MAIL_TRANSPORT must be set in production");
+  }
+  return process.env.NODE_ENV === "test" ? "memory" : "file";
+}
+
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || defaultTransport();
+
+let transport = transports[MAIL_TRANSPORT];
+if (!transport) throw new Error(`Unknown MAIL_TRANSPORT: ${MAIL_TRANSPORT}`);
+
+/** Use `fn` to send all mail from now on. */
+
+function setTransport(fn) {
+  transport = fn;
+}
+
+/** Send an email; returns undefined. */
+
+async function sendMail({ to, subject, text }) {
+  await transport({ to, subject, text, sentAt: new Date().toISOString() });
+}
+
+module.exports = { sendMail, setTransport, outbox, transports };
@@ -0,0 +1,65 @@
+const { sendMail, setTransport, outbox, transports } = require("./mail");
+
+describe("sendMail", function () {
+  beforeEach(function () {
+    outbox.length = 0;
+  });
+
+  afterAll(function () {
+    setTransport(transports.memory);
+  });
+
+  test("works: memory outbox under test", async function () {
+    await sendMail({ to: "a@b.com", subject: "Hi", text: "Hello" });
+    expect(outbox).toEqual([
+      { to: "a@b.com", subject: "Hi", text: "Hello", sentAt: expect.any(String) },
+    ]);
+  });
+
+  test("works: pluggable transport", async function () {
+    const sent = [];
+    setTransport(async msg => sent.push(msg));
+    await sendMail({ to: "a@b.com", subject: "Hi", text: "Hello" });
+    expect(sent.length).toEqual(1);
+    expect(outbox).toEqual([]);
+  });
+});
+
+describe("MAIL_TRANSPORT", function () {
+  const env = process.env;
+
+  afterEach(function () {
+    process.env = env;
+  });
+
+  /** Load a fresh copy of the module with these environment variables. */
+
+  function loadWith(vars) {
+    process.env = { ...env, MAIL_TRANSPORT: "", ...vars };
+    let mail;
+    jest.isolateModules(() => {
+      mail = require("./mail");
+    });
+    return mail;
+  }
+
+  test("works: file by default in development", function () {
+    expect(() => loadWith({ NODE_ENV: "development" })).not.toThrow();
+  });
+
+  test("works: file by default with NODE_ENV unset", function () {
+    expect(() => loadWith({ NODE_ENV: "" })).not.toThrow();
+  });
+
+  test("works: set in production", function () {
+    expect(() => loadWith({ NODE_ENV: "production", MAIL_TRANSPORT: "file" })).not.toThrow();
+  });
+
+  test("throws if not set in production", function () {
+    expect(() => loadWith({ NODE_ENV: "production" })).toThrow("MAIL_TRANSPORT must be set");
+  });
+
+  test("throws on an unknown transport", function () {
+    expect(() => loadWith({ MAIL_TRANSPORT: "carrier-pigeon" })).toThrow("Unknown MAIL_TRANSPORT");
+  });
+});
@@ -0,0 +1,63 @@
+const { BadRequestError } = require("../expressError");
+
+/** Page size for list endpoints, unless asked for otherwise. */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/** Helper for paging through list results.
+ *
+ * page and limit usually come straight from the query string, so they can
+ * be strings; both default when missing. page starts at 1.
+ *
+ * Returns { page, limit, offset } as numbers, ready for a LIMIT/OFFSET
+ * clause.
+ *
+ * Throws BadRequestError if page isn't a positive integer or limit isn't
+ * between 1 and MAX_LIMIT.
+ */
+
+function parsePagination({ page = 1, limit = DEFAULT_LIMIT } = {}) {
+  page = Number(page);
+  limit = Number(limit);
+
+  if (!Number.isInteger(page) || page < 1) {
+    throw new BadRequestError("page must be a positive integer");
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new BadRequestError(`limit must be an integer from 1 to ${MAX_LIMIT}`);
+  }
+
+  return { page, limit, offset: (page - 1) * limit };
+}
+
+/** Build next/prev links for a page of results.
+ *
+ * Links point back at the requested path, keeping the rest of the query
+ * string (filters, sort) and swapping in the new page.
+ *
+ * Returns { next, prev } where each is a relative URL, or null if there is
+ * no such page.
+ */
+
+function pageLinks(req, { page, limit, total }) {
+  const path = req.originalUrl.split("?")[0];
+
+  function linkTo(newPage) {
+    const params = new URLSearchParams();
+    for (let [key, val] of Object.entries(req.query)) {
+      if (key === "page" || key === "limit") continue;
+      for (let v of [].concat(val)) params.append(key, v);
+    }
+    params.set("page", newPage);
+    params.set("limit", limit);
+    return `${path}?${params}`;
+  }
+
+  return {
+    next: page * limit < total ? linkTo(page + 1) : null,
+    prev: page > 1 ? linkTo(page - 1) : null,
+  };
+}
+
+module.exports = { parsePagination, pageLinks, DEFAULT_LIMIT, MAX_LIMIT };
@@ -0,0 +1,42 @@
+const { BadRequestError } = require("../expressError");
+const { parsePagination, pageLinks } = require("./pagination");
+
+describe("parsePagination", function () {
+  test("works: defaults", function () {
+    expect(parsePagination()).toEqual({ page: 1, limit: 20, offset: 0 });
+  });
+
+  test("works: query string values", function () {
+    expect(parsePagination({ page: "3", limit: "10" }))
+        .toEqual({ page: 3, limit: 10, offset: 20 });
+  });
+
+  test("BadRequestError on bad page or limit", function () {
+    expect(() => parsePagination({ page: "0" })).toThrow(BadRequestError);
+    expect(() => parsePagination({ page: "two" })).toThrow(BadRequestError);
+    expect(() => parsePagination({ limit: "101" })).toThrow(BadRequestError);
+    expect(() => parsePagination({ limit: "1.5" })).toThrow(BadRequestError);
+  });
+});
+
+describe("pageLinks", function () {
+  const req = {
+    originalUrl: "/jobs?technology=sql&technology=react&page=2",
+    query: { technology: ["sql", "react"], page: "2" },
+  };
+
+  test("works: middle page", function () {
+    expect(pageLinks(req, { page: 2, limit: 10, total: 35 })).toEqual({
+      next: "/jobs?technology=sql&technology=react&page=3&limit=10",
+      prev: "/jobs?technology=sql&technology=react&page=1&limit=10",
+    });
+  });
+
+  test("works: last page", function () {
+    expect(pageLinks(req, { page: 2, limit: 10, total: 20 }).next).toEqual(null);
+  });
+
+  test("works: first page", function () {
+    expect(pageLinks(req, { page: 1, limit: 10, total: 20 }).prev).toEqual(null);
+  });
+});
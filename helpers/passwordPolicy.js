@@ -0,0 +1,33 @@
+const { BadRequestError } = require("../expressError");
+
+/** Rules a new password has to follow; each is [test, message]. bcrypt
+ * ignores anything past 72 bytes, so longer passwords aren't allowed.
+ */
+
+const PASSWORD_RULES = [
+  [pwd => pwd.length >= 8, "password must be at least 8 characters"],
+  [pwd => Buffer.byteLength(pwd) <= 72, "password must be at most 72 bytes"],
+  [pwd => /[A-Za-z]/.test(pwd), "password must contain a letter"],
+  [pwd => /[0-9]/.test(pwd), "password must contain a number"],
+];
+
+/** Check a new password against the policy; returns undefined.
+ *
+ * username, if given, can't be part of the password.
+ *
+ * Throws BadRequestError listing every rule the password breaks.
+ */
+
+function checkPasswordPolicy(password, { username } = {}) {
+  const errs = PASSWORD_RULES
+      .filter(([test]) => !test(password))
+      .map(([, message]) => message);
+
+  if (username && password.toLowerCase().includes(username.toLowerCase())) {
+    errs.push("password can't contain the username");
+  }
+
+  if (errs.length) throw new BadRequestError(errs);
+}
+
+module.exports = { checkPasswordPolicy };
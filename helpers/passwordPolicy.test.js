@@ -0,0 +1,32 @@
+const { BadRequestError } = require("../expressError");
+const { checkPasswordPolicy } = require("./passwordPolicy");
+
+describe("checkPasswordPolicy", function () {
+  test("works", function () {
+    expect(checkPasswordPolicy("correct-horse-9")).toBeUndefined();
+  });
+
+  test("BadRequestError listing every broken rule", function () {
+    try {
+      checkPasswordPolicy("abc");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+      expect(err.message).toEqual([
+        "password must be at least 8 characters",
+        "password must contain a number",
+      ]);
+    }
+  });
+
+  test("BadRequestError if too long", function () {
+    expect(() => checkPasswordPolicy("a1".repeat(40))).toThrow(BadRequestError);
+  });
+
+  test("BadRequestError if it contains the username", function () {
+    expect(() => checkPasswordPolicy("myU1password9", { username: "u1" }))
+        .toThrow(BadRequestError);
+    expect(checkPasswordPolicy("myU1password9", { username: "u2" }))
+        .toBeUndefined();
+  });
+});
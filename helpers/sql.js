@@ -34,6 +34,149 @@ function sqlForPartialUpdate(dataToUpdate, jsToSql) {
   };
 }
 
-// function sqlForFilter()
+/** Helper for building an ORDER BY clause from a sort parameter.
+ *
+ * sort is a comma-separated list of js field names, each optionally
+ * prefixed with "-" for descending order (ie. `name,-numEmployees`).
+ *
+ * sortableCols is an object where keys are the js field names that may be
+ * sorted on and values are the matching sql columns. Anything else is
+ * rejected, so sort can never inject sql.
+ *
+ * Returns a string (ie. `"name" ASC, "num_employees" DESC`)
+ *
+ * Throws BadRequestError on an unknown field, or if sort isn't a string
+ * (ie. repeated in the query string).
+ */
+function sqlForSort(sort, sortableCols) {
+  if (typeof sort !== "string") throw new BadRequestError("sort must be given once");
+  const fields = sort.split(",").map(f => f.trim()).filter(f => f.length);
+  if (fields.length === 0) throw new BadRequestError("No sort fields");
+
+  return fields.map(field => {
+    const desc = field.startsWith("-");
+    const name = desc ? field.slice(1) : field;
+    if (!Object.prototype.hasOwnProperty.call(sortableCols, name)) {
+      throw new BadRequestError(`Invalid sort field: ${name}`);
+    }
+    return `"${sortableCols[name]}" ${desc ? "DESC" : "ASC"}`;
+  }).join(", ");
+}
+
+/** Converters from query string values to the type a filter expects.
+ *
+ * Each returns the converted value, or undefined if it can't be converted.
+ */
+
+const FILTER_TYPES = {
+  string: v => String(v),
+  integer: v => (v !== "" && Number.isInteger(Number(v))) ? Number(v) : undefined,
+  number: v => (v !== "" && !Number.isNaN(Number(v))) ? Number(v) : undefined,
+  boolean: v => {
+    if (v === true || v === "true") return true;
+    if (v === false || v === "false") return false;
+    return undefined;
+  },
+};
+
+/** Operators a filter can use. Each is called with the sql column, the
+ * (already converted) value and `param`, which adds a value to the query's
+ * values and returns its placeholder (ie. `$3`).
+ *
+ * "in" and "between" take a list of values; see sqlForFilter.
+ */
+
+const FILTER_OPERATORS = {
+  eq: (col, val, param) => `${col} = ${param(val)}`,
+  ilike: (col, val, param) => `${col} ILIKE ${param(`%${val}%`)}`,
+  gt: (col, val, param) => `${col} > ${param(val)}`,
+  gte: (col, val, param) => `${col} >= ${param(val)}`,
+  lt: (col, val, param) => `${col} < ${param(val)}`,
+  lte: (col, val, param) => `${col} <= ${param(val)}`,
+  in: (col, vals, param) => `${col} = ANY(${param(vals)})`,
+  between: (col, [low, high], param) => `${col} BETWEEN ${param(low)} AND ${param(high)}`,
+};
+
+const LIST_OPERATORS = ["in", "between"];
+
+/** Helper for building a WHERE clause from filters, ie. a query string.
+ *
+ * filters is an object of filter names and values (ie. req.query).
+ *
+ * filterSpec declares which filters a model allows. Keys are filter names
+ * and values describe how each one becomes sql:
+ *   { column, op, type }
+ *     column: the sql column to filter on
+ *     op: a name from FILTER_OPERATORS (default "eq"), or a function with
+ *         the same signature for filters that need custom sql
+ *     type: a name from FILTER_TYPES (default "string"); values are
+ *           converted before they reach the query
+ *     list: true if a custom op takes a list of values
+ *   { type: "boolean", whenTrue }
+ *     a flag filter; whenTrue is sql applied when the value is true, and
+ *     nothing is filtered when it's false
+ *
+ * List values can be an array (ie. ?tag=a&tag=b) or a comma-separated
+ * string (ie. ?tag=a,b); "between" needs exactly two.
+ *
+ * startIdx is the number of the first placeholder, for queries that have
+ * other values before the filters.
+ *
+ * Returns {whereClause, values} where whereClause is a string
+ * (ie. `WHERE (name ILIKE $1) AND (num_employees > $2)`, or "" with no
+ * filters) and values is an array (ie. ['%net%', 100])
+ *
+ * Throws BadRequestError on a filter not in filterSpec or a value that
+ * can't be converted.
+ */
+function sqlForFilter(filters, filterSpec, startIdx = 1) {
+  const values = [];
+  const param = val => {
+    values.push(val);
+    return `$${startIdx + values.length - 1}`;
+  };
+  const whereArr = [];
+
+  for (let [key, raw] of Object.entries(filters)) {
+    if (!Object.prototype.hasOwnProperty.call(filterSpec, key)) {
+      throw new BadRequestError(`Invalid filter parameter: ${key}`);
+    }
+    const { column, op = "eq", type = "string", list = false, whenTrue } = filterSpec[key];
+
+    const convert = v => {
+      const converted = FILTER_TYPES[type](v);
+      if (converted === undefined) throw new BadRequestError(`Invalid value for ${key}: ${v}`);
+      return converted;
+    };
+
+    if (whenTrue !== undefined) {
+      if (convert(raw) === true) whereArr.push(`(${whenTrue})`);
+      continue;
+    }
+
+    const opFn = (typeof op === "function") ? op : FILTER_OPERATORS[op];
+    let val;
+    if (list || LIST_OPERATORS.includes(op)) {
+      val = [].concat(raw)
+          .flatMap(v => String(v).split(","))
+          .map(v => v.trim())
+          .filter(v => v.length)
+          .map(convert);
+      if (op === "between" && val.length !== 2) {
+        throw new BadRequestError(`${key} needs two values, ie. ${key}=1,10`);
+      }
+    } else {
+      if (Array.isArray(raw)) throw new BadRequestError(`${key} takes a single value`);
+      val = convert(raw);
+    }
+
+    whereArr.push(`(${opFn(column, val, param)})`);
+  }
+
+  return {
+    whereClause: whereArr.length ? `WHERE ${whereArr.join(" AND ")}` : "",
+    values,
+  };
+}
 
-module.exports = { sqlForPartialUpdate };
+module.exports = { sqlForPartialUpdate, sqlForSort, sqlForFilter };
@@ -1,5 +1,5 @@
 const { BadRequestError } = require("../expressError");
-const { sqlForPartialUpdate } = require("./sql");
+const { sqlForPartialUpdate, sqlForSort, sqlForFilter } = require("./sql");
 
 describe("sqlForPartialUpdate", function() {
     test("Formats data for partial updates", function() {
@@ -25,4 +25,102 @@ describe("sqlForPartialUpdate", function() {
             expect(e instanceof BadRequestError).toBeTruthy();
         }
     })
-})
\ No newline at end of file
+})
+
+describe("sqlForSort", function() {
+    const sortableCols = { name: "name", numEmployees: "num_employees" };
+
+    test("Formats ascending and descending fields", function() {
+        const res = sqlForSort("name,-numEmployees", sortableCols);
+        expect(res).toEqual(`"name" ASC, "num_employees" DESC`);
+    })
+
+    test("BadRequestError on field that isn't sortable", function() {
+        expect(() => sqlForSort("description", sortableCols))
+            .toThrow(BadRequestError);
+        expect(() => sqlForSort("name; DROP TABLE users", sortableCols))
+            .toThrow(BadRequestError);
+    })
+
+    test("BadRequestError if passed no fields", function() {
+        expect(() => sqlForSort(",", sortableCols)).toThrow(BadRequestError);
+    })
+
+    test("BadRequestError if sort isn't a string", function() {
+        expect(() => sqlForSort(["name", "-numEmployees"], sortableCols))
+            .toThrow(BadRequestError);
+    })
+})
+
+describe("sqlForFilter", function() {
+    const filterSpec = {
+        name: { column: "name", op: "ilike" },
+        minEmployees: { column: "num_employees", op: "gt", type: "integer" },
+        handle: { column: "handle", op: "in" },
+        employees: { column: "num_employees", op: "between", type: "integer" },
+        hasLogo: { type: "boolean", whenTrue: "logo_url IS NOT NULL" },
+        tag: {
+            op: (col, tags, param) => `handle IN (SELECT handle FROM tags WHERE tag = ANY(${param(tags)}))`,
+            list: true
+        }
+    };
+
+    test("Formats filters with their operators", function() {
+        const res = sqlForFilter({ name: "net", minEmployees: "100" }, filterSpec);
+        expect(res).toEqual({
+            whereClause: "WHERE (name ILIKE $1) AND (num_employees > $2)",
+            values: ["%net%", 100]
+        });
+    })
+
+    test("Returns an empty clause with no filters", function() {
+        expect(sqlForFilter({}, filterSpec)).toEqual({ whereClause: "", values: [] });
+    })
+
+    test("Numbers placeholders from startIdx", function() {
+        const res = sqlForFilter({ name: "net" }, filterSpec, 3);
+        expect(res).toEqual({ whereClause: "WHERE (name ILIKE $3)", values: ["%net%"] });
+    })
+
+    test("Takes lists as arrays or comma-separated strings", function() {
+        const res = sqlForFilter({ handle: ["c1", "c2"], employees: "1, 10" }, filterSpec);
+        expect(res).toEqual({
+            whereClause: "WHERE (handle = ANY($1)) AND (num_employees BETWEEN $2 AND $3)",
+            values: [["c1", "c2"], 1, 10]
+        });
+    })
+
+    test("Applies boolean filters only when true", function() {
+        expect(sqlForFilter({ hasLogo: "true" }, filterSpec))
+            .toEqual({ whereClause: "WHERE (logo_url IS NOT NULL)", values: [] });
+        expect(sqlForFilter({ hasLogo: false }, filterSpec))
+            .toEqual({ whereClause: "", values: [] });
+    })
+
+    test("Works with custom operators", function() {
+        const res = sqlForFilter({ tag: "a,b" }, filterSpec);
+        expect(res).toEqual({
+            whereClause: "WHERE (handle IN (SELECT handle FROM tags WHERE tag = ANY($1)))",
+            values: [["a", "b"]]
+        });
+    })
+
+    test("BadRequestError on filter that isn't allowed", function() {
+        expect(() => sqlForFilter({ description: "x" }, filterSpec))
+            .toThrow("Invalid filter parameter: description");
+    })
+
+    test("BadRequestError on value that can't be converted", function() {
+        expect(() => sqlForFilter({ minEmployees: "lots" }, filterSpec))
+            .toThrow("Invalid value for minEmployees: lots");
+        expect(() => sqlForFilter({ hasLogo: "maybe" }, filterSpec))
+            .toThrow(BadRequestError);
+    })
+
+    test("BadRequestError on wrong number of values", function() {
+        expect(() => sqlForFilter({ employees: "1" }, filterSpec))
+            .toThrow(BadRequestError);
+        expect(() => sqlForFilter({ name: ["a", "b"] }, filterSpec))
+            .toThrow(BadRequestError);
+    })
+})
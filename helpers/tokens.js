@@ -1,18 +1,64 @@
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
 const { SECRET_KEY } = require("../config");
 
-/** return signed JWT from user data. */
+/** How long an access token is valid for; anything jsonwebtoken's expiresIn
+ * accepts, ie. "15m" or 900 (seconds). Refresh tokens (see
+ * models/refreshToken.js) are used to get new ones.
+ */
 
-function createToken(user) {
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+
+/** How long a token for an admin impersonating a user is valid for; these
+ * can't be refreshed. */
+
+const IMPERSONATION_TOKEN_EXPIRES_IN = process.env.IMPERSONATION_TOKEN_EXPIRES_IN || "10m";
+
+/** return signed JWT from user data.
+ *
+ * Each token gets a unique jti so it can be revoked on its own, and carries
+ * the user's tokenVersion so all of them can be revoked at once (see
+ * models/session.js). roles are checked by requirePermission.
+ *
+ * impersonator, if given, is the admin acting as this user (see
+ * models/impersonation.js); their tokens expire sooner.
+ */
+
+function createToken(user, { impersonator } = {}) {
   console.assert(user.isAdmin !== undefined,
       "createToken passed user without isAdmin property");
 
   let payload = {
     username: user.username,
     isAdmin: user.isAdmin || false,
+    roles: user.roles || [],
+    ver: user.tokenVersion || 0,
+    jti: crypto.randomUUID(),
   };
+  if (impersonator) payload.impersonator = impersonator;
+
+  const expiresIn = impersonator ? IMPERSONATION_TOKEN_EXPIRES_IN : ACCESS_TOKEN_EXPIRES_IN;
+  return jwt.sign(payload, SECRET_KEY, { expiresIn });
+}
+
+/** return a random, url-safe token for one-off uses like refresh tokens and
+ * password resets. */
+
+function createRandomToken() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+/** return the hash of a random token, for storing in the db; only the hash
+ * is saved, so a leaked table can't be used in its place. */
 
-  return jwt.sign(payload, SECRET_KEY);
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
 }
 
-module.exports = { createToken };
+module.exports = {
+  createToken,
+  createRandomToken,
+  hashToken,
+  ACCESS_TOKEN_EXPIRES_IN,
+  IMPERSONATION_TOKEN_EXPIRES_IN,
+};
@@ -1,5 +1,5 @@
 const jwt = require("jsonwebtoken");
-const { createToken } = require("./tokens");
+const { createToken, createRandomToken, hashToken } = require("./tokens");
 const { SECRET_KEY } = require("../config");
 
 describe("createToken", function () {
@@ -8,8 +8,12 @@ describe("createToken", function () {
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
       username: "test",
       isAdmin: false,
+      roles: [],
+      ver: 0,
+      jti: expect.any(String),
     });
   });
 
@@ -18,8 +22,12 @@ describe("createToken", function () {
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
       username: "test",
       isAdmin: true,
+      roles: [],
+      ver: 0,
+      jti: expect.any(String),
     });
   });
 
@@ -29,8 +37,53 @@ describe("createToken", function () {
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
       username: "test",
       isAdmin: false,
+      roles: [],
+      ver: 0,
+      jti: expect.any(String),
     });
   });
+
+  test("works: carries roles", function () {
+    const token = createToken({ username: "test", isAdmin: false, roles: ["recruiter"] });
+    const payload = jwt.verify(token, SECRET_KEY);
+    expect(payload.roles).toEqual(["recruiter"]);
+  });
+
+  test("works: carries token version", function () {
+    const token = createToken({ username: "test", isAdmin: false, tokenVersion: 3 });
+    const payload = jwt.verify(token, SECRET_KEY);
+    expect(payload.ver).toEqual(3);
+  });
+
+  test("works: impersonating, with a shorter expiry", function () {
+    const token = createToken({ username: "test", isAdmin: false }, { impersonator: "admin" });
+    const payload = jwt.verify(token, SECRET_KEY);
+    expect(payload.impersonator).toEqual("admin");
+    expect(payload.exp - payload.iat).toEqual(10 * 60);
+  });
+
+  test("works: expires", function () {
+    const token = createToken({ username: "test", isAdmin: false });
+    const payload = jwt.verify(token, SECRET_KEY);
+    expect(payload.exp).toBeGreaterThan(payload.iat);
+  });
+});
+
+describe("createRandomToken", function () {
+  test("works", function () {
+    const token = createRandomToken();
+    expect(token).toMatch(/^[0-9a-f]{64}$/);
+    expect(createRandomToken()).not.toEqual(token);
+  });
+});
+
+describe("hashToken", function () {
+  test("works", function () {
+    expect(hashToken("abc")).toEqual(hashToken("abc"));
+    expect(hashToken("abc")).not.toEqual("abc");
+    expect(hashToken("abc")).not.toEqual(hashToken("abd"));
+  });
 });
@@ -0,0 +1,103 @@
+const crypto = require("crypto");
+
+/** Time-based one-time passwords (RFC 6238), as used by authenticator apps:
+ * a 6 digit code from an HMAC-SHA1 of the current 30 second time step.
+ */
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+/** return the base32 (RFC 4648, no padding) encoding of a buffer; that's
+ * how authenticator apps expect secrets. */
+
+function base32Encode(buffer) {
+  let bits = "";
+  for (let byte of buffer) bits += byte.toString(2).padStart(8, "0");
+
+  let encoded = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    encoded += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return encoded;
+}
+
+/** return the buffer for a base32 string; spaces, padding and case are
+ * ignored. */
+
+function base32Decode(encoded) {
+  let bits = "";
+  for (let char of encoded.toUpperCase().replace(/[\s=]/g, "")) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error(`Invalid base32 character: ${char}`);
+    bits += value.toString(2).padStart(5, "0");
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+}
+
+/** return a new random base32 secret (160 bits, as RFC 4226 recommends). */
+
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/** return the time step a moment (in ms, default now) falls in. */
+
+function timeStep(time = Date.now()) {
+  return Math.floor(time / 1000 / STEP_SECONDS);
+}
+
+/** return the code for a base32 secret at a time step. */
+
+function totp(secret, step = timeStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(code).padStart(DIGITS, "0");
+}
+
+/** Check a code against a secret, allowing `window` steps either side of
+ * now for clock drift. Steps up to and including `afterStep` don't count,
+ * so a code can't be used twice.
+ *
+ * return the step the code matched, or null.
+ */
+
+function verifyTotp(secret, code, { afterStep = -1, window = 1, time = Date.now() } = {}) {
+  const now = timeStep(time);
+  for (let step = now - window; step <= now + window; step++) {
+    if (step > afterStep && totp(secret, step) === code) return step;
+  }
+  return null;
+}
+
+/** return the otpauth:// URI for a secret, which authenticator apps take
+ * (usually as a QR code) to set up an account. */
+
+function otpauthUri(secret, accountName, issuer = "Jobly") {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: DIGITS,
+    period: STEP_SECONDS,
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  timeStep,
+  totp,
+  verifyTotp,
+  otpauthUri,
+};
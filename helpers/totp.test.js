@@ -0,0 +1,71 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  timeStep,
+  totp,
+  verifyTotp,
+  otpauthUri,
+} = require("./totp");
+
+// the RFC 6238 test secret, "12345678901234567890" in ASCII
+const RFC_SECRET = base32Encode(Buffer.from("12345678901234567890"));
+
+describe("base32", function () {
+  test("round trips", function () {
+    const buffer = Buffer.from("foobar");
+    expect(base32Encode(buffer)).toEqual("MZXW6YTBOI");
+    expect(base32Decode("mzxw 6ytb oi======")).toEqual(buffer);
+  });
+
+  test("throws on invalid characters", function () {
+    expect(() => base32Decode("MZXW1")).toThrow();
+  });
+});
+
+describe("generateSecret", function () {
+  test("works", function () {
+    const secret = generateSecret();
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(generateSecret()).not.toEqual(secret);
+  });
+});
+
+describe("totp", function () {
+  test("matches the RFC 6238 test vectors", function () {
+    // the RFC's 8 digit codes, cut to the last 6
+    expect(totp(RFC_SECRET, timeStep(59 * 1000))).toEqual("287082");
+    expect(totp(RFC_SECRET, timeStep(1111111109 * 1000))).toEqual("081804");
+    expect(totp(RFC_SECRET, timeStep(1234567890 * 1000))).toEqual("005924");
+  });
+});
+
+describe("verifyTotp", function () {
+  const time = 1234567890 * 1000;
+  const step = timeStep(time);
+
+  test("works", function () {
+    expect(verifyTotp(RFC_SECRET, "005924", { time })).toEqual(step);
+  });
+
+  test("allows a step of clock drift", function () {
+    const code = totp(RFC_SECRET, step - 1);
+    expect(verifyTotp(RFC_SECRET, code, { time })).toEqual(step - 1);
+    expect(verifyTotp(RFC_SECRET, code, { time, window: 0 })).toBeNull();
+  });
+
+  test("null for a used step", function () {
+    expect(verifyTotp(RFC_SECRET, "005924", { time, afterStep: step })).toBeNull();
+  });
+
+  test("null for a wrong code", function () {
+    expect(verifyTotp(RFC_SECRET, "000000", { time })).toBeNull();
+  });
+});
+
+describe("otpauthUri", function () {
+  test("works", function () {
+    expect(otpauthUri("MZXW6YTBOI", "u1")).toEqual(
+        "otpauth://totp/Jobly%3Au1?secret=MZXW6YTBOI&issuer=Jobly&algorithm=SHA1&digits=6&period=30");
+  });
+});
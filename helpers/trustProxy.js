@@ -0,0 +1,21 @@
+"use strict";
+
+/** Turn TRUST_PROXY into a value for Express's "trust proxy" setting.
+ *
+ * Behind a proxy, req.ip is the proxy's address unless the app trusts it to
+ * pass on the client's in X-Forwarded-For; login limits (see LoginThrottle)
+ * would otherwise count every client as one. TRUST_PROXY can be:
+ *   a number of proxies in front of the app, ie. "1"
+ *   "true" to trust any
+ *   comma-separated addresses or subnets, ie. "loopback, 10.0.0.0/8"
+ *
+ * Returns false (trust none) if it's unset or "false".
+ */
+
+function parseTrustProxy(trustProxy) {
+  if (!trustProxy || trustProxy === "false") return false;
+  if (trustProxy === "true") return true;
+  return /^\d+$/.test(trustProxy) ? +trustProxy : trustProxy;
+}
+
+module.exports = { parseTrustProxy };
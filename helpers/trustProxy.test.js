@@ -0,0 +1,15 @@
+const { parseTrustProxy } = require("./trustProxy");
+
+describe("parseTrustProxy", function () {
+  test("works: none by default", function () {
+    expect(parseTrustProxy(undefined)).toEqual(false);
+    expect(parseTrustProxy("")).toEqual(false);
+    expect(parseTrustProxy("false")).toEqual(false);
+  });
+
+  test("works: any, a number of proxies, or addresses", function () {
+    expect(parseTrustProxy("true")).toEqual(true);
+    expect(parseTrustProxy("1")).toEqual(1);
+    expect(parseTrustProxy("loopback, 10.0.0.0/8")).toEqual("loopback, 10.0.0.0/8");
+  });
+});
@@ -3,7 +3,11 @@ CREATE TABLE companies (
   name TEXT UNIQUE NOT NULL,
   num_employees INTEGER CHECK (num_employees >= 0),
   description TEXT NOT NULL,
-  logo_url TEXT
+  logo_url TEXT,
+  search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', name), 'A') ||
+    setweight(to_tsvector('english', description), 'B')
+  ) STORED
 );
 
 CREATE TABLE users (
@@ -13,16 +17,38 @@ CREATE TABLE users (
   last_name TEXT NOT NULL,
   email TEXT NOT NULL
     CHECK (position('@' IN email) > 1),
-  is_admin BOOLEAN NOT NULL DEFAULT FALSE
+  is_admin BOOLEAN NOT NULL DEFAULT FALSE,
+  token_version INTEGER NOT NULL DEFAULT 0,
+  email_verified BOOLEAN NOT NULL DEFAULT FALSE,
+  mfa_secret TEXT,
+  mfa_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+  mfa_last_step BIGINT,
+  mfa_required BOOLEAN NOT NULL DEFAULT FALSE
 );
 
+-- draft jobs aren't published yet; only open jobs that haven't expired are
+-- listed publicly and can be applied to
+CREATE TYPE job_status AS ENUM ('draft', 'open', 'closed', 'filled');
+
+CREATE TYPE pay_period AS ENUM ('hour', 'day', 'week', 'month', 'year');
+
 CREATE TABLE jobs (
   id SERIAL PRIMARY KEY,
   title TEXT NOT NULL,
+  -- the bottom of the salary range, or the whole salary without salary_max;
+  -- both are in salary_currency (an ISO 4217 code) per salary_period
   salary INTEGER CHECK (salary >= 0),
+  salary_max INTEGER CHECK (salary_max >= salary),
+  salary_currency CHAR(3) NOT NULL DEFAULT 'USD'
+    CHECK (salary_currency ~ '^[A-Z]{3}$'),
+  salary_period pay_period NOT NULL DEFAULT 'year',
   equity NUMERIC CHECK (equity <= 1.0),
   company_handle VARCHAR(25) NOT NULL
-    REFERENCES companies ON DELETE CASCADE
+    REFERENCES companies ON DELETE CASCADE,
+  status job_status NOT NULL DEFAULT 'open',
+  expires_at TIMESTAMP WITH TIME ZONE,
+  -- kept up to date by refresh_job_search_vector, at the end
+  search_vector TSVECTOR
 );
 
 CREATE TABLE technologies (
@@ -46,7 +72,7 @@ CREATE TABLE technologies_users (
   PRIMARY KEY (tech_id, username)
 );
 
-CREATE TYPE state AS ENUM ('interested', 'applied', 'accepted', 'rejected');
+CREATE TYPE state AS ENUM ('interested', 'applied', 'accepted', 'rejected', 'withdrawn');
 
 CREATE TABLE applications ( 
   current_state state,
@@ -54,5 +80,220 @@ CREATE TABLE applications (
     REFERENCES users ON DELETE CASCADE,
   job_id INTEGER
     REFERENCES jobs ON DELETE CASCADE,
+  applied_at TIMESTAMP WITH TIME ZONE,
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
   PRIMARY KEY (username, job_id)
 );
+
+CREATE TABLE application_history (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL,
+  job_id INTEGER NOT NULL,
+  from_state state,
+  to_state state NOT NULL,
+  changed_by VARCHAR(25),
+  note TEXT,
+  changed_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  FOREIGN KEY (username, job_id)
+    REFERENCES applications ON DELETE CASCADE
+);
+
+CREATE TABLE refresh_tokens (
+  id SERIAL PRIMARY KEY,
+  token_hash TEXT NOT NULL UNIQUE,
+  family_id TEXT NOT NULL,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  used_at TIMESTAMP WITH TIME ZONE,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX refresh_tokens_family_id_idx ON refresh_tokens (family_id);
+
+CREATE TABLE revoked_tokens (
+  jti TEXT PRIMARY KEY,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE TABLE password_reset_tokens (
+  id SERIAL PRIMARY KEY,
+  token_hash TEXT NOT NULL UNIQUE,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  used_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE login_failures (
+  kind TEXT NOT NULL CHECK (kind IN ('username', 'ip')),
+  key TEXT NOT NULL,
+  failures INTEGER NOT NULL DEFAULT 0,
+  last_failure_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  locked_until TIMESTAMP WITH TIME ZONE,
+  PRIMARY KEY (kind, key)
+);
+
+CREATE TABLE email_verification_tokens (
+  id SERIAL PRIMARY KEY,
+  token_hash TEXT NOT NULL UNIQUE,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  used_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE permissions (
+  name TEXT PRIMARY KEY,
+  description TEXT NOT NULL
+);
+
+CREATE TABLE roles (
+  name TEXT PRIMARY KEY,
+  description TEXT NOT NULL
+);
+
+CREATE TABLE role_permissions (
+  role TEXT
+    REFERENCES roles ON DELETE CASCADE,
+  permission TEXT
+    REFERENCES permissions ON DELETE CASCADE,
+  PRIMARY KEY (role, permission)
+);
+
+CREATE TABLE user_roles (
+  username VARCHAR(25)
+    REFERENCES users ON DELETE CASCADE,
+  role TEXT
+    REFERENCES roles ON DELETE CASCADE,
+  PRIMARY KEY (username, role)
+);
+
+-- users with is_admin have every permission without needing a role
+
+INSERT INTO permissions (name, description)
+VALUES ('companies:write', 'Create, update and delete companies'),
+       ('jobs:write', 'Create, update and delete jobs'),
+       ('applications:review', 'See applicants for jobs');
+
+INSERT INTO roles (name, description)
+VALUES ('seeker', 'Looks for and applies to jobs; needs no extra permissions'),
+       ('recruiter', 'Posts jobs and reviews their applicants'),
+       ('company-manager', 'Manages companies, their jobs and applicants');
+
+INSERT INTO role_permissions (role, permission)
+VALUES ('recruiter', 'jobs:write'),
+       ('recruiter', 'applications:review'),
+       ('company-manager', 'companies:write'),
+       ('company-manager', 'jobs:write'),
+       ('company-manager', 'applications:review');
+
+-- a member's role only grants its permissions for that company
+
+CREATE TABLE company_members (
+  company_handle VARCHAR(25)
+    REFERENCES companies ON DELETE CASCADE,
+  username VARCHAR(25)
+    REFERENCES users ON DELETE CASCADE,
+  role TEXT NOT NULL
+    REFERENCES roles,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (company_handle, username)
+);
+
+-- keys for scripts to call the api without a password; scopes, if set, are
+-- the only permissions a key gets
+CREATE TABLE api_keys (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  prefix TEXT NOT NULL,
+  key_hash TEXT NOT NULL UNIQUE,
+  scopes TEXT[],
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMP WITH TIME ZONE,
+  last_used_at TIMESTAMP WITH TIME ZONE,
+  revoked_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX api_keys_username_idx ON api_keys (username);
+
+CREATE TABLE mfa_recovery_codes (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  code_hash TEXT NOT NULL,
+  used_at TIMESTAMP WITH TIME ZONE
+);
+
+-- the second step of logging in with MFA, after the password was right
+CREATE TABLE mfa_challenges (
+  token_hash TEXT PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  used_at TIMESTAMP WITH TIME ZONE
+);
+
+-- every request made with an impersonation token; kept when either user is
+-- deleted
+CREATE TABLE impersonation_log (
+  id SERIAL PRIMARY KEY,
+  impersonator VARCHAR(25) NOT NULL,
+  username VARCHAR(25) NOT NULL,
+  method TEXT NOT NULL,
+  path TEXT NOT NULL,
+  ip TEXT,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- full-text search (see models/search.js). A job is found by its title, its
+-- company's name and its technologies; those live in other tables, so the
+-- triggers below refresh jobs.search_vector when any of them change.
+CREATE FUNCTION job_search_vector(job_id INTEGER) RETURNS TSVECTOR AS $$
+  SELECT setweight(to_tsvector('english', j.title), 'A') ||
+         setweight(to_tsvector('english', c.name), 'B') ||
+         setweight(to_tsvector('english', COALESCE(string_agg(t.name, ' '), '')), 'C')
+  FROM jobs j
+  JOIN companies c ON c.handle = j.company_handle
+  LEFT JOIN technologies_jobs tj ON tj.job_id = j.id
+  LEFT JOIN technologies t ON t.id = tj.tech_id
+  WHERE j.id = job_search_vector.job_id
+  GROUP BY j.id, c.name
+$$ LANGUAGE SQL STABLE;
+
+CREATE FUNCTION refresh_job_search_vector() RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_TABLE_NAME = 'jobs' THEN
+    UPDATE jobs SET search_vector = job_search_vector(id) WHERE id = NEW.id;
+  ELSIF TG_TABLE_NAME = 'companies' THEN
+    UPDATE jobs SET search_vector = job_search_vector(id) WHERE company_handle = NEW.handle;
+  ELSIF TG_OP = 'DELETE' THEN
+    UPDATE jobs SET search_vector = job_search_vector(id) WHERE id = OLD.job_id;
+  ELSE
+    UPDATE jobs SET search_vector = job_search_vector(id) WHERE id = NEW.job_id;
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER jobs_search_vector
+  AFTER INSERT OR UPDATE OF title, company_handle ON jobs
+  FOR EACH ROW EXECUTE FUNCTION refresh_job_search_vector();
+
+CREATE TRIGGER companies_search_vector
+  AFTER UPDATE OF name ON companies
+  FOR EACH ROW EXECUTE FUNCTION refresh_job_search_vector();
+
+CREATE TRIGGER technologies_jobs_search_vector
+  AFTER INSERT OR DELETE ON technologies_jobs
+  FOR EACH ROW EXECUTE FUNCTION refresh_job_search_vector();
+
+CREATE INDEX companies_search_vector_idx ON companies USING GIN (search_vector);
+CREATE INDEX jobs_search_vector_idx ON jobs USING GIN (search_vector);
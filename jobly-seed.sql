@@ -1,17 +1,19 @@
 -- both test users have the password "password"
 
-INSERT INTO users (username, password, first_name, last_name, email, is_admin)
+INSERT INTO users (username, password, first_name, last_name, email, is_admin, email_verified)
 VALUES ('testuser',
         '$2b$12$AZH7virni5jlTTiGgEg4zu3lSvAw68qVEfSIOjJ3RqtbJbdW/Oi5q',
         'Test',
         'User',
         'joel@joelburton.com',
-        FALSE),
+        FALSE,
+        TRUE),
        ('testadmin',
         '$2b$12$AZH7virni5jlTTiGgEg4zu3lSvAw68qVEfSIOjJ3RqtbJbdW/Oi5q',
         'Test',
         'Admin!',
         'joel@joelburton.com',
+        TRUE,
         TRUE);
 
 INSERT INTO companies (handle,
@@ -4,38 +4,91 @@
 
 const jwt = require("jsonwebtoken");
 const { SECRET_KEY } = require("../config");
-const { UnauthorizedError } = require("../expressError");
+const { UnauthorizedError, ForbiddenError } = require("../expressError");
+const Session = require("../models/session");
+const EmailVerification = require("../models/emailVerification");
+const Role = require("../models/role");
+const CompanyMember = require("../models/companyMember");
+const ApiKey = require("../models/apiKey");
+const Impersonation = require("../models/impersonation");
 
 
 /** Middleware: Authenticate user.
  *
- * If a token was provided, verify it, and, if valid, store the token payload
- * on res.locals (this will include the username and isAdmin field.)
+ * If a token was provided, verify it, and, if valid and not revoked (see
+ * Session), store the token payload on res.locals (this will include the
+ * username and isAdmin field.)
+ *
+ * An API key can be sent instead, as `Authorization: ApiKey <key>`; if
+ * valid, the key's user (see ApiKey.authenticate) is stored the same way.
  *
  * It's not an error if no token was provided or if the token is not valid.
  */
 
-function authenticateJWT(req, res, next) {
+async function authenticateJWT(req, res, next) {
+  const authHeader = req.headers && req.headers.authorization;
+  const apiKey = authHeader && authHeader.match(/^ApiKey (.+)$/i);
+
+  let payload;
   try {
-    const authHeader = req.headers && req.headers.authorization;
-    if (authHeader) {
+    if (authHeader && !apiKey) {
       const token = authHeader.replace(/^[Bb]earer /, "").trim();
-      res.locals.user = jwt.verify(token, SECRET_KEY);
+      payload = jwt.verify(token, SECRET_KEY);
+    }
+  } catch (err) {
+    return next();
+  }
+
+  // unlike a bad token, failing to check for revocation is an error
+  try {
+    if (apiKey) {
+      const user = await ApiKey.authenticate(apiKey[1].trim());
+      if (user) res.locals.user = user;
+    } else if (payload && await Session.isValid(payload)) {
+      res.locals.user = payload;
     }
     return next();
   } catch (err) {
+    return next(err);
+  }
+}
+
+/** Middleware: Log requests made while impersonating.
+ *
+ * If the token is an admin's impersonation token (see Impersonation), the
+ * request is logged before it's handled, so even ones that fail are there.
+ */
+
+async function logImpersonation(req, res, next) {
+  try {
+    const user = res.locals.user;
+    if (user && user.impersonator) {
+      await Impersonation.logRequest({
+        impersonator: user.impersonator,
+        username: user.username,
+        method: req.method,
+        path: req.originalUrl,
+        ip: req.ip,
+      });
+    }
     return next();
+  } catch (err) {
+    return next(err);
   }
 }
 
 /** Middleware to use when they must be logged in.
+ *
+ * An API key with scopes isn't enough: it only works on routes needing one
+ * of its permissions (see requirePermission).
  *
  * If not, raises Unauthorized.
  */
 
 function ensureLoggedIn(req, res, next) {
   try {
-    if (!res.locals.user) throw new UnauthorizedError();
+    const user = res.locals.user;
+    if (!user || user.scopes) throw new UnauthorizedError();
     return next();
   } catch (err) {
     return next(err);
@@ -70,9 +123,106 @@ function sameUserOrAdmin(req,res,next){
   }
 }
 
+/** Middleware to check for the same user only, for things even an admin
+ * shouldn't do on someone's behalf, so not while impersonating them either
+ * 
+ * If not, raise Unauthorized as above
+ */
+
+function sameUser(req,res,next){
+  try{
+    const user = res.locals.user;
+    if(req.params.username != user.username || user.impersonator) throw new UnauthorizedError();
+    return next();
+  }catch(e){
+    return next(e);
+  }
+}
+
+/** Middleware for routes that can't be used with an API key, like
+ * managing API keys, so a leaked key can't be used to make more
+ * 
+ * If not, raise Unauthorized as above
+ */
+
+function ensureNotApiKey(req,res,next){
+  try{
+    if(res.locals.user.apiKeyId) throw new UnauthorizedError("Log in to do this; API keys can't");
+    return next();
+  }catch(e){
+    return next(e);
+  }
+}
+
+/** Middleware for routes that need the logged in user to have verified
+ * their email address; admins don't need to
+ * 
+ * If not, raise Forbidden
+ */
+
+async function ensureVerifiedEmail(req,res,next){
+  try{
+    const { username, isAdmin } = res.locals.user;
+    if(!isAdmin && !(await EmailVerification.isVerified(username))){
+      throw new ForbiddenError("Verify your email address first");
+    }
+    return next();
+  }catch(e){
+    return next(e);
+  }
+}
+
+/** Whether a user has a permission; admins have every permission, and
+ * other users get them from the roles in their token (see Role); an API key
+ * with scopes only gets the permissions in them
+ * 
+ * For something about one company, companyOf is an async function giving
+ * that company's handle, only called if needed; members of the company (see
+ * CompanyMember) then get their member role's permissions for it too
+ */
+
+async function hasPermission(user, permission, companyOf){
+  if(!user) return false;
+  if(user.scopes && !user.scopes.includes(permission)) return false;
+  if(user.isAdmin || await Role.hasPermission(user.roles || [], permission)) return true;
+
+  const handle = companyOf && await companyOf();
+  return !!handle && await CompanyMember.hasPermission(user.username, handle, permission);
+}
+
+/** Middleware factory for routes that need a permission (see
+ * hasPermission), ie. requirePermission("jobs:write")
+ * 
+ * Also checks they're logged in, so it's used instead of ensureLoggedIn
+ * 
+ * For routes about one company, companyOf is an async function giving that
+ * company's handle from the request
+ * 
+ * If not, raise Unauthorized as above
+ */
+
+function requirePermission(permission, companyOf){
+  return async function(req,res,next){
+    try{
+      const permitted = await hasPermission(
+          res.locals.user, permission, companyOf && (() => companyOf(req)));
+      if(!permitted) throw new UnauthorizedError();
+      return next();
+    }catch(e){
+      return next(e);
+    }
+  };
+}
+
 module.exports = {
   authenticateJWT,
+  logImpersonation,
   ensureLoggedIn,
   isAdmin,
-  sameUserOrAdmin
+  sameUserOrAdmin,
+  sameUser,
+  ensureNotApiKey,
+  ensureVerifiedEmail,
+  hasPermission,
+  requirePermission
 };
@@ -1,21 +1,52 @@
 "use strict";
 
 const jwt = require("jsonwebtoken");
-const { UnauthorizedError } = require("../expressError");
+const db = require("../db");
+const { UnauthorizedError, ForbiddenError } = require("../expressError");
 const {
   authenticateJWT,
+  logImpersonation,
   ensureLoggedIn,
   isAdmin,
+  sameUser,
+  ensureNotApiKey,
+  ensureVerifiedEmail,
+  hasPermission,
+  requirePermission,
 } = require("./auth");
 
 
 const { SECRET_KEY } = require("../config");
+const ApiKey = require("../models/apiKey");
 const testJwt = jwt.sign({ username: "test", isAdmin: false }, SECRET_KEY);
 const badJwt = jwt.sign({ username: "test", isAdmin: false }, "wrong");
+const revokedJwt = jwt.sign(
+    { username: "test", isAdmin: false, jti: "revoked-jti" }, SECRET_KEY);
+const expiredJwt = jwt.sign(
+    { username: "test", isAdmin: false, exp: Math.floor(Date.now() / 1000) - 60 },
+    SECRET_KEY);
+
+afterAll(async function () {
+  await db.end();
+});
 
 
 describe("authenticateJWT", function () {
-  test("works: via header", function () {
+  beforeEach(async function () {
+    await db.query("BEGIN");
+    await db.query(
+        `INSERT INTO users (username, password, first_name, last_name, email)
+         VALUES ('test', 'password', 'Test', 'User', 'test@test.com')`);
+    await db.query(
+        `INSERT INTO revoked_tokens (jti, expires_at)
+         VALUES ('revoked-jti', NOW() + INTERVAL '1 hour')`);
+  });
+
+  afterEach(async function () {
+    await db.query("ROLLBACK");
+  });
+
+  test("works: via header", async function () {
     expect.assertions(2);
      //there are multiple ways to pass an authorization token, this is how you pass it in the header.
     //this has been provided to show you another way to pass the token. you are only expected to read this code for this project.
@@ -24,7 +55,7 @@ describe("authenticateJWT", function () {
     const next = function (err) {
       expect(err).toBeFalsy();
     };
-    authenticateJWT(req, res, next);
+    await authenticateJWT(req, res, next);
     expect(res.locals).toEqual({
       user: {
         iat: expect.any(Number),
@@ -34,25 +65,59 @@ describe("authenticateJWT", function () {
     });
   });
 
-  test("works: no header", function () {
+  test("works: no header", async function () {
     expect.assertions(2);
     const req = {};
     const res = { locals: {} };
     const next = function (err) {
       expect(err).toBeFalsy();
     };
-    authenticateJWT(req, res, next);
+    await authenticateJWT(req, res, next);
     expect(res.locals).toEqual({});
   });
 
-  test("works: invalid token", function () {
+  test("works: invalid token", async function () {
     expect.assertions(2);
     const req = { headers: { authorization: `Bearer ${badJwt}` } };
     const res = { locals: {} };
     const next = function (err) {
       expect(err).toBeFalsy();
     };
-    authenticateJWT(req, res, next);
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test("works: revoked token", async function () {
+    expect.assertions(2);
+    const req = { headers: { authorization: `Bearer ${revokedJwt}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test("works: user no longer exists", async function () {
+    expect.assertions(2);
+    await db.query("DELETE FROM users WHERE username = 'test'");
+    const req = { headers: { authorization: `Bearer ${testJwt}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test("works: expired token", async function () {
+    expect.assertions(2);
+    const req = { headers: { authorization: `Bearer ${expiredJwt}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateJWT(req, res, next);
     expect(res.locals).toEqual({});
   });
 });
@@ -78,6 +143,16 @@ describe("ensureLoggedIn", function () {
     };
     ensureLoggedIn(req, res, next);
   });
+
+  test("unauth for an API key with scopes", function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: { username: "test", isAdmin: false, scopes: ["jobs:write"] } } };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    ensureLoggedIn(req, res, next);
+  });
 });
 
 describe("isAdmin", function () {
@@ -101,3 +176,359 @@ describe("isAdmin", function () {
     isAdmin(req, res, next);
   });
 });
+
+describe("sameUser", function () {
+  test("works", function () {
+    expect.assertions(1);
+    const req = { params: { username: "test" } };
+    const res = { locals: { user: { username: "test", isAdmin: false } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    sameUser(req, res, next);
+  });
+
+  test("unauth for admin", function () {
+    expect.assertions(1);
+    const req = { params: { username: "test" } };
+    const res = { locals: { user: { username: "testadmin", isAdmin: true } } };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    sameUser(req, res, next);
+  });
+
+  test("unauth for admin impersonating the user", function () {
+    expect.assertions(1);
+    const req = { params: { username: "test" } };
+    const res = { locals: { user: { username: "test", isAdmin: false, impersonator: "testadmin" } } };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    sameUser(req, res, next);
+  });
+});
+
+describe("logImpersonation", function () {
+  beforeEach(async function () {
+    await db.query("BEGIN");
+  });
+
+  afterEach(async function () {
+    await db.query("ROLLBACK");
+  });
+
+  test("logs requests made while impersonating", async function () {
+    expect.assertions(2);
+    const req = { method: "GET", originalUrl: "/users/test", ip: "127.0.0.1" };
+    const res = { locals: { user: { username: "test", isAdmin: false, impersonator: "testadmin" } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await logImpersonation(req, res, next);
+
+    const result = await db.query(
+        "SELECT impersonator, username, method, path, ip FROM impersonation_log");
+    expect(result.rows).toEqual([{
+      impersonator: "testadmin",
+      username: "test",
+      method: "GET",
+      path: "/users/test",
+      ip: "127.0.0.1",
+    }]);
+  });
+
+  test("doesn't log other requests", async function () {
+    expect.assertions(2);
+    const req = { method: "GET", originalUrl: "/users/test", ip: "127.0.0.1" };
+    const res = { locals: { user: { username: "test", isAdmin: false } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await logImpersonation(req, res, next);
+
+    const result = await db.query("SELECT id FROM impersonation_log");
+    expect(result.rows).toEqual([]);
+  });
+});
+
+describe("authenticateJWT with an API key", function () {
+  let apiKey;
+
+  beforeEach(async function () {
+    await db.query("BEGIN");
+    await db.query(
+        `INSERT INTO users (username, password, first_name, last_name, email)
+         VALUES ('keyuser', 'x', 'K', 'K', 'k@k.com')`);
+    apiKey = await ApiKey.create("keyuser", { name: "test" });
+  });
+
+  afterEach(async function () {
+    await db.query("ROLLBACK");
+  });
+
+  test("works", async function () {
+    expect.assertions(2);
+    const req = { headers: { authorization: `ApiKey ${apiKey.key}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({
+      user: {
+        apiKeyId: apiKey.id,
+        username: "keyuser",
+        isAdmin: false,
+        roles: [],
+        scopes: null,
+      },
+    });
+  });
+
+  test("works: invalid key", async function () {
+    expect.assertions(2);
+    const req = { headers: { authorization: "ApiKey jobly_nope" } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test("works: revoked key", async function () {
+    expect.assertions(2);
+    await ApiKey.revoke("keyuser", apiKey.id);
+    const req = { headers: { authorization: `ApiKey ${apiKey.key}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+});
+
+describe("ensureNotApiKey", function () {
+  test("works", function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: { username: "test", isAdmin: false } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    ensureNotApiKey(req, res, next);
+  });
+
+  test("unauth with an API key", function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: { username: "test", isAdmin: false, apiKeyId: 1 } } };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    ensureNotApiKey(req, res, next);
+  });
+});
+
+describe("ensureVerifiedEmail", function () {
+  beforeEach(async function () {
+    await db.query("BEGIN");
+    await db.query(
+        `INSERT INTO users (username, password, first_name, last_name, email, email_verified)
+         VALUES ('verified', 'x', 'V', 'V', 'v@v.com', TRUE),
+                ('unverified', 'x', 'U', 'U', 'u@u.com', FALSE)`);
+  });
+
+  afterEach(async function () {
+    await db.query("ROLLBACK");
+  });
+
+  test("works", async function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: { username: "verified", isAdmin: false } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await ensureVerifiedEmail(req, res, next);
+  });
+
+  test("works for admin", async function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: { username: "testadmin", isAdmin: true } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await ensureVerifiedEmail(req, res, next);
+  });
+
+  test("forbidden if not verified", async function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: { username: "unverified", isAdmin: false } } };
+    const next = function (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
+    };
+    await ensureVerifiedEmail(req, res, next);
+  });
+});
+
+describe("requirePermission", function () {
+  test("works with a role granting it", async function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: { username: "test", isAdmin: false, roles: ["recruiter"] } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await requirePermission("jobs:write")(req, res, next);
+  });
+
+  test("works for admin", async function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: { username: "testadmin", isAdmin: true } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await requirePermission("companies:write")(req, res, next);
+  });
+
+  test("unauth without it", async function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: { username: "test", isAdmin: false, roles: ["recruiter"] } } };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    await requirePermission("companies:write")(req, res, next);
+  });
+
+  test("unauth if no login", async function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    await requirePermission("jobs:write")(req, res, next);
+  });
+
+  test("works with an API key scoped to it", async function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: { username: "test", isAdmin: false, roles: ["recruiter"], scopes: ["jobs:write"] } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await requirePermission("jobs:write")(req, res, next);
+  });
+
+  test("unauth with an API key scoped to something else", async function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: { username: "test", isAdmin: false, roles: ["recruiter"], scopes: ["jobs:write"] } } };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    await requirePermission("applications:review")(req, res, next);
+  });
+});
+
+describe("requirePermission for a company", function () {
+  beforeEach(async function () {
+    await db.query("BEGIN");
+    await db.query(
+        `INSERT INTO companies (handle, name, num_employees, description, logo_url)
+         VALUES ('mc1', 'MC1', 1, 'Desc1', 'http://c1.img'),
+                ('mc2', 'MC2', 2, 'Desc2', 'http://c2.img')`);
+    await db.query(
+        `INSERT INTO users (username, password, first_name, last_name, email)
+         VALUES ('member', 'x', 'M', 'M', 'm@m.com')`);
+    await db.query(
+        `INSERT INTO company_members (company_handle, username, role)
+         VALUES ('mc1', 'member', 'recruiter')`);
+  });
+
+  afterEach(async function () {
+    await db.query("ROLLBACK");
+  });
+
+  const res = { locals: { user: { username: "member", isAdmin: false, roles: [] } } };
+
+  test("works for a member whose role grants it", async function () {
+    expect.assertions(1);
+    const req = { params: { handle: "mc1" } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await requirePermission("jobs:write", async req => req.params.handle)(req, res, next);
+  });
+
+  test("unauth for another company", async function () {
+    expect.assertions(1);
+    const req = { params: { handle: "mc2" } };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    await requirePermission("jobs:write", async req => req.params.handle)(req, res, next);
+  });
+
+  test("unauth if the member's role doesn't grant it", async function () {
+    expect.assertions(1);
+    const req = { params: { handle: "mc1" } };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    await requirePermission("companies:write", async req => req.params.handle)(req, res, next);
+  });
+
+  test("unauth if there's no company", async function () {
+    expect.assertions(1);
+    const req = {};
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    await requirePermission("jobs:write", async () => undefined)(req, res, next);
+  });
+});
+
+describe("hasPermission", function () {
+  beforeEach(async function () {
+    await db.query("BEGIN");
+    await db.query(
+        `INSERT INTO companies (handle, name, num_employees, description, logo_url)
+         VALUES ('mc1', 'MC1', 1, 'Desc1', 'http://c1.img')`);
+    await db.query(
+        `INSERT INTO users (username, password, first_name, last_name, email)
+         VALUES ('member', 'x', 'M', 'M', 'm@m.com')`);
+    await db.query(
+        `INSERT INTO company_members (company_handle, username, role)
+         VALUES ('mc1', 'member', 'recruiter')`);
+  });
+
+  afterEach(async function () {
+    await db.query("ROLLBACK");
+  });
+
+  const member = { username: "member", isAdmin: false, roles: [] };
+
+  test("works: globally", async function () {
+    expect(await hasPermission({ username: "a", isAdmin: true }, "jobs:write")).toEqual(true);
+    expect(await hasPermission({ username: "r", isAdmin: false, roles: ["recruiter"] }, "jobs:write"))
+        .toEqual(true);
+  });
+
+  test("works: as a member of the company", async function () {
+    expect(await hasPermission(member, "jobs:write", async () => "mc1")).toEqual(true);
+    expect(await hasPermission(member, "jobs:write")).toEqual(false);
+    expect(await hasPermission(member, "companies:write", async () => "mc1")).toEqual(false);
+  });
+
+  test("false if no login", async function () {
+    expect(await hasPermission(undefined, "jobs:write", async () => "mc1")).toEqual(false);
+  });
+});
@@ -10,6 +10,8 @@ async function commonBeforeAll() {
   await db.query("DELETE FROM jobs");
   // noinspection SqlWithoutWhere
   await db.query("DELETE FROM users");
+  // noinspection SqlWithoutWhere
+  await db.query("DELETE FROM technologies");
 
   await db.query("ALTER SEQUENCE jobs_id_seq RESTART WITH 1");
 
@@ -28,6 +30,17 @@ async function commonBeforeAll() {
            ('Automotive Engineer', 33333, .003, 'c3'),
            ('Front Room Staff', 33333, .003, 'c3')
     `);
+
+  await db.query(`
+    INSERT INTO technologies (name)
+    VALUES ('javascript'), ('python'), ('sql')`);
+
+  await db.query(`
+    INSERT INTO technologies_jobs (tech_id, job_id)
+    SELECT t.id, j.id
+    FROM technologies t, jobs j
+    WHERE (j.title = 'job title 1' AND t.name IN ('javascript', 'sql'))
+       OR (j.title = 'job title 2' AND t.name = 'sql')`);
            
   await db.query(`
         INSERT INTO users(username,
@@ -42,6 +55,12 @@ async function commonBeforeAll() {
         await bcrypt.hash("password1", BCRYPT_WORK_FACTOR),
         await bcrypt.hash("password2", BCRYPT_WORK_FACTOR),
       ]);
+
+  await db.query(`
+    INSERT INTO technologies_users (tech_id, username)
+    SELECT id, 'u1'
+    FROM technologies
+    WHERE name IN ('javascript', 'python')`);
 }
 
 async function commonBeforeEach() {
@@ -0,0 +1,146 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { createRandomToken, hashToken } = require("../helpers/tokens");
+
+/** Every key starts with this, so they're easy to spot (ie. in leaked
+ * code); the first few characters after it are kept to tell keys apart.
+ */
+
+const KEY_PREFIX = "jobly_";
+const SHOWN_KEY_LENGTH = KEY_PREFIX.length + 8;
+
+/** Related functions for API keys.
+ *
+ * An API key lets a script act as the user who made it without their
+ * password: send it as `Authorization: ApiKey <key>` (see authenticateJWT).
+ * Only a hash of it is stored. A key can be limited to some permissions
+ * (scopes); such a key never acts as an admin.
+ */
+
+class ApiKey {
+  /** Create a key for a user.
+   *
+   * data should be { name, scopes, expiresInDays }, where scopes (a list of
+   * permission names) and expiresInDays are optional.
+   *
+   * Returns { id, name, prefix, scopes, createdAt, expiresAt, key }; key
+   * can't be looked up again later.
+   *
+   * Throws NotFoundError if user not found, and BadRequestError on an
+   * unknown scope.
+   **/
+
+  static async create(username, { name, scopes = null, expiresInDays = null }) {
+    const userRes = await db.query(
+          `SELECT username FROM users WHERE username = $1`, [username]);
+    if (!userRes.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    if (scopes) {
+      const permRes = await db.query(
+            `SELECT name FROM permissions WHERE name = ANY($1::text[])`, [scopes]);
+      const known = permRes.rows.map(p => p.name);
+      const unknown = scopes.filter(s => !known.includes(s));
+      if (unknown.length) throw new BadRequestError(`Unknown scope: ${unknown[0]}`);
+    }
+
+    const key = KEY_PREFIX + createRandomToken();
+    const result = await db.query(
+          `INSERT INTO api_keys (username, name, prefix, key_hash, scopes, expires_at)
+           VALUES ($1, $2, $3, $4, $5,
+                   NOW() + make_interval(days => $6))
+           RETURNING id,
+                     name,
+                     prefix,
+                     scopes,
+                     created_at AS "createdAt",
+                     expires_at AS "expiresAt"`,
+        [username, name, key.slice(0, SHOWN_KEY_LENGTH), hashToken(key), scopes, expiresInDays]);
+
+    return { ...result.rows[0], key };
+  }
+
+  /** Find a user's keys that haven't been revoked, newest first.
+   *
+   * Returns [{ id, name, prefix, scopes, createdAt, expiresAt, lastUsedAt }, ...]
+   *   where expiresAt and lastUsedAt may be null
+   **/
+
+  static async findForUser(username) {
+    const result = await db.query(
+          `SELECT id,
+                  name,
+                  prefix,
+                  scopes,
+                  created_at AS "createdAt",
+                  expires_at AS "expiresAt",
+                  last_used_at AS "lastUsedAt"
+           FROM api_keys
+           WHERE username = $1 AND revoked_at IS NULL
+           ORDER BY created_at DESC, id DESC`,
+        [username]);
+
+    return result.rows;
+  }
+
+  /** Revoke one of a user's keys; returns undefined.
+   *
+   * Throws NotFoundError if the user has no such key, or it's already
+   * revoked.
+   **/
+
+  static async revoke(username, id) {
+    const result = await db.query(
+          `UPDATE api_keys
+           SET revoked_at = NOW()
+           WHERE id = $1 AND username = $2 AND revoked_at IS NULL
+           RETURNING id`,
+        [id, username]);
+
+    if (!result.rows[0]) throw new NotFoundError(`No API key ${id} for user: ${username}`);
+  }
+
+  /** Revoke all of a user's keys; returns undefined. */
+
+  static async revokeAll(username) {
+    await db.query(
+          `UPDATE api_keys
+           SET revoked_at = NOW()
+           WHERE username = $1 AND revoked_at IS NULL`,
+        [username]);
+  }
+
+  /** Look up the user for a key, recording that it was used.
+   *
+   * Returns { username, isAdmin, roles, scopes, apiKeyId }, shaped like a
+   * token payload, or undefined if the key is unknown, expired or revoked.
+   **/
+
+  static async authenticate(key) {
+    if (!key.startsWith(KEY_PREFIX)) return undefined;
+
+    const result = await db.query(
+          `UPDATE api_keys k
+           SET last_used_at = NOW()
+           FROM users u
+           WHERE u.username = k.username
+             AND k.key_hash = $1
+             AND k.revoked_at IS NULL
+             AND (k.expires_at IS NULL OR k.expires_at > NOW())
+           RETURNING k.id AS "apiKeyId",
+                     u.username,
+                     u.is_admin AND k.scopes IS NULL AS "isAdmin",
+                     ARRAY(SELECT role
+                           FROM user_roles ur
+                           WHERE ur.username = u.username
+                           ORDER BY role) AS "roles",
+                     k.scopes`,
+        [hashToken(key)]);
+
+    return result.rows[0];
+  }
+}
+
+
+module.exports = ApiKey;
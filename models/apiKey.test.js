@@ -0,0 +1,181 @@
+"use strict";
+
+const db = require("../db.js");
+const ApiKey = require("./apiKey.js");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const apiKey = await ApiKey.create("u1", { name: "ci" });
+    expect(apiKey).toEqual({
+      id: expect.any(Number),
+      name: "ci",
+      prefix: apiKey.key.slice(0, 14),
+      scopes: null,
+      createdAt: expect.any(Date),
+      expiresAt: null,
+      key: expect.stringMatching(/^jobly_[0-9a-f]{64}$/),
+    });
+
+    const result = await db.query(
+        `SELECT key_hash FROM api_keys WHERE id = $1`, [apiKey.id]);
+    expect(result.rows[0].key_hash).not.toEqual(apiKey.key);
+  });
+
+  test("works with scopes and expiry", async function () {
+    const apiKey = await ApiKey.create("u1",
+        { name: "ci", scopes: ["jobs:write"], expiresInDays: 7 });
+    expect(apiKey.scopes).toEqual(["jobs:write"]);
+    expect(apiKey.expiresAt - apiKey.createdAt).toEqual(7 * 24 * 60 * 60 * 1000);
+  });
+
+  test("bad request on unknown scope", async function () {
+    try {
+      await ApiKey.create("u1", { name: "ci", scopes: ["jobs:write", "nope"] });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await ApiKey.create("nope", { name: "ci" });
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findForUser */
+
+describe("findForUser", function () {
+  test("works", async function () {
+    const first = await ApiKey.create("u1", { name: "first" });
+    const second = await ApiKey.create("u1", { name: "second" });
+    await ApiKey.create("u2", { name: "other" });
+
+    const apiKeys = await ApiKey.findForUser("u1");
+    expect(apiKeys.map(k => k.id)).toEqual([second.id, first.id]);
+    expect(apiKeys[0]).toEqual({
+      id: second.id,
+      name: "second",
+      prefix: second.prefix,
+      scopes: null,
+      createdAt: expect.any(Date),
+      expiresAt: null,
+      lastUsedAt: null,
+    });
+  });
+
+  test("leaves out revoked keys", async function () {
+    const apiKey = await ApiKey.create("u1", { name: "ci" });
+    await ApiKey.revoke("u1", apiKey.id);
+    expect(await ApiKey.findForUser("u1")).toEqual([]);
+  });
+});
+
+/************************************** revoke */
+
+describe("revoke", function () {
+  test("works", async function () {
+    const apiKey = await ApiKey.create("u1", { name: "ci" });
+    await ApiKey.revoke("u1", apiKey.id);
+    expect(await ApiKey.authenticate(apiKey.key)).toBeUndefined();
+  });
+
+  test("not found for another user's key", async function () {
+    const apiKey = await ApiKey.create("u1", { name: "ci" });
+    try {
+      await ApiKey.revoke("u2", apiKey.id);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if already revoked", async function () {
+    const apiKey = await ApiKey.create("u1", { name: "ci" });
+    await ApiKey.revoke("u1", apiKey.id);
+    try {
+      await ApiKey.revoke("u1", apiKey.id);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** revokeAll */
+
+describe("revokeAll", function () {
+  test("works", async function () {
+    const key1 = await ApiKey.create("u1", { name: "ci" });
+    const key2 = await ApiKey.create("u1", { name: "deploy" });
+    const other = await ApiKey.create("u2", { name: "ci" });
+
+    await ApiKey.revokeAll("u1");
+    expect(await ApiKey.authenticate(key1.key)).toBeUndefined();
+    expect(await ApiKey.authenticate(key2.key)).toBeUndefined();
+    expect(await ApiKey.authenticate(other.key)).toEqual(expect.objectContaining({ username: "u2" }));
+  });
+});
+
+/************************************** authenticate */
+
+describe("authenticate", function () {
+  test("works", async function () {
+    await db.query("INSERT INTO user_roles (username, role) VALUES ('u1', 'recruiter')");
+    const apiKey = await ApiKey.create("u1", { name: "ci" });
+
+    expect(await ApiKey.authenticate(apiKey.key)).toEqual({
+      apiKeyId: apiKey.id,
+      username: "u1",
+      isAdmin: false,
+      roles: ["recruiter"],
+      scopes: null,
+    });
+
+    const [found] = await ApiKey.findForUser("u1");
+    expect(found.lastUsedAt).toEqual(expect.any(Date));
+  });
+
+  test("scoped keys aren't admin", async function () {
+    await db.query("UPDATE users SET is_admin = TRUE WHERE username = 'u1'");
+    const unscoped = await ApiKey.create("u1", { name: "all" });
+    const scoped = await ApiKey.create("u1", { name: "jobs", scopes: ["jobs:write"] });
+
+    expect((await ApiKey.authenticate(unscoped.key)).isAdmin).toEqual(true);
+    expect(await ApiKey.authenticate(scoped.key)).toEqual(expect.objectContaining({
+      isAdmin: false,
+      scopes: ["jobs:write"],
+    }));
+  });
+
+  test("undefined if unknown", async function () {
+    expect(await ApiKey.authenticate("jobly_nope")).toBeUndefined();
+    expect(await ApiKey.authenticate("nope")).toBeUndefined();
+  });
+
+  test("undefined if expired", async function () {
+    const apiKey = await ApiKey.create("u1", { name: "ci", expiresInDays: 1 });
+    await db.query(
+        `UPDATE api_keys SET expires_at = NOW() - INTERVAL '1 second' WHERE id = $1`,
+        [apiKey.id]);
+    expect(await ApiKey.authenticate(apiKey.key)).toBeUndefined();
+  });
+});
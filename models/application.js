@@ -0,0 +1,385 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError, BadRequestError } = require("../expressError");
+const { parsePagination } = require("../helpers/pagination");
+
+/** Legal moves between application states.
+ *
+ * A new application starts as either "interested" or "applied"; accepted
+ * and rejected are final. The applicant can withdraw until then, and
+ * start over from a withdrawn application.
+ */
+
+const INITIAL_STATES = ["interested", "applied"];
+
+const TRANSITIONS = {
+  interested: ["applied", "withdrawn"],
+  applied: ["accepted", "rejected", "withdrawn"],
+  accepted: [],
+  rejected: [],
+  withdrawn: ["interested", "applied"],
+};
+
+/** Throw BadRequestError unless `state` is one of the states in
+ * TRANSITIONS; inherited keys like "constructor" don't count.
+ */
+
+function checkState(state) {
+  if (!Object.prototype.hasOwnProperty.call(TRANSITIONS, state)) {
+    throw new BadRequestError(`Invalid state: ${state}`);
+  }
+}
+
+/** Check that a job can still be applied to (see Job.checkOpen) before an
+ * application moves to one of INITIAL_STATES; accepting or rejecting is
+ * fine after a job closes.
+ *
+ * Job is required here rather than at the top, since job.js requires this
+ * module.
+ */
+
+async function checkJobOpen(jobId, state) {
+  if (INITIAL_STATES.includes(state)) await require("./job").checkOpen(jobId);
+}
+
+/** Columns a list of applications can be sorted by; prefix with "-" for
+ * newest first.
+ */
+
+const SORT_COLUMNS = {
+  appliedAt: "a.applied_at",
+  updatedAt: "a.updated_at",
+};
+
+/** Related functions for job applications.
+ *
+ * Every change of state is also recorded in application_history, along
+ * with who made it and an optional note.
+ */
+
+class Application {
+  /** Given a username and job id, return the application.
+   *
+   * Returns { username, jobId, state, appliedAt, updatedAt }
+   *   where appliedAt is null until the application reaches "applied"
+   *
+   * Throws NotFoundError if the user has no application for the job.
+   **/
+
+  static async get(username, jobId) {
+    const result = await db.query(
+          `SELECT username,
+                  job_id AS "jobId",
+                  current_state AS "state",
+                  applied_at AS "appliedAt",
+                  updated_at AS "updatedAt"
+           FROM applications
+           WHERE username = $1 AND job_id = $2`,
+        [username, jobId]);
+
+    const application = result.rows[0];
+
+    if (!application) {
+      throw new NotFoundError(`No application by ${username} for job ID: ${jobId}`);
+    }
+
+    return application;
+  }
+
+  /** Find all of a user's applications, with job and company details.
+   *
+   * Can filter on state (a single state or an array of them) and sort by
+   * appliedAt or updatedAt, ie. { state: "applied", sort: "-appliedAt" }.
+   * Defaults to most recently updated first.
+   *
+   * Returns [{ id, title, companyHandle, companyName, state,
+   *            appliedAt, updatedAt }, ...]
+   *   where id is the job's id
+   *
+   * Throws BadRequestError on an unknown state or sort.
+   **/
+
+  static async findAll(username, { state, sort = "-updatedAt" } = {}) {
+    const values = [username];
+    let stateFilter = "";
+
+    if (state !== undefined) {
+      const states = [].concat(state);
+      states.forEach(checkState);
+      values.push(states);
+      stateFilter = "AND a.current_state = ANY($2::state[])";
+    }
+
+    const sortField = typeof sort === "string" && sort.replace(/^-/, "");
+    if (!Object.prototype.hasOwnProperty.call(SORT_COLUMNS, sortField)) {
+      throw new BadRequestError(`Invalid sort: ${sort}`);
+    }
+    const direction = sort.startsWith("-") ? "DESC" : "ASC";
+
+    const result = await db.query(
+          `SELECT j.id,
+                  j.title,
+                  j.company_handle AS "companyHandle",
+                  c.name AS "companyName",
+                  a.current_state AS "state",
+                  a.applied_at AS "appliedAt",
+                  a.updated_at AS "updatedAt"
+           FROM applications a
+           JOIN jobs j ON j.id = a.job_id
+           JOIN companies c ON c.handle = j.company_handle
+           WHERE a.username = $1 ${stateFilter}
+           ORDER BY ${SORT_COLUMNS[sortField]} ${direction} NULLS LAST, j.title`,
+        values);
+
+    return result.rows;
+  }
+
+  /** Find the applicants for a company's jobs or for a single job.
+   *
+   * where is { companyHandle } or { jobId }.
+   *
+   * Can filter on state (a single state or an array of them) and page
+   * through results with page and limit (see parsePagination). Most
+   * recently updated applications come first.
+   *
+   * Returns { applicants, total, page, limit }
+   *   where applicants is [{ username, firstName, lastName, email, jobId,
+   *                          jobTitle, state, appliedAt, updatedAt,
+   *                          technologies }, ...]
+   *   and total is the number of matching applicants across all pages
+   *
+   * Throws BadRequestError on an unknown state or bad page/limit.
+   **/
+
+  static async findApplicants({ companyHandle, jobId }, { state, page, limit } = {}) {
+    const pagination = parsePagination({ page, limit });
+
+    const whereSqlArr = [];
+    const values = [];
+
+    if (companyHandle !== undefined) {
+      values.push(companyHandle);
+      whereSqlArr.push(`j.company_handle = $${values.length}`);
+    }
+    if (jobId !== undefined) {
+      values.push(jobId);
+      whereSqlArr.push(`j.id = $${values.length}`);
+    }
+    if (state !== undefined) {
+      const states = [].concat(state);
+      states.forEach(checkState);
+      values.push(states);
+      whereSqlArr.push(`a.current_state = ANY($${values.length}::state[])`);
+    }
+    const whereSql = whereSqlArr.length ? `WHERE ${whereSqlArr.join(" AND ")}` : "";
+
+    const countRes = await db.query(
+          `SELECT COUNT(*)::integer AS "total"
+           FROM applications a
+           JOIN jobs j ON j.id = a.job_id
+           ${whereSql}`,
+        values);
+
+    const result = await db.query(
+          `SELECT a.username,
+                  u.first_name AS "firstName",
+                  u.last_name AS "lastName",
+                  u.email,
+                  j.id AS "jobId",
+                  j.title AS "jobTitle",
+                  a.current_state AS "state",
+                  a.applied_at AS "appliedAt",
+                  a.updated_at AS "updatedAt",
+                  COALESCE((SELECT array_agg(t.name ORDER BY t.name)
+                            FROM technologies_users tu
+                            JOIN technologies t ON t.id = tu.tech_id
+                            WHERE tu.username = a.username), '{}') AS "technologies"
+           FROM applications a
+           JOIN users u ON u.username = a.username
+           JOIN jobs j ON j.id = a.job_id
+           ${whereSql}
+           ORDER BY a.updated_at DESC, a.username, j.id
+           LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+        [...values, pagination.limit, pagination.offset]);
+
+    return {
+      applicants: result.rows,
+      total: countRes.rows[0].total,
+      page: pagination.page,
+      limit: pagination.limit,
+    };
+  }
+
+  /** Move a user's application for a job to `state`, creating the
+   * application if there isn't one yet.
+   *
+   * options can include { changedBy, note }; see create and update.
+   *
+   * Returns { username, jobId, state, appliedAt, updatedAt }
+   *
+   * Throws NotFoundError if user or job not found, and BadRequestError if
+   * the move isn't allowed (see TRANSITIONS) or the job isn't open.
+   **/
+
+  static async changeState(username, jobId, state, options = {}) {
+    const existsRes = await db.query(
+          `SELECT job_id
+           FROM applications
+           WHERE username = $1 AND job_id = $2`,
+        [username, jobId]);
+
+    return existsRes.rows[0]
+        ? Application.update(username, jobId, state, options)
+        : Application.create(username, jobId, state, options);
+  }
+
+  /** Insert a new application in `state`.
+   *
+   * options can include { changedBy, note } for the history entry;
+   * changedBy defaults to the applicant.
+   *
+   * Returns { username, jobId, state, appliedAt, updatedAt }
+   *
+   * Throws NotFoundError if user or job not found, and BadRequestError if
+   * an application can't start in `state`, already exists, or the job isn't
+   * open.
+   **/
+
+  static async create(username, jobId, state, { changedBy = username, note = null } = {}) {
+    if (!INITIAL_STATES.includes(state)) {
+      throw new BadRequestError(`A new application can't start as ${state}`);
+    }
+
+    const duplicateCheck = await db.query(
+          `SELECT job_id
+           FROM applications
+           WHERE username = $1 AND job_id = $2`,
+        [username, jobId]);
+    if (duplicateCheck.rows[0]) {
+      throw new BadRequestError(`Duplicate Application for job ID: ${jobId}`);
+    }
+
+    const userRes = await db.query(
+          `SELECT username FROM users WHERE username = $1`, [username]);
+    if (!userRes.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    const jobRes = await db.query(
+          `SELECT id FROM jobs WHERE id = $1`, [jobId]);
+    if (!jobRes.rows[0]) throw new NotFoundError(`No job with id: ${jobId}`);
+    await checkJobOpen(jobId, state);
+
+    // another request may have created the application since the check above
+    const result = await db.query(
+          `INSERT INTO applications (username, job_id, current_state, applied_at)
+           VALUES ($1, $2, $3, CASE WHEN $3::state = 'applied' THEN NOW() END)
+           ON CONFLICT (username, job_id) DO NOTHING
+           RETURNING username,
+                     job_id AS "jobId",
+                     current_state AS "state",
+                     applied_at AS "appliedAt",
+                     updated_at AS "updatedAt"`,
+        [username, jobId, state]);
+    const application = result.rows[0];
+
+    if (!application) {
+      throw new BadRequestError(`Duplicate Application for job ID: ${jobId}`);
+    }
+
+    await Application.recordChange(application, null, changedBy, note);
+
+    return application;
+  }
+
+  /** Move an existing application to `state`.
+   *
+   * options can include { changedBy, note } for the history entry;
+   * changedBy defaults to the applicant.
+   *
+   * Returns { username, jobId, state, appliedAt, updatedAt }
+   *
+   * Throws NotFoundError if there is no such application, and
+   * BadRequestError if the move isn't allowed (see TRANSITIONS), it's to
+   * interested or applied and the job isn't open, or the application
+   * changed state while this ran.
+   **/
+
+  static async update(username, jobId, state, { changedBy = username, note = null } = {}) {
+    checkState(state);
+
+    const current = await Application.get(username, jobId);
+
+    if (current.state === state) {
+      throw new BadRequestError(`Application for job ID: ${jobId} is already ${state}`);
+    }
+    if (!TRANSITIONS[current.state].includes(state)) {
+      throw new BadRequestError(
+          `Cannot move application for job ID: ${jobId} from ${current.state} to ${state}`);
+    }
+    await checkJobOpen(jobId, state);
+
+    // only moves from the state checked above, so requests racing each
+    // other can't both move the application
+    const result = await db.query(
+          `UPDATE applications
+           SET current_state = $3::state,
+               applied_at = CASE WHEN $3::state = 'applied' THEN NOW() ELSE applied_at END,
+               updated_at = NOW()
+           WHERE username = $1 AND job_id = $2 AND current_state = $4::state
+           RETURNING username,
+                     job_id AS "jobId",
+                     current_state AS "state",
+                     applied_at AS "appliedAt",
+                     updated_at AS "updatedAt"`,
+        [username, jobId, state, current.state]);
+    const application = result.rows[0];
+
+    if (!application) {
+      throw new BadRequestError(
+          `Application for job ID: ${jobId} was changed by another request; try again`);
+    }
+
+    await Application.recordChange(application, current.state, changedBy, note);
+
+    return application;
+  }
+
+  /** Add an entry to an application's history; returns undefined. */
+
+  static async recordChange({ username, jobId, state }, fromState, changedBy, note) {
+    await db.query(
+          `INSERT INTO application_history
+           (username, job_id, from_state, to_state, changed_by, note)
+           VALUES ($1, $2, $3, $4, $5, $6)`,
+        [username, jobId, fromState, state, changedBy, note]);
+  }
+
+  /** Given a username and job id, return the application's history,
+   * oldest change first.
+   *
+   * Returns [{ fromState, toState, changedBy, note, changedAt }, ...]
+   *   where fromState is null for the change that created the application
+   *
+   * Throws NotFoundError if the user has no application for the job.
+   **/
+
+  static async getHistory(username, jobId) {
+    await Application.get(username, jobId);
+
+    const result = await db.query(
+          `SELECT from_state AS "fromState",
+                  to_state AS "toState",
+                  changed_by AS "changedBy",
+                  note,
+                  changed_at AS "changedAt"
+           FROM application_history
+           WHERE username = $1 AND job_id = $2
+           ORDER BY changed_at, id`,
+        [username, jobId]);
+
+    return result.rows;
+  }
+}
+
+
+module.exports = Application;
@@ -0,0 +1,426 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const Application = require("./application.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+let jobId;
+
+beforeEach(async function () {
+  const result = await db.query(
+      "SELECT id FROM jobs WHERE title = 'job title 1'");
+  jobId = result.rows[0].id;
+});
+
+/************************************** create */
+
+describe("create", function () {
+  test("works: interested", async function () {
+    const application = await Application.create("u1", jobId, "interested");
+    expect(application).toEqual({
+      username: "u1",
+      jobId,
+      state: "interested",
+      appliedAt: null,
+      updatedAt: expect.any(Date),
+    });
+  });
+
+  test("works: applied sets appliedAt", async function () {
+    const application = await Application.create("u1", jobId, "applied");
+    expect(application.appliedAt).toEqual(expect.any(Date));
+  });
+
+  test("bad request if starting as accepted", async function () {
+    try {
+      await Application.create("u1", jobId, "accepted");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request on duplicate", async function () {
+    try {
+      await Application.create("u1", jobId, "applied");
+      await Application.create("u1", jobId, "interested");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request on duplicate created concurrently", async function () {
+    const results = await Promise.allSettled([
+      Application.create("u1", jobId, "applied"),
+      Application.create("u1", jobId, "interested"),
+    ]);
+
+    expect(results.map(r => r.status).sort()).toEqual(["fulfilled", "rejected"]);
+    expect(results.find(r => r.status === "rejected").reason)
+        .toBeInstanceOf(BadRequestError);
+  });
+
+  test("not found if no such job", async function () {
+    try {
+      await Application.create("u1", 0, "applied");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await Application.create("nope", jobId, "applied");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  let jobIds;
+
+  beforeEach(async function () {
+    const result = await db.query(
+        "SELECT id FROM jobs WHERE title IN ('job title 2', 'job title 3') ORDER BY title");
+    jobIds = result.rows.map(r => r.id);
+
+    await Application.create("u1", jobId, "applied");
+    await Application.create("u1", jobIds[0], "interested");
+    await Application.create("u1", jobIds[1], "applied");
+    await db.query(
+        `UPDATE applications
+         SET applied_at = NOW() - INTERVAL '1 day',
+             updated_at = NOW() - INTERVAL '1 day'
+         WHERE job_id = $1`, [jobIds[1]]);
+  });
+
+  test("works: defaults to most recently updated", async function () {
+    const applications = await Application.findAll("u1");
+    expect(applications.map(a => a.title))
+        .toEqual(["job title 1", "job title 2", "job title 3"]);
+    expect(applications[0]).toEqual({
+      id: jobId,
+      title: "job title 1",
+      companyHandle: "c1",
+      companyName: "C1",
+      state: "applied",
+      appliedAt: expect.any(Date),
+      updatedAt: expect.any(Date),
+    });
+  });
+
+  test("works: filter by states", async function () {
+    const applications = await Application.findAll("u1", { state: ["applied"] });
+    expect(applications.map(a => a.title)).toEqual(["job title 1", "job title 3"]);
+  });
+
+  test("works: sort by appliedAt, oldest first", async function () {
+    const applications = await Application.findAll("u1", { sort: "appliedAt" });
+    expect(applications.map(a => a.title))
+        .toEqual(["job title 3", "job title 1", "job title 2"]);
+  });
+
+  test("bad request on invalid state", async function () {
+    for (let state of ["hired", "constructor"]) {
+      try {
+        await Application.findAll("u1", { state });
+        fail();
+      } catch (err) {
+        expect(err instanceof BadRequestError).toBeTruthy();
+      }
+    }
+  });
+
+  test("bad request on invalid sort", async function () {
+    try {
+      await Application.findAll("u1", { sort: "title; DROP TABLE users" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request on a sort that isn't a column", async function () {
+    for (let sort of [["appliedAt"], "constructor"]) {
+      try {
+        await Application.findAll("u1", { sort });
+        fail();
+      } catch (err) {
+        expect(err instanceof BadRequestError).toBeTruthy();
+      }
+    }
+  });
+});
+
+/************************************** findApplicants */
+
+describe("findApplicants", function () {
+  beforeEach(async function () {
+    await Application.create("u1", jobId, "applied");
+    await Application.create("u2", jobId, "interested");
+  });
+
+  test("works: by job", async function () {
+    const result = await Application.findApplicants({ jobId });
+    expect(result).toEqual({
+      applicants: [
+        {
+          username: "u1",
+          firstName: "U1F",
+          lastName: "U1L",
+          email: "u1@email.com",
+          jobId,
+          jobTitle: "job title 1",
+          state: "applied",
+          appliedAt: expect.any(Date),
+          updatedAt: expect.any(Date),
+          technologies: ["javascript", "python"],
+        },
+        {
+          username: "u2",
+          firstName: "U2F",
+          lastName: "U2L",
+          email: "u2@email.com",
+          jobId,
+          jobTitle: "job title 1",
+          state: "interested",
+          appliedAt: null,
+          updatedAt: expect.any(Date),
+          technologies: [],
+        },
+      ],
+      total: 2,
+      page: 1,
+      limit: 20,
+    });
+  });
+
+  test("works: by company, filtered by state", async function () {
+    const result = await Application.findApplicants(
+        { companyHandle: "c1" }, { state: "interested" });
+    expect(result.applicants.map(a => a.username)).toEqual(["u2"]);
+    expect(result.total).toEqual(1);
+  });
+
+  test("works: pagination", async function () {
+    const result = await Application.findApplicants(
+        { jobId }, { page: "2", limit: "1" });
+    expect(result.applicants.map(a => a.username)).toEqual(["u2"]);
+    expect(result).toEqual(expect.objectContaining({ total: 2, page: 2, limit: 1 }));
+  });
+
+  test("bad request on invalid state", async function () {
+    for (let state of ["hired", "toString"]) {
+      try {
+        await Application.findApplicants({ jobId }, { state });
+        fail();
+      } catch (err) {
+        expect(err instanceof BadRequestError).toBeTruthy();
+      }
+    }
+  });
+
+  test("bad request on invalid page", async function () {
+    try {
+      await Application.findApplicants({ jobId }, { page: 0 });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request on limit too large", async function () {
+    try {
+      await Application.findApplicants({ jobId }, { limit: 1000 });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** get */
+
+describe("get", function () {
+  test("works", async function () {
+    await Application.create("u1", jobId, "applied");
+    const application = await Application.get("u1", jobId);
+    expect(application).toEqual({
+      username: "u1",
+      jobId,
+      state: "applied",
+      appliedAt: expect.any(Date),
+      updatedAt: expect.any(Date),
+    });
+  });
+
+  test("not found if no application", async function () {
+    try {
+      await Application.get("u1", jobId);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** update */
+
+describe("update", function () {
+  test("works: interested -> applied -> accepted", async function () {
+    await Application.create("u1", jobId, "interested");
+    let application = await Application.update("u1", jobId, "applied");
+    expect(application.state).toEqual("applied");
+    application = await Application.update("u1", jobId, "accepted");
+    expect(application).toEqual({
+      username: "u1",
+      jobId,
+      state: "accepted",
+      appliedAt: expect.any(Date),
+      updatedAt: expect.any(Date),
+    });
+  });
+
+  test("bad request: rejected -> applied", async function () {
+    await Application.create("u1", jobId, "applied");
+    await Application.update("u1", jobId, "rejected");
+    try {
+      await Application.update("u1", jobId, "applied");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+      expect(err.message).toEqual(
+          `Cannot move application for job ID: ${jobId} from rejected to applied`);
+    }
+  });
+
+  test("bad request: interested -> accepted", async function () {
+    await Application.create("u1", jobId, "interested");
+    try {
+      await Application.update("u1", jobId, "accepted");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request: invalid state", async function () {
+    await Application.create("u1", jobId, "applied");
+    for (let state of ["hired", "constructor"]) {
+      try {
+        await Application.update("u1", jobId, state);
+        fail();
+      } catch (err) {
+        expect(err instanceof BadRequestError).toBeTruthy();
+      }
+    }
+  });
+
+  test("bad request for all but one of concurrent moves", async function () {
+    await Application.create("u1", jobId, "applied");
+    const results = await Promise.allSettled([
+      Application.update("u1", jobId, "accepted", { changedBy: "u2" }),
+      Application.update("u1", jobId, "rejected", { changedBy: "u2" }),
+    ]);
+
+    expect(results.map(r => r.status).sort()).toEqual(["fulfilled", "rejected"]);
+    expect(results.find(r => r.status === "rejected").reason)
+        .toBeInstanceOf(BadRequestError);
+    const history = await Application.getHistory("u1", jobId);
+    expect(history.length).toEqual(2);
+  });
+
+  test("not found if no application", async function () {
+    try {
+      await Application.update("u1", jobId, "applied");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** changeState */
+
+describe("changeState", function () {
+  test("creates or moves", async function () {
+    let application = await Application.changeState("u1", jobId, "interested");
+    expect(application.state).toEqual("interested");
+    application = await Application.changeState("u1", jobId, "applied");
+    expect(application.state).toEqual("applied");
+  });
+});
+
+/************************************** getHistory */
+
+describe("getHistory", function () {
+  test("works", async function () {
+    await Application.create("u1", jobId, "interested");
+    await Application.update("u1", jobId, "applied");
+    await Application.update("u1", jobId, "rejected",
+        { changedBy: "u2", note: "Position filled" });
+
+    const history = await Application.getHistory("u1", jobId);
+    expect(history).toEqual([
+      {
+        fromState: null,
+        toState: "interested",
+        changedBy: "u1",
+        note: null,
+        changedAt: expect.any(Date),
+      },
+      {
+        fromState: "interested",
+        toState: "applied",
+        changedBy: "u1",
+        note: null,
+        changedAt: expect.any(Date),
+      },
+      {
+        fromState: "applied",
+        toState: "rejected",
+        changedBy: "u2",
+        note: "Position filled",
+        changedAt: expect.any(Date),
+      },
+    ]);
+  });
+
+  test("failed moves are not recorded", async function () {
+    await Application.create("u1", jobId, "applied");
+    try {
+      await Application.update("u1", jobId, "interested");
+    } catch (err) {
+      // expected
+    }
+
+    const history = await Application.getHistory("u1", jobId);
+    expect(history.length).toEqual(1);
+  });
+
+  test("not found if no application", async function () {
+    try {
+      await Application.getHistory("u1", jobId);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
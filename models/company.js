@@ -2,8 +2,35 @@
 
 const { query } = require("express");
 const db = require("../db");
-const { BadRequestError, NotFoundError, ExpressError } = require("../expressError");
-const { sqlForPartialUpdate } = require("../helpers/sql");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { sqlForPartialUpdate, sqlForSort, sqlForFilter } = require("../helpers/sql");
+const { parsePagination } = require("../helpers/pagination");
+const Application = require("./application");
+const Job = require("./job");
+
+/** Filters companies can be searched by; see sqlForFilter. */
+
+const FILTERS = {
+  name: { column: "name", op: "ilike" },
+  minEmployees: { column: "num_employees", op: "gt", type: "integer" },
+  maxEmployees: { column: "num_employees", op: "lt", type: "integer" },
+};
+
+/** Fields companies can be sorted by, mapped to their columns. */
+
+const SORTABLE_COLS = {
+  handle: "handle",
+  name: "name",
+  numEmployees: "num_employees",
+};
+
+/** Matches jobs `j` that can be applied to; see Job.checkOpen. */
+
+const OPEN_JOB_SQL = "j.status = 'open' AND (j.expires_at IS NULL OR j.expires_at > NOW())";
+
+/** How many technologies getStats lists. */
+
+const TOP_TECHNOLOGIES = 5;
 
 /** Related functions for companies. */
 
@@ -47,60 +74,38 @@ class Company {
 
   /** Find all companies.
    * 
-   * Filterable by name, min or max employees (Consider refactoring later)
-   * 
-   * filterStatement: variable for preparing an SQL WHERE clause
-   * filterSqlArr: array for containing multiple filters
-   * filterVals: array for values to be passed as parameterized values
+   * Filterable by name (case-insensitive, partial match), minEmployees and
+   * maxEmployees; see FILTERS and sqlForFilter
    * 
-   * sqlQuery: string containing sql query, if there are filters they will
-   * be passed in via filterStatement
+   * Paged with page and limit, and sorted with sort, ie. "name,-numEmployees"
+   * (default "name"); see parsePagination and sqlForSort
    *
-   * Returns [{ handle, name, description, numEmployees, logoUrl }, ...]
+   * Returns { companies, total, page, limit }
+   *   where companies is [{ handle, name, description, numEmployees, logoUrl }, ...]
+   *   and total is the number of matching companies across all pages
    * 
+   * Throws BadRequestError on an unknown filter, or if minEmployees is
+   * greater than maxEmployees
    * */
 
   static async findAll(queryStringData={}) {
-    let queryKeys = Object.keys(queryStringData);
-    let queryValues = Object.values(queryStringData);
+    const { page, limit, sort = "name", ...filterData } = queryStringData;
+    const pagination = parsePagination({ page, limit });
+    const orderBy = sqlForSort(sort, SORTABLE_COLS);
 
-    const {minEmployees, maxEmployees} = queryStringData;
+    const { whereClause: filterStatement, values: filterVals } = sqlForFilter(filterData, FILTERS);
+
+    const {minEmployees, maxEmployees} = filterData;
     // throw error if minEmployees is greater than maxEmployees
-    if(minEmployees > maxEmployees) throw new ExpressError("minEmployees must be less than maxEmployees", 400);
-
-    let filterStatement = "";
-    let filterSqlArr = []; // Array of filter sql statements, goes after WHERE
-    let filterVals = []; // Arr of vals corr. by index to above sql statements
-
-    // check if queryStringData has any filter parameters, and 
-    // push to filteredSqlArr => ["(name ILIKE $1)", "(numEmployees < $2)", ...]
-    if(queryKeys.length !== 0){
-      filterStatement = "WHERE";
-      for(let i in queryKeys){
-        if(queryKeys[i] == "name"){
-          // name needs to be prepared specially for partial filters using % wildcards
-          filterSqlArr.push(`(name ILIKE $${parseInt(i)+1})`);
-          filterVals.push(`%${queryValues[i]}%`);
-          // console.log(filterVals);
-
-        }else if(queryKeys[i] == "minEmployees"){
-          // filter companies by a minimum number of employees
-          filterSqlArr.push(`(num_employees > $${parseInt(i)+1})`);
-          
-          filterVals.push(parseInt(queryValues[i]));
-        }else if(queryKeys[i] == "maxEmployees"){
-          // filter companies by a maximum number of employees
-          filterSqlArr.push(`(num_employees < $${parseInt(i)+1})`);
-          
-          filterVals.push(parseInt(queryValues[i]));
-        }else{
-          // If filter parameter not matching named filters, throw error
-          throw new ExpressError(`Invalid filter parameter: ${queryKeys[i]}`, 400);
-        }
-      }   
-      filterStatement += filterSqlArr.join(' AND ');
+    if(Number(minEmployees) > Number(maxEmployees)) {
+      throw new BadRequestError("minEmployees must be less than maxEmployees");
     }
 
+    const countRes = await db.query(
+      `SELECT COUNT(*)::integer AS "total"
+       FROM companies
+       ${filterStatement}`, filterVals);
+
     const sqlQuery = 
     `SELECT handle,
             name,
@@ -109,14 +114,24 @@ class Company {
             logo_url AS "logoUrl"
     FROM companies
     ${filterStatement}
-    ORDER BY name`;
+    ORDER BY ${orderBy}, handle
+    LIMIT $${filterVals.length + 1} OFFSET $${filterVals.length + 2}`;
     
-    const companiesRes = await db.query(sqlQuery, filterVals);
+    const companiesRes = await db.query(sqlQuery,
+      [...filterVals, pagination.limit, pagination.offset]);
 
-    return companiesRes.rows;
+    return {
+      companies: companiesRes.rows,
+      total: countRes.rows[0].total,
+      page: pagination.page,
+      limit: pagination.limit,
+    };
   }
 
   /** Given a company handle, return data about company.
+   *
+   * With openOnly, jobs that can't be applied to (see Job.checkOpen) are
+   * left out, ie. for anyone but admins
    *
    * Returns { handle, name, description, numEmployees, logoUrl, jobs }
    *   where jobs is [{ id, title, salary, equity }, ...]
@@ -124,24 +139,26 @@ class Company {
    * Throws NotFoundError if not found.
    **/
 
-  static async get(handle) {
+  static async get(handle, { openOnly = false } = {}) {
     const companyRes = await db.query(
-          `WITH job_info AS 
-                  (SELECT id, title, salary, equity 
-                   FROM jobs
-                   WHERE company_handle = $1)
-           SELECT c.handle,
+          `SELECT c.handle,
                   c.name,
                   c.description,
                   c.num_employees AS "numEmployees",
                   c.logo_url AS "logoUrl",
-                  json_agg(job_info.*) AS "jobs"
+                  COALESCE(json_agg(json_build_object(
+                             'id', j.id,
+                             'title', j.title,
+                             'salary', j.salary,
+                             'equity', j.equity) ORDER BY j.id)
+                           FILTER (WHERE j.id IS NOT NULL), '[]') AS "jobs"
            FROM companies c
-           JOIN jobs j ON j.company_handle = c.handle
-           JOIN job_info ON job_info.title = j.title
-           WHERE handle = $1
+           LEFT JOIN jobs j
+             ON j.company_handle = c.handle
+            AND (NOT $2 OR (${OPEN_JOB_SQL}))
+           WHERE c.handle = $1
            GROUP BY c.handle`,
-        [handle]);
+        [handle, openOnly]);
 
     const company = companyRes.rows[0];
 
@@ -150,6 +167,93 @@ class Company {
     return company;
   }
 
+  /** Given a company handle, return the applicants for its jobs.
+   *
+   * filters can include { state, page, limit }; see
+   * Application.findApplicants
+   *
+   * Returns { applicants, total, page, limit }
+   *
+   * Throws NotFoundError if company not found.
+   **/
+
+  static async getApplicants(handle, filters = {}) {
+    const companyRes = await db.query(
+          `SELECT handle
+           FROM companies
+           WHERE handle = $1`,
+        [handle]);
+
+    if (!companyRes.rows[0]) throw new NotFoundError(`No company: ${handle}`);
+
+    return Application.findApplicants({ companyHandle: handle }, filters);
+  }
+
+  /** Given a company handle, return numbers about its open jobs (those that
+   * can be applied to; see Job.checkOpen) and its applications.
+   *
+   * Returns { handle, openJobs, salary, equityShare, applications,
+   *           topTechnologies }
+   *   where openJobs counts open jobs
+   *         salary is [{ currency, min, median, max }, ...], yearly pay for
+   *           each currency its open jobs pay in (see Job.salaryStats)
+   *         equityShare is the fraction of open jobs offering equity, 0 to 1
+   *         applications is { interested, applied, ... }, a count for each
+   *           state, for any of its jobs
+   *         topTechnologies is [{ name, jobs }, ...], the technologies most
+   *           of the company's open jobs ask for
+   *
+   * Throws NotFoundError if company not found.
+   **/
+
+  static async getStats(handle) {
+    const jobsRes = await db.query(
+          `SELECT c.handle,
+                  COUNT(j.id)::integer AS "openJobs",
+                  COALESCE(AVG((COALESCE(j.equity, 0) > 0)::integer), 0)::float AS "equityShare"
+           FROM companies c
+           LEFT JOIN jobs j ON j.company_handle = c.handle AND ${OPEN_JOB_SQL}
+           WHERE c.handle = $1
+           GROUP BY c.handle`,
+        [handle]);
+
+    const stats = jobsRes.rows[0];
+
+    if (!stats) throw new NotFoundError(`No company: ${handle}`);
+
+    const salary = await Job.salaryStats(handle);
+
+    const applicationsRes = await db.query(
+          `SELECT s.state, COUNT(j.id)::integer AS "count"
+           FROM unnest(enum_range(NULL::state)) AS s(state)
+           LEFT JOIN applications a ON a.current_state = s.state
+           LEFT JOIN jobs j ON j.id = a.job_id AND j.company_handle = $1
+           GROUP BY s.state
+           ORDER BY s.state`,
+        [handle]);
+
+    const technologiesRes = await db.query(
+          `SELECT t.name, COUNT(*)::integer AS "jobs"
+           FROM technologies_jobs tj
+           JOIN technologies t ON t.id = tj.tech_id
+           JOIN jobs j ON j.id = tj.job_id
+           WHERE j.company_handle = $1 AND ${OPEN_JOB_SQL}
+           GROUP BY t.name
+           ORDER BY "jobs" DESC, t.name
+           LIMIT $2`,
+        [handle, TOP_TECHNOLOGIES]);
+
+    return {
+      handle: stats.handle,
+      openJobs: stats.openJobs,
+      salary,
+      equityShare: stats.equityShare,
+      applications: Object.fromEntries(
+          applicationsRes.rows.map(({ state, count }) => [state, count])),
+      topTechnologies: technologiesRes.rows,
+    };
+  }
+
   /** Update company data with `data`.
    *
    * This is a "partial update" --- it's fine if data doesn't contain all the
@@ -60,7 +60,7 @@ describe("create", function () {
 
 describe("findAll", function () {
   test("works: no filter", async function () {
-    let companies = await Company.findAll();
+    let { companies } = await Company.findAll();
     expect(companies).toEqual([
       {
         handle: "c1",
@@ -88,7 +88,7 @@ describe("findAll", function () {
   
   test("works: filters by name, case-insensitive", async function () {
     let filterParams = { name: "c2" };
-    let companies = await Company.findAll(filterParams);
+    let { companies } = await Company.findAll(filterParams);
     expect(companies).toEqual([
       {
         handle: "c2",
@@ -102,7 +102,7 @@ describe("findAll", function () {
 
   test("works: filters by min employees", async function () {
     let filterParams = { minEmployees: 2 };
-    let companies = await Company.findAll(filterParams);
+    let { companies } = await Company.findAll(filterParams);
     expect(companies).toEqual([
       {
         handle: "c3",
@@ -116,7 +116,7 @@ describe("findAll", function () {
 
   test("works: filters by max employees", async function () {
     let filterParams = { maxEmployees: 2 };
-    let companies = await Company.findAll(filterParams);
+    let { companies } = await Company.findAll(filterParams);
     expect(companies).toEqual([
       {
         handle: "c1",
@@ -130,7 +130,7 @@ describe("findAll", function () {
 
   test("works: filters with multiple parameters", async function () {
     let filterParams = { name: 'c', maxEmployees:3 };
-    let companies = await Company.findAll(filterParams);
+    let { companies } = await Company.findAll(filterParams);
     expect(companies).toEqual([
       {
         handle: "c1",
@@ -149,6 +149,30 @@ describe("findAll", function () {
     ]);
   });
 
+  test("works: sorts and pages", async function () {
+    let result = await Company.findAll({ sort: "-numEmployees", page: 1, limit: 2 });
+    expect(result.companies.map(c => c.handle)).toEqual(["c3", "c2"]);
+    expect(result).toEqual(expect.objectContaining({ total: 3, page: 1, limit: 2 }));
+
+    result = await Company.findAll({ sort: "-numEmployees", page: 2, limit: 2 });
+    expect(result.companies.map(c => c.handle)).toEqual(["c1"]);
+  });
+
+  test("works: total counts filtered companies", async function () {
+    let result = await Company.findAll({ maxEmployees: 3, limit: 1 });
+    expect(result.total).toEqual(2);
+    expect(result.companies.length).toEqual(1);
+  });
+
+  test("Error if sorting on unknown field", async function () {
+    try {
+      await Company.findAll({ sort: "description" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
   test("Error if minEmployee greater than maxEmployee", async function () {
     let filterParams = { minEmployees: 4, maxEmployees:3 };
     expect(async () => {
@@ -187,6 +211,23 @@ describe("get", function () {
     });
   });
 
+  test("works: openOnly leaves out closed and expired jobs", async function () {
+    await db.query(`UPDATE jobs SET status = 'closed' WHERE title = 'job title 2'`);
+    await db.query(`UPDATE jobs SET expires_at = NOW() WHERE title = 'job title 3'`);
+
+    let company = await Company.get("c2", { openOnly: true });
+    expect(company.jobs.map(j => j.title)).toEqual(["job title 4"]);
+
+    company = await Company.get("c2");
+    expect(company.jobs.length).toEqual(3);
+  });
+
+  test("works: company w/o jobs", async function () {
+    await db.query(`DELETE FROM jobs WHERE company_handle = 'c1'`);
+    let company = await Company.get("c1");
+    expect(company.jobs).toEqual([]);
+  });
+
   test("not found if no such company", async function () {
     try {
       await Company.get("nope");
@@ -197,6 +238,183 @@ describe("get", function () {
   });
 });
 
+/************************************** getStats */
+
+describe("getStats", function () {
+  test("works", async function () {
+    await db.query(
+        `INSERT INTO jobs (title, salary, equity, company_handle)
+         VALUES ('job title 5', 44444, null, 'c2'),
+                ('job title 6', null, null, 'c2')`);
+    await db.query(
+        `INSERT INTO applications (username, job_id, current_state)
+         SELECT u.username, j.id, 'applied'
+         FROM users u, jobs j
+         WHERE j.title = 'job title 2'`);
+    await db.query(
+        `INSERT INTO applications (username, job_id, current_state)
+         SELECT 'u1', id, 'rejected'
+         FROM jobs
+         WHERE title IN ('job title 3', 'job title 1')`);
+
+    const stats = await Company.getStats("c2");
+    expect(stats).toEqual({
+      handle: "c2",
+      openJobs: 5,
+      salary: [{ currency: "USD", min: 22222, median: 22222, max: 44444 }],
+      equityShare: 0.2,
+      applications: {
+        interested: 0,
+        applied: 2,
+        accepted: 0,
+        rejected: 1,
+        withdrawn: 0,
+      },
+      topTechnologies: [{ name: "sql", jobs: 1 }],
+    });
+  });
+
+  test("works: only counts open jobs that haven't expired", async function () {
+    await db.query(`UPDATE jobs SET status = 'filled' WHERE title = 'job title 2'`);
+    await db.query(`UPDATE jobs SET expires_at = NOW() WHERE title = 'job title 3'`);
+
+    const stats = await Company.getStats("c2");
+    expect(stats.openJobs).toEqual(1);
+    expect(stats.salary).toEqual([{ currency: "USD", min: 22222, median: 22222, max: 22222 }]);
+  });
+
+  test("works: median between two salaries", async function () {
+    const stats = await Company.getStats("c1");
+    expect(stats.salary).toEqual([{ currency: "USD", min: 11111, median: 11111, max: 11111 }]);
+
+    await db.query(
+        `INSERT INTO jobs (title, salary, company_handle)
+         VALUES ('job title 5', 20000, 'c1')`);
+    expect((await Company.getStats("c1")).salary)
+        .toEqual([{ currency: "USD", min: 11111, median: 15555.5, max: 20000 }]);
+  });
+
+  test("works: yearly salary ranges for each currency", async function () {
+    await db.query(
+        `INSERT INTO jobs (title, salary, salary_max, salary_currency, salary_period, company_handle)
+         VALUES ('job title 5', 20, 30, 'USD', 'hour', 'c1'),
+                ('job title 6', 3000, 4000, 'EUR', 'month', 'c1')`);
+
+    const stats = await Company.getStats("c1");
+    expect(stats.salary).toEqual([
+      { currency: "EUR", min: 36000, median: 42000, max: 48000 },
+      { currency: "USD", min: 11111, median: 31555.5, max: 62400 },
+    ]);
+  });
+
+  test("works: most requested technologies first", async function () {
+    await db.query(
+        `INSERT INTO technologies_jobs (tech_id, job_id)
+         SELECT t.id, j.id
+         FROM technologies t, jobs j
+         WHERE j.company_handle = 'c2' AND t.name IN ('python', 'sql')
+         ON CONFLICT DO NOTHING`);
+    await db.query(
+        `DELETE FROM technologies_jobs
+         WHERE job_id = (SELECT id FROM jobs WHERE title = 'job title 4')
+           AND tech_id = (SELECT id FROM technologies WHERE name = 'python')`);
+
+    const stats = await Company.getStats("c2");
+    expect(stats.topTechnologies).toEqual([
+      { name: "sql", jobs: 3 },
+      { name: "python", jobs: 2 },
+    ]);
+  });
+
+  test("works: no jobs", async function () {
+    await db.query(
+        `INSERT INTO companies (handle, name, num_employees, description)
+         VALUES ('c4', 'C4', 4, 'Desc4')`);
+
+    const stats = await Company.getStats("c4");
+    expect(stats).toEqual({
+      handle: "c4",
+      openJobs: 0,
+      salary: [],
+      equityShare: 0,
+      applications: {
+        interested: 0,
+        applied: 0,
+        accepted: 0,
+        rejected: 0,
+        withdrawn: 0,
+      },
+      topTechnologies: [],
+    });
+  });
+
+  test("works: leaves out jobs that aren't open", async function () {
+    await db.query(
+        `INSERT INTO companies (handle, name, num_employees, description)
+         VALUES ('c4', 'C4', 4, 'Desc4')`);
+    await db.query(
+        `INSERT INTO jobs (title, salary, equity, company_handle, status)
+         VALUES ('draft job', 90000, 0.5, 'c4', 'draft'),
+                ('closed job', 80000, 0.5, 'c4', 'closed')`);
+    await db.query(
+        `INSERT INTO technologies_jobs (tech_id, job_id)
+         SELECT t.id, j.id
+         FROM technologies t, jobs j
+         WHERE j.company_handle = 'c4' AND t.name = 'sql'`);
+
+    const stats = await Company.getStats("c4");
+    expect(stats).toEqual(expect.objectContaining({
+      openJobs: 0,
+      salary: [],
+      equityShare: 0,
+      topTechnologies: [],
+    }));
+  });
+
+  test("not found if no such company", async function () {
+    try {
+      await Company.getStats("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** getApplicants */
+
+describe("getApplicants", function () {
+  test("works", async function () {
+    const jobRes = await db.query(
+        "SELECT id FROM jobs WHERE title = 'job title 2'");
+    await db.query(
+        `INSERT INTO applications (username, job_id, current_state)
+         VALUES ('u1', $1, 'applied')`, [jobRes.rows[0].id]);
+
+    const result = await Company.getApplicants("c2");
+    expect(result.total).toEqual(1);
+    expect(result.applicants[0]).toEqual(expect.objectContaining({
+      username: "u1",
+      jobTitle: "job title 2",
+      state: "applied",
+    }));
+  });
+
+  test("works: no applicants", async function () {
+    const result = await Company.getApplicants("c3");
+    expect(result).toEqual({ applicants: [], total: 0, page: 1, limit: 20 });
+  });
+
+  test("not found if no such company", async function () {
+    try {
+      await Company.getApplicants("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
 /************************************** update */
 
 describe("update", function () {
@@ -0,0 +1,111 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+
+/** Roles a company member can have; see roles in jobly-schema.sql. */
+
+const MEMBER_ROLES = ["recruiter", "company-manager"];
+
+/** Related functions for company members.
+ *
+ * A member is a user who works for a company, ie. a recruiter. Their role
+ * grants its usual permissions (see Role), but only for that company's
+ * jobs and applicants.
+ */
+
+class CompanyMember {
+  /** Find all members of a company.
+   *
+   * Returns [{ username, firstName, lastName, email, role }, ...]
+   *
+   * Throws NotFoundError if company not found.
+   **/
+
+  static async findAll(handle) {
+    const companyRes = await db.query(
+          `SELECT handle FROM companies WHERE handle = $1`, [handle]);
+    if (!companyRes.rows[0]) throw new NotFoundError(`No company: ${handle}`);
+
+    const result = await db.query(
+          `SELECT u.username,
+                  u.first_name AS "firstName",
+                  u.last_name AS "lastName",
+                  u.email,
+                  cm.role
+           FROM company_members cm
+           JOIN users u ON u.username = cm.username
+           WHERE cm.company_handle = $1
+           ORDER BY u.username`,
+        [handle]);
+
+    return result.rows;
+  }
+
+  /** Make a user a member of a company, or change their role if they
+   * already are one.
+   *
+   * Returns { companyHandle, username, role }
+   *
+   * Throws NotFoundError if company or user not found, and BadRequestError
+   * on a role members can't have.
+   **/
+
+  static async add(handle, username, role = "recruiter") {
+    if (!MEMBER_ROLES.includes(role)) throw new BadRequestError(`Invalid member role: ${role}`);
+
+    const companyRes = await db.query(
+          `SELECT handle FROM companies WHERE handle = $1`, [handle]);
+    if (!companyRes.rows[0]) throw new NotFoundError(`No company: ${handle}`);
+
+    const userRes = await db.query(
+          `SELECT username FROM users WHERE username = $1`, [username]);
+    if (!userRes.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    const result = await db.query(
+          `INSERT INTO company_members (company_handle, username, role)
+           VALUES ($1, $2, $3)
+           ON CONFLICT (company_handle, username) DO UPDATE
+           SET role = EXCLUDED.role
+           RETURNING company_handle AS "companyHandle", username, role`,
+        [handle, username, role]);
+
+    return result.rows[0];
+  }
+
+  /** Remove a user from a company; returns undefined.
+   *
+   * Throws NotFoundError if they aren't a member.
+   **/
+
+  static async remove(handle, username) {
+    const result = await db.query(
+          `DELETE FROM company_members
+           WHERE company_handle = $1 AND username = $2
+           RETURNING username`,
+        [handle, username]);
+
+    if (!result.rows[0]) throw new NotFoundError(`No member ${username} of company: ${handle}`);
+  }
+
+  /** Check whether a user's membership of a company grants `permission`.
+   *
+   * Returns true or false; false if they aren't a member.
+   **/
+
+  static async hasPermission(username, handle, permission) {
+    const result = await db.query(
+          `SELECT EXISTS (SELECT 1
+                          FROM company_members cm
+                          JOIN role_permissions rp ON rp.role = cm.role
+                          WHERE cm.username = $1
+                            AND cm.company_handle = $2
+                            AND rp.permission = $3) AS "granted"`,
+        [username, handle, permission]);
+
+    return result.rows[0].granted;
+  }
+}
+
+
+module.exports = CompanyMember;
@@ -0,0 +1,132 @@
+"use strict";
+
+const db = require("../db.js");
+const CompanyMember = require("./companyMember.js");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** add */
+
+describe("add", function () {
+  test("works", async function () {
+    const member = await CompanyMember.add("c1", "u1");
+    expect(member).toEqual({ companyHandle: "c1", username: "u1", role: "recruiter" });
+
+    const result = await db.query(
+        `SELECT role FROM company_members WHERE company_handle = 'c1' AND username = 'u1'`);
+    expect(result.rows).toEqual([{ role: "recruiter" }]);
+  });
+
+  test("changes the role of an existing member", async function () {
+    await CompanyMember.add("c1", "u1");
+    const member = await CompanyMember.add("c1", "u1", "company-manager");
+    expect(member.role).toEqual("company-manager");
+    expect(await CompanyMember.findAll("c1")).toHaveLength(1);
+  });
+
+  test("bad request with a role members can't have", async function () {
+    try {
+      await CompanyMember.add("c1", "u1", "seeker");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such company", async function () {
+    try {
+      await CompanyMember.add("nope", "u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await CompanyMember.add("c1", "nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works", async function () {
+    await CompanyMember.add("c1", "u2", "company-manager");
+    await CompanyMember.add("c1", "u1");
+    await CompanyMember.add("c2", "u1");
+    expect(await CompanyMember.findAll("c1")).toEqual([
+      { username: "u1", firstName: "U1F", lastName: "U1L", email: "u1@email.com", role: "recruiter" },
+      { username: "u2", firstName: "U2F", lastName: "U2L", email: "u2@email.com", role: "company-manager" },
+    ]);
+  });
+
+  test("works: no members", async function () {
+    expect(await CompanyMember.findAll("c3")).toEqual([]);
+  });
+
+  test("not found if no such company", async function () {
+    try {
+      await CompanyMember.findAll("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works", async function () {
+    await CompanyMember.add("c1", "u1");
+    await CompanyMember.remove("c1", "u1");
+    expect(await CompanyMember.findAll("c1")).toEqual([]);
+  });
+
+  test("not found if not a member", async function () {
+    await CompanyMember.add("c1", "u1");
+    try {
+      await CompanyMember.remove("c2", "u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** hasPermission */
+
+describe("hasPermission", function () {
+  test("works", async function () {
+    await CompanyMember.add("c1", "u1");
+    expect(await CompanyMember.hasPermission("u1", "c1", "jobs:write")).toEqual(true);
+    expect(await CompanyMember.hasPermission("u1", "c1", "applications:review")).toEqual(true);
+    expect(await CompanyMember.hasPermission("u1", "c1", "companies:write")).toEqual(false);
+  });
+
+  test("only for the member's own company", async function () {
+    await CompanyMember.add("c1", "u1");
+    expect(await CompanyMember.hasPermission("u1", "c2", "jobs:write")).toEqual(false);
+    expect(await CompanyMember.hasPermission("u2", "c1", "jobs:write")).toEqual(false);
+  });
+
+  test("follows the member's role", async function () {
+    await CompanyMember.add("c1", "u1", "company-manager");
+    expect(await CompanyMember.hasPermission("u1", "c1", "companies:write")).toEqual(true);
+  });
+});
@@ -0,0 +1,114 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { createRandomToken, hashToken } = require("../helpers/tokens");
+const { sendMail } = require("../helpers/mail");
+
+/** How long an email verification link works for, in hours. */
+
+const EMAIL_VERIFICATION_HOURS = +process.env.EMAIL_VERIFICATION_HOURS || 48;
+
+/** Where the frontend's verification page lives; the token is added to it. */
+
+const VERIFY_EMAIL_URL = process.env.VERIFY_EMAIL_URL || "http://localhost:3000/verify-email";
+
+/** Related functions for verifying users' email addresses.
+ *
+ * A verification link is emailed to the address on file. Each token is tied
+ * to that address, so it stops working if the user changes their email
+ * before using it. Only a hash of it is stored.
+ */
+
+class EmailVerification {
+  /** Email a verification link to a user's current address; returns
+   * undefined. Earlier links stop working.
+   *
+   * Throws NotFoundError if user not found, and BadRequestError if their
+   * email is already verified.
+   **/
+
+  static async send(username) {
+    const result = await db.query(
+          `SELECT username, email, email_verified AS "emailVerified"
+           FROM users
+           WHERE username = $1`,
+        [username]);
+    const user = result.rows[0];
+
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+    if (user.emailVerified) throw new BadRequestError(`Email already verified for: ${username}`);
+
+    await db.query(
+          `UPDATE email_verification_tokens
+           SET used_at = NOW()
+           WHERE username = $1 AND used_at IS NULL`,
+        [username]);
+
+    const token = createRandomToken();
+    await db.query(
+          `INSERT INTO email_verification_tokens (token_hash, username, email, expires_at)
+           VALUES ($1, $2, $3, NOW() + make_interval(hours => $4))`,
+        [hashToken(token), username, user.email, EMAIL_VERIFICATION_HOURS]);
+
+    await sendMail({
+      to: user.email,
+      subject: "Verify your Jobly email address",
+      text: `Welcome to Jobly, ${username}! Confirm this is your email address `
+          + `by visiting the link below within ${EMAIL_VERIFICATION_HOURS} hours:\n\n`
+          + `${VERIFY_EMAIL_URL}?token=${token}`,
+    });
+  }
+
+  /** Use a verification token to mark the user's email verified.
+   *
+   * Returns username.
+   *
+   * Throws BadRequestError if the token is unknown, expired, used, or for
+   * an address the user has since changed.
+   **/
+
+  static async confirm(token) {
+    const result = await db.query(
+          `UPDATE email_verification_tokens evt
+           SET used_at = NOW()
+           FROM users u
+           WHERE u.username = evt.username
+             AND u.email = evt.email
+             AND evt.token_hash = $1
+             AND evt.used_at IS NULL
+             AND evt.expires_at > NOW()
+           RETURNING evt.username`,
+        [hashToken(token)]);
+
+    const verification = result.rows[0];
+
+    if (!verification) throw new BadRequestError("Invalid or expired verification token");
+
+    await db.query(
+          `UPDATE users
+           SET email_verified = TRUE
+           WHERE username = $1`,
+        [verification.username]);
+
+    return verification.username;
+  }
+
+  /** Check whether a user's email is verified.
+   *
+   * Returns true or false; false if user not found.
+   **/
+
+  static async isVerified(username) {
+    const result = await db.query(
+          `SELECT email_verified AS "emailVerified"
+           FROM users
+           WHERE username = $1`,
+        [username]);
+
+    return result.rows[0] ? result.rows[0].emailVerified : false;
+  }
+}
+
+
+module.exports = EmailVerification;
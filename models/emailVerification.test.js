@@ -0,0 +1,95 @@
+"use strict";
+
+const db = require("../db.js");
+const EmailVerification = require("./emailVerification.js");
+const User = require("./user.js");
+const { outbox } = require("../helpers/mail");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+beforeEach(() => outbox.length = 0);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Pull the verification token out of the last email sent. */
+
+function lastToken() {
+  return outbox[outbox.length - 1].text.match(/token=([0-9a-f]{64})/)[1];
+}
+
+/************************************** send */
+
+describe("send", function () {
+  test("works", async function () {
+    await EmailVerification.send("u1");
+    expect(outbox).toEqual([{
+      to: "u1@email.com",
+      subject: "Verify your Jobly email address",
+      text: expect.stringContaining(`verify-email?token=${lastToken()}`),
+      sentAt: expect.any(String),
+    }]);
+  });
+
+  test("bad request if already verified", async function () {
+    await db.query("UPDATE users SET email_verified = TRUE WHERE username = 'u1'");
+    await expect(EmailVerification.send("u1")).rejects.toThrow(BadRequestError);
+  });
+
+  test("not found if no such user", async function () {
+    await expect(EmailVerification.send("nope")).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** confirm */
+
+describe("confirm", function () {
+  test("works", async function () {
+    await EmailVerification.send("u1");
+    const username = await EmailVerification.confirm(lastToken());
+    expect(username).toEqual("u1");
+    expect(await EmailVerification.isVerified("u1")).toEqual(true);
+    expect(await EmailVerification.isVerified("u2")).toEqual(false);
+  });
+
+  test("bad request if token used", async function () {
+    await EmailVerification.send("u1");
+    const token = lastToken();
+    await EmailVerification.confirm(token);
+    await expect(EmailVerification.confirm(token)).rejects.toThrow(BadRequestError);
+  });
+
+  test("bad request if replaced by a newer token", async function () {
+    await EmailVerification.send("u1");
+    const token = lastToken();
+    await EmailVerification.send("u1");
+    await expect(EmailVerification.confirm(token)).rejects.toThrow(BadRequestError);
+  });
+
+  test("bad request if email changed since", async function () {
+    await EmailVerification.send("u1");
+    await User.update("u1", { email: "other@email.com" });
+    await expect(EmailVerification.confirm(lastToken())).rejects.toThrow(BadRequestError);
+  });
+
+  test("bad request if expired", async function () {
+    await EmailVerification.send("u1");
+    await db.query(
+        `UPDATE email_verification_tokens SET expires_at = NOW() - INTERVAL '1 minute'`);
+    await expect(EmailVerification.confirm(lastToken())).rejects.toThrow(BadRequestError);
+  });
+});
+
+/************************************** isVerified */
+
+describe("isVerified", function () {
+  test("false if no such user", async function () {
+    expect(await EmailVerification.isVerified("nope")).toEqual(false);
+  });
+});
@@ -0,0 +1,113 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { sqlForFilter } = require("../helpers/sql");
+const { parsePagination } = require("../helpers/pagination");
+
+/** Filters the impersonation log can be searched by; see sqlForFilter. */
+
+const FILTERS = {
+  impersonator: { column: "impersonator" },
+  username: { column: "username" },
+};
+
+/** Related functions for admins impersonating users.
+ *
+ * An admin can get a short-lived token that acts as another user (see
+ * createToken), to see what they see. The token also names the admin as
+ * impersonator, and every request made with it is logged.
+ */
+
+class Impersonation {
+  /** Check an admin may impersonate a user, and log that they started.
+   *
+   * Returns { username, isAdmin, tokenVersion, roles } of the user, for
+   * createToken.
+   *
+   * Throws NotFoundError if user not found, and BadRequestError if they're
+   * an admin or the impersonator themselves.
+   **/
+
+  static async start(impersonator, username, ip) {
+    const result = await db.query(
+          `SELECT username,
+                  is_admin AS "isAdmin",
+                  token_version AS "tokenVersion",
+                  ARRAY(SELECT role
+                        FROM user_roles ur
+                        WHERE ur.username = users.username
+                        ORDER BY role) AS "roles"
+           FROM users
+           WHERE username = $1`,
+        [username]);
+
+    const user = result.rows[0];
+
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+    if (user.isAdmin) throw new BadRequestError(`Can't impersonate an admin: ${username}`);
+    if (username === impersonator) throw new BadRequestError("Can't impersonate yourself");
+
+    await Impersonation.logRequest({
+      impersonator, username, method: "POST", path: `/auth/impersonate/${username}`, ip,
+    });
+
+    return user;
+  }
+
+  /** Log a request made while impersonating; returns undefined. */
+
+  static async logRequest({ impersonator, username, method, path, ip }) {
+    await db.query(
+          `INSERT INTO impersonation_log (impersonator, username, method, path, ip)
+           VALUES ($1, $2, $3, $4, $5)`,
+        [impersonator, username, method, path, ip]);
+  }
+
+  /** Find logged requests, newest first.
+   *
+   * Can filter on impersonator and username, and page through results with
+   * page and limit (see parsePagination).
+   *
+   * Returns { requests, total, page, limit }
+   *   where requests is [{ id, impersonator, username, method, path, ip,
+   *                        createdAt }, ...]
+   *
+   * Throws BadRequestError on an unknown filter or bad page/limit.
+   **/
+
+  static async findAll({ page, limit, ...filters } = {}) {
+    const pagination = parsePagination({ page, limit });
+    const { whereClause, values } = sqlForFilter(filters, FILTERS);
+
+    const countRes = await db.query(
+          `SELECT COUNT(*)::integer AS "total"
+           FROM impersonation_log
+           ${whereClause}`,
+        values);
+
+    const result = await db.query(
+          `SELECT id,
+                  impersonator,
+                  username,
+                  method,
+                  path,
+                  ip,
+                  created_at AS "createdAt"
+           FROM impersonation_log
+           ${whereClause}
+           ORDER BY created_at DESC, id DESC
+           LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+        [...values, pagination.limit, pagination.offset]);
+
+    return {
+      requests: result.rows,
+      total: countRes.rows[0].total,
+      page: pagination.page,
+      limit: pagination.limit,
+    };
+  }
+}
+
+
+module.exports = Impersonation;
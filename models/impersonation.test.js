@@ -0,0 +1,94 @@
+"use strict";
+
+const db = require("../db.js");
+const Impersonation = require("./impersonation.js");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** start */
+
+describe("start", function () {
+  test("works", async function () {
+    const user = await Impersonation.start("admin", "u1", "127.0.0.1");
+    expect(user).toEqual({ username: "u1", isAdmin: false, tokenVersion: 0, roles: [] });
+
+    const { requests } = await Impersonation.findAll();
+    expect(requests).toEqual([
+      {
+        id: expect.any(Number),
+        impersonator: "admin",
+        username: "u1",
+        method: "POST",
+        path: "/auth/impersonate/u1",
+        ip: "127.0.0.1",
+        createdAt: expect.any(Date),
+      },
+    ]);
+  });
+
+  test("bad request for an admin", async function () {
+    await db.query("UPDATE users SET is_admin = TRUE WHERE username = 'u2'");
+    try {
+      await Impersonation.start("admin", "u2");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await Impersonation.start("admin", "nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  beforeEach(async function () {
+    await Impersonation.logRequest({ impersonator: "a1", username: "u1", method: "GET", path: "/users/u1" });
+    await Impersonation.logRequest({ impersonator: "a2", username: "u1", method: "GET", path: "/jobs" });
+    await Impersonation.logRequest({ impersonator: "a1", username: "u2", method: "PATCH", path: "/users/u2" });
+  });
+
+  test("works: newest first", async function () {
+    const result = await Impersonation.findAll();
+    expect(result.total).toEqual(3);
+    expect(result.requests.map(r => r.path)).toEqual(["/users/u2", "/jobs", "/users/u1"]);
+  });
+
+  test("works: filters", async function () {
+    const result = await Impersonation.findAll({ impersonator: "a1", username: "u1" });
+    expect(result.total).toEqual(1);
+    expect(result.requests[0].path).toEqual("/users/u1");
+  });
+
+  test("works: pages", async function () {
+    const result = await Impersonation.findAll({ page: 2, limit: 2 });
+    expect(result).toEqual(expect.objectContaining({ total: 3, page: 2, limit: 2 }));
+    expect(result.requests.map(r => r.path)).toEqual(["/users/u1"]);
+  });
+
+  test("bad request on unknown filter", async function () {
+    try {
+      await Impersonation.findAll({ method: "GET" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
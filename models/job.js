@@ -2,21 +2,240 @@
 
 const { query } = require("express");
 const db = require("../db");
-const { BadRequestError, NotFoundError, ExpressError } = require("../expressError");
-const { sqlForPartialUpdate } = require("../helpers/sql");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { sqlForPartialUpdate, sqlForSort, sqlForFilter } = require("../helpers/sql");
+const { parsePagination } = require("../helpers/pagination");
+const Technology = require("./technology");
+const Application = require("./application");
+
+/** Filter on the technologies a job requires; matches jobs requiring
+ * any of the given technologies, or all of them with `all`
+ */
+
+function technologyFilter(all){
+    return (col, names, param) => {
+        const techParam = param(Technology.normalize(names));
+        return `id IN (SELECT tj.job_id
+                       FROM technologies_jobs tj
+                       JOIN technologies t ON t.id = tj.tech_id
+                       WHERE t.name = ANY(${techParam})
+                       GROUP BY tj.job_id
+                       ${all ? `HAVING COUNT(*) = cardinality(${techParam}::text[])` : ""})`;
+    };
+}
+
+/** Statuses a job can have. Jobs start as drafts or open; open jobs are
+ * closed (or filled) when they stop taking applications
+ */
+
+const STATUSES = ["draft", "open", "closed", "filled"];
+
+/** sql for a job that's listed publicly and can be applied to: open, and
+ * not past its expiresAt
+ */
+
+const OPEN_SQL = "status = 'open' AND (expires_at IS NULL OR expires_at > NOW())";
+
+/** Filter on status; matches jobs with any of the given statuses */
+
+function statusFilter(col, statuses, param){
+    for(let status of statuses){
+        if(!STATUSES.includes(status)) throw new BadRequestError(`Invalid status: ${status}`);
+    }
+    return `status::text = ANY(${param(statuses)})`;
+}
+
+/** Filter on a salary's currency code, any case */
+
+function currencyFilter(col, currency, param){
+    if(typeof currency !== "string" || !/^[A-Za-z]{3}$/.test(currency)){
+        throw new BadRequestError(`Invalid currency: ${currency}`);
+    }
+    return `salary_currency = ${param(currency.toUpperCase())}`;
+}
+
+/** Pay periods a salary can be for, and how many of each make a year;
+ * salaries for different periods are compared as yearly pay
+ */
+
+const PAY_PERIODS = { hour: 2080, day: 260, week: 52, month: 12, year: 1 };
+
+/** Currency a job's salary is in when none is given; salary filters only
+ * match jobs in it unless there's a currency filter
+ */
+
+const DEFAULT_CURRENCY = "USD";
+
+/** Throws BadRequestError if payPeriod isn't one of PAY_PERIODS */
+
+function checkPayPeriod(payPeriod){
+    if(!Object.prototype.hasOwnProperty.call(PAY_PERIODS, payPeriod)){
+        throw new BadRequestError(`Invalid payPeriod: ${payPeriod}`);
+    }
+}
+
+/** sql for a salary column (or expression) as yearly pay */
+
+function annualSql(col){
+    const cases = Object.entries(PAY_PERIODS)
+        .map(([period, perYear]) => `WHEN '${period}' THEN ${perYear}`)
+        .join(" ");
+    return `(${col} * CASE salary_period ${cases} END)`;
+}
+
+/** Filters on salary, given as pay per payPeriod (default "year").
+ * A job matches if its salary range overlaps minSalary to maxSalary, so
+ * minSalary is checked against the top of the range and maxSalary against
+ * the bottom
+ */
+
+function salaryFilters(payPeriod = "year"){
+    checkPayPeriod(payPeriod);
+    const perYear = PAY_PERIODS[payPeriod];
+    return {
+        minSalary: {
+            type: "number",
+            op: (col, val, param) => `${annualSql("COALESCE(salary_max, salary)")} >= ${param(val * perYear)}::numeric`
+        },
+        maxSalary: {
+            type: "number",
+            op: (col, val, param) => `${annualSql("salary")} <= ${param(val * perYear)}::numeric`
+        }
+    };
+}
+
+/** Throws BadRequestError unless salary to salaryMax is a range; a job
+ * without salaryMax has a single salary
+ */
+
+function checkSalaryRange(salary, salaryMax){
+    if(salaryMax == null) return;
+    if(salary == null) throw new BadRequestError("salaryMax needs a salary");
+    if(salaryMax < salary) throw new BadRequestError("salaryMax must be at least salary");
+}
+
+/** Filters jobs can be searched by; see sqlForFilter. Salary filters are
+ * added by salaryFilters
+ */
+
+const FILTERS = {
+    title: { column: "title", op: "ilike" },
+    currency: { op: currencyFilter },
+    hasEquity: { type: "boolean", whenTrue: "equity > 0" },
+    technology: { op: technologyFilter(false), list: true },
+    status: { op: statusFilter, list: true },
+    open: { type: "boolean", whenTrue: OPEN_SQL }
+};
+
+const FILTERS_ALL_TECHNOLOGIES = {
+    ...FILTERS,
+    technology: { op: technologyFilter(true), list: true }
+};
+
+/** Fields jobs can be sorted by, mapped to their columns */
+
+const SORTABLE_COLS = {
+    id: "id",
+    title: "title",
+    salary: "salary",
+    equity: "equity",
+    companyHandle: "company_handle",
+    status: "status",
+    expiresAt: "expires_at"
+};
+
+/** Fields a job can be updated with, mapped to their columns; see
+ * Job.update. Anything else is rejected, so it never reaches the sql
+ */
+
+const UPDATABLE_COLS = {
+    title: "title",
+    salary: "salary",
+    salaryMax: "salary_max",
+    currency: "salary_currency",
+    payPeriod: "salary_period",
+    equity: "equity",
+    expiresAt: "expires_at"
+};
+
+/** Throws BadRequestError if expiresAt (a date, or null for never) has
+ * already passed
+ */
+
+function checkExpiresAt(expiresAt){
+    if(expiresAt != null && new Date(expiresAt) <= new Date()){
+        throw new BadRequestError("expiresAt must be in the future");
+    }
+}
+
+/** Get a job's status, and whether it has expired
+ * 
+ * returns { status, expired }
+ * 
+ * Throws NotFoundError if job not found
+ */
+
+async function getStatus(jobId){
+    const result = await db.query(
+        `SELECT status, COALESCE(expires_at <= NOW(), FALSE) AS "expired"
+        FROM jobs
+        WHERE id = $1`,
+        [jobId]);
+
+    if(!result.rows[0]) throw new NotFoundError(`No job with id: ${jobId}`);
+
+    return result.rows[0];
+}
+
+/** Set a job's status, and its expiresAt unless that's undefined
+ * 
+ * returns the job; see Job.get
+ */
+
+async function setStatus(jobId, status, expiresAt){
+    checkExpiresAt(expiresAt);
+
+    await db.query(
+        `UPDATE jobs
+        SET status = $2,
+            expires_at = CASE WHEN $3 THEN $4::timestamptz ELSE expires_at END
+        WHERE id = $1`,
+        [jobId, status, expiresAt !== undefined, expiresAt ?? null]);
+
+    return Job.get(jobId);
+}
 
 /** Related functions for jobs */
 
 class Job {
     /** Create a job (from data), update db, return new job data
      * 
-     * data should be { title, salary, equity, company_handle }
+     * data should be { title, salary, salaryMax, currency, payPeriod, equity,
+     *                  company_handle, technologies, status, expiresAt }
+     * where salary is the bottom of a range up to salaryMax, or the whole
+     * salary without it; both are in currency (default "USD") per
+     * payPeriod (see PAY_PERIODS, default "year"). technologies is an
+     * optional array of names; technologies not already in the database are
+     * created. status is "open" (default) or "draft", to publish later, and
+     * expiresAt is when the job stops taking applications (default never)
      * 
-     * returns { title, salary, equity, company_handle }
+     * returns { id, title, salary, salaryMax, currency, payPeriod, equity,
+     *           company_handle, status, expiresAt, technologies }
      * 
-     * Throws BadRequestError if job already in database
+     * Throws BadRequestError if job already in database, on another status,
+     * if expiresAt has passed, or if salary to salaryMax isn't a range
      */
-    static async create({ title, salary, equity, companyHandle }){
+    static async create({
+        title, salary, salaryMax = null, currency = DEFAULT_CURRENCY, payPeriod = "year",
+        equity, companyHandle, technologies = [], status = "open", expiresAt = null
+    }){
+        if(status !== "open" && status !== "draft"){
+            throw new BadRequestError(`A new job can't start as ${status}`);
+        }
+        checkExpiresAt(expiresAt);
+        checkSalaryRange(salary, salaryMax);
+        checkPayPeriod(payPeriod);
+
         const duplicateCheck = await db.query(
             `SELECT title FROM jobs
             WHERE title = $1`, 
@@ -26,79 +245,134 @@ class Job {
         
         const result = await db.query(
             `INSERT INTO jobs
-            (title, salary, equity, company_handle)
-            VALUES ($1, $2, $3, $4)
-            RETURNING id, title, salary, equity, company_handle AS "companyHandle"
+            (title, salary, salary_max, salary_currency, salary_period, equity,
+             company_handle, status, expires_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            RETURNING id, title, salary, salary_max AS "salaryMax",
+                      salary_currency AS "currency", salary_period AS "payPeriod",
+                      equity, company_handle AS "companyHandle",
+                      status, expires_at AS "expiresAt"
             `,
-            [title, salary, equity, companyHandle]
+            [title, salary, salaryMax, currency.toUpperCase(), payPeriod, equity,
+             companyHandle, status, expiresAt]
         );
         const job = result.rows[0];
+        job.technologies = await Technology.setForJob(job.id, technologies);
 
         return job;
     }
 
     /** Find all jobs 
      * 
-     * Filterable by title, minSalary, and has Equity only
+     * Filterable by title, minSalary, maxSalary, currency, hasEquity,
+     * technology, status and open (open and not expired); see FILTERS,
+     * salaryFilters and sqlForFilter
+     * 
+     * minSalary and maxSalary are pay per payPeriod (default "year"), and
+     * match jobs whose salary range overlaps them; jobs paid for other
+     * periods are compared as yearly pay. Without a currency filter, they
+     * only match jobs paid in USD
+     * 
+     * technology can be a single name or an array of names; technologyMatch
+     * decides whether a job needs "any" (default) or "all" of them
+     * 
+     * Paged with page and limit, and sorted with sort, ie. "-salary,title"
+     * (default "title"); see parsePagination and sqlForSort
+     * 
+     * Only open jobs are found unless openOnly is false, ie. for admins
+     * 
+     * returns { jobs, total, page, limit }
+     *   where jobs is [{ id, title, salary, salaryMax, currency, payPeriod,
+     *                    equity, companyHandle, status, expiresAt }, ...]
+     *   and total is the number of matching jobs across all pages
     */
-    static async findAll(queryStringData={}){
-        let queryKeys = Object.keys(queryStringData);
-        let queryValues = Object.values(queryStringData);
-        
-        let filterStatement = "";
-        let filterSqlArr = []; // Array of filter sql statements, goes after WHERE
-        let filterVals = []; // Arr of vals corr. by index to above sql statements
-
-        // Check if queryStringData has any filter parameters, and 
-        // push to filteredSqlArr => ["(title ILIKE $1)", "(minSalary < $2)", ...]
-        if(queryKeys.length != 0){
-            filterStatement = "WHERE";
-            for(let i in queryKeys){
-                if(queryKeys[i] == "title"){
-                    //title needs to be prepared specially for partial filters using % wildcards
-                    filterSqlArr.push(`(title ILIKE $${parseInt(i)+1})`);
-                    filterVals.push(`%${queryValues[i]}%`);
-
-                }else if(queryKeys[i] == "minSalary"){
-                    //filter jobs by minimum salary
-                    filterSqlArr.push(`(salary > $${parseInt(i)+1})`);
-                    filterVals.push(parseInt(queryValues[i]));
-
-                }else if(queryKeys[i] == "hasEquity" && queryKeys[i]){
-                    // filter jobs by "hasEquity" == true
-                    filterSqlArr.push(`(equity > $${parseInt(i)+1})`);
-                    filterVals.push(0);
-
-                }else{
-                    // If filter parameter not matching named filters, throw error
-                    throw new ExpressError(`Invalid filter parameter: ${queryKeys[i]}`, 400);
-                }
+    static async findAll(queryStringData={}, { openOnly = true } = {}){
+        const { technologyMatch, payPeriod, page, limit, sort = "title", ...filters } = queryStringData;
+        const filterData = { ...filters };
+        if(openOnly) filterData.open = true;
+        if(filters.minSalary !== undefined || filters.maxSalary !== undefined){
+            if(filters.currency === undefined) filterData.currency = DEFAULT_CURRENCY;
+            if(Number(filters.minSalary) > Number(filters.maxSalary)){
+                throw new BadRequestError("minSalary must be less than maxSalary");
             }
-            filterStatement += filterSqlArr.join(' AND ');
+        }
+        const pagination = parsePagination({ page, limit });
+        const orderBy = sqlForSort(sort, SORTABLE_COLS);
+
+        if(technologyMatch !== undefined && filterData.technology === undefined){
+            throw new BadRequestError("technologyMatch requires a technology filter");
+        }
+        const match = technologyMatch || "any";
+        if(match !== "any" && match !== "all"){
+            throw new BadRequestError(`Invalid technologyMatch: ${match}`);
         }
 
+        const { whereClause: filterStatement, values: filterVals } = sqlForFilter(
+            filterData, {
+                ...(match === "all" ? FILTERS_ALL_TECHNOLOGIES : FILTERS),
+                ...salaryFilters(payPeriod)
+            });
+
+        const countRes = await db.query(
+            `SELECT COUNT(*)::integer AS "total"
+             FROM jobs
+             ${filterStatement}`, filterVals);
+
         const sqlQuery = 
             `SELECT id, 
                     title, 
                     salary, 
+                    salary_max AS "salaryMax",
+                    salary_currency AS "currency",
+                    salary_period AS "payPeriod",
                     equity, 
-                    company_handle AS "companyHandle"
+                    company_handle AS "companyHandle",
+                    status,
+                    expires_at AS "expiresAt"
              FROM jobs
              ${filterStatement}
-             ORDER BY title
+             ORDER BY ${orderBy}, id
+             LIMIT $${filterVals.length + 1} OFFSET $${filterVals.length + 2}
             `;
         
-        const results = await db.query(sqlQuery, filterVals);
+        const results = await db.query(sqlQuery,
+            [...filterVals, pagination.limit, pagination.offset]);
 
-        return (results.rows);
+        return {
+            jobs: results.rows,
+            total: countRes.rows[0].total,
+            page: pagination.page,
+            limit: pagination.limit
+        };
     }
 
-    /** Get a job by id */
-    static async get(jobId){
+    /** Get a job by id
+     * 
+     * With openOnly, a job that isn't open (see checkOpen) isn't found, ie.
+     * for anyone but admins
+     * 
+     * returns { id, title, salary, salaryMax, currency, payPeriod, equity,
+     *           companyHandle, status, expiresAt, technologies }
+     *   where technologies is [name, ...]
+     */
+    static async get(jobId, { openOnly = false } = {}){
         const result = await db.query(`
-        SELECT id, title, salary, equity, company_handle AS "companyHandle"
-        FROM jobs
-        WHERE id = $1`,
+        SELECT j.id,
+               j.title,
+               j.salary,
+               j.salary_max AS "salaryMax",
+               j.salary_currency AS "currency",
+               j.salary_period AS "payPeriod",
+               j.equity,
+               j.company_handle AS "companyHandle",
+               j.status,
+               j.expires_at AS "expiresAt",
+               COALESCE(array_agg(t.name ORDER BY t.name) FILTER (WHERE t.name IS NOT NULL), '{}') AS "technologies"
+        FROM jobs j
+        LEFT JOIN technologies_jobs tj ON tj.job_id = j.id
+        LEFT JOIN technologies t ON t.id = tj.tech_id
+        WHERE j.id = $1 ${openOnly ? `AND ${OPEN_SQL}` : ""}
+        GROUP BY j.id`,
         [jobId])
         
         if(result.rows.length == 0) throw new NotFoundError("No job found");    
@@ -106,47 +380,181 @@ class Job {
         return (result.rows[0]);    
     }
 
-    // /** Get a job by id with technologies */
-    // static async get(jobId){
-    //     const result = await db.query(`
-    //     SELECT j.id, j.title, j.salary, j.equity, j.company_handle AS "companyHandle", t.name AS "technologies"
-    //     FROM jobs j
-    //     JOIN technologies_jobs tj ON tj.job_id = j.id
-    //     JOIN technologies t ON t.id = tj.tech_id
-    //     WHERE j.id = $1`,
-    //     [jobId])
-        
-    //     if(result.rows.length == 0) throw new NotFoundError("No job found");    
-        
-    //     return (result.rows[0]);    
-    // }
+    /** Get salary numbers for a company's open jobs (see checkOpen), as
+     * yearly pay (see PAY_PERIODS); salaries in different currencies can't
+     * be compared, so there's one entry for each
+     * 
+     * returns [{ currency, min, median, max }, ...]
+     *   where min is the lowest salary, max the highest top of a range
+     *   (salaryMax, or salary without one), and median is of the middle of
+     *   each job's range; jobs without a salary are left out
+     */
+    static async salaryStats(companyHandle){
+        const low = annualSql("salary");
+        const high = annualSql("COALESCE(salary_max, salary)");
+        const result = await db.query(
+            `SELECT salary_currency AS "currency",
+                    MIN(${low}) AS "min",
+                    percentile_cont(0.5) WITHIN GROUP (ORDER BY (${low} + ${high}) / 2.0) AS "median",
+                    MAX(${high}) AS "max"
+            FROM jobs
+            WHERE company_handle = $1 AND salary IS NOT NULL AND ${OPEN_SQL}
+            GROUP BY salary_currency
+            ORDER BY salary_currency`,
+            [companyHandle]);
+
+        return result.rows;
+    }
+
+    /** Get the applicants for a job by id
+     * 
+     * filters can include { state, page, limit }; see
+     * Application.findApplicants
+     * 
+     * returns { applicants, total, page, limit }
+     * 
+     * Throws NotFoundError if job not found
+     */
+    static async getApplicants(jobId, filters = {}){
+        const result = await db.query(
+            `SELECT id FROM jobs
+            WHERE id = $1`,
+            [jobId]);
+
+        if(!result.rows[0]) throw new NotFoundError(`No job with id: ${jobId}`);
+
+        return Application.findApplicants({ jobId }, filters);
+    }
 
     /** Update a job by id 
      * 
-     * Can only update title, salary, and equity
+     * Can only update title, salary, salaryMax (null for a single salary),
+     * currency, payPeriod, equity, expiresAt (null for never) and
+     * technologies; a technologies array replaces the job's current list.
+     * Status is changed with publish, close and reopen
+     * 
+     * returns { id, title, salary, salaryMax, currency, payPeriod, equity,
+     *           companyHandle, status, expiresAt, technologies }
+     * 
+     * Throws BadRequestError on any other field, if expiresAt has passed, if
+     * salary to salaryMax wouldn't be a range, or on a status
     */
     static async update(jobId, updateData){
-        const { setCols, values } = sqlForPartialUpdate(
-            updateData, 
-            {
-                title: "title", 
-                salary: "salary",
-                equity: "equity"
-            });
+        const { technologies, ...data } = updateData;
+        if(data.status !== undefined){
+            throw new BadRequestError("Change a job's status with publish, close or reopen");
+        }
+        for(let key of Object.keys(data)){
+            if(!Object.prototype.hasOwnProperty.call(UPDATABLE_COLS, key)){
+                throw new BadRequestError(`Invalid field: ${key}`);
+            }
+        }
+        checkExpiresAt(data.expiresAt);
+        if(data.currency !== undefined) data.currency = data.currency.toUpperCase();
+        if(data.payPeriod !== undefined) checkPayPeriod(data.payPeriod);
+
+        // a new salary or salaryMax has to make a range with the other one
+        if(data.salary !== undefined || data.salaryMax !== undefined){
+            const current = (data.salary === undefined || data.salaryMax === undefined)
+                ? await Job.get(jobId)
+                : {};
+            checkSalaryRange(
+                data.salary !== undefined ? data.salary : current.salary,
+                data.salaryMax !== undefined ? data.salaryMax : current.salaryMax);
+        }
+
+        // technologies live in their own table, so an update of only
+        // technologies doesn't touch the jobs row
+        if(technologies !== undefined && Object.keys(data).length == 0){
+            const job = await Job.get(jobId);
+            job.technologies = await Technology.setForJob(job.id, technologies);
+            return job;
+        }
+
+        const { setCols, values } = sqlForPartialUpdate(data, UPDATABLE_COLS);
         const jobIdx = "$" + (values.length + 1);
 
         const querySql = `UPDATE jobs 
         SET ${setCols}
         WHERE id = ${jobIdx}
-        RETURNING id, title, salary, equity, company_handle AS "companyHandle"`;
+        RETURNING id, title, salary, salary_max AS "salaryMax",
+                  salary_currency AS "currency", salary_period AS "payPeriod",
+                  equity, company_handle AS "companyHandle",
+                  status, expires_at AS "expiresAt"`;
 
         const result = await db.query(querySql, [...values, jobId]);
         const job = result.rows[0];
 
         if(!job) throw new NotFoundError(`No job with id: ${jobId}`);
+
+        job.technologies = (technologies !== undefined)
+            ? await Technology.setForJob(job.id, technologies)
+            : await Technology.getForJob(job.id);
         return job;
     }
 
+    /** Publish a draft job, making it open; expiresAt, if given, replaces
+     * the job's (null for never)
+     * 
+     * returns the job; see get
+     * 
+     * Throws NotFoundError if job not found, and BadRequestError if it isn't
+     * a draft or would already be expired
+     */
+    static async publish(jobId, { expiresAt } = {}){
+        const { status, expired } = await getStatus(jobId);
+        if(status !== "draft") throw new BadRequestError(`Job ${jobId} is already published`);
+        if(expired && expiresAt === undefined) throw new BadRequestError("expiresAt must be in the future");
+
+        return setStatus(jobId, "open", expiresAt);
+    }
+
+    /** Close an open job, so it can't be applied to; status is "closed"
+     * (default) or "filled"
+     * 
+     * returns the job; see get
+     * 
+     * Throws NotFoundError if job not found, and BadRequestError if it isn't
+     * open or on another status
+     */
+    static async close(jobId, status = "closed"){
+        if(status !== "closed" && status !== "filled"){
+            throw new BadRequestError(`Invalid status: ${status}`);
+        }
+        const job = await getStatus(jobId);
+        if(job.status !== "open") throw new BadRequestError(`Job ${jobId} isn't open`);
+
+        return setStatus(jobId, status);
+    }
+
+    /** Reopen a closed, filled or expired job; expiresAt, if given, replaces
+     * the job's (null for never), and an expired job's is cleared otherwise
+     * 
+     * returns the job; see get
+     * 
+     * Throws NotFoundError if job not found, and BadRequestError if it's a
+     * draft or still open
+     */
+    static async reopen(jobId, { expiresAt } = {}){
+        const { status, expired } = await getStatus(jobId);
+        if(status === "draft") throw new BadRequestError(`Job ${jobId} isn't published`);
+        if(status === "open" && !expired) throw new BadRequestError(`Job ${jobId} is already open`);
+
+        return setStatus(jobId, "open", (expiresAt === undefined && expired) ? null : expiresAt);
+    }
+
+    /** Check that a job can be applied to: it's open and hasn't expired;
+     * returns undefined
+     * 
+     * Throws NotFoundError if job not found, and BadRequestError if it can't
+     */
+    static async checkOpen(jobId){
+        const { status, expired } = await getStatus(jobId);
+        if(status !== "open" || expired){
+            throw new BadRequestError(`Job ${jobId} is not open for applications`);
+        }
+    }
+
     /** Remove a job by id; returns undefined
      * 
      * Throws NotFoundError if job not found
@@ -30,6 +30,12 @@ describe("create", function() {
             salary: newJob.salary,
             equity: newJob.equity,
             companyHandle: newJob.companyHandle,
+            salaryMax: null,
+            currency: "USD",
+            payPeriod: "year",
+            status: "open",
+            expiresAt: null,
+            technologies: [],
         });
 
         const result = await db.query(
@@ -40,6 +46,87 @@ describe("create", function() {
         expect(result.rows.length).toEqual(1);
     });
 
+    test("Works: as a draft that expires", async function() {
+        let job = await Job.create({
+            ...newJob,
+            status: "draft",
+            expiresAt: "2099-01-01T00:00:00Z"
+        });
+        expect(job.status).toEqual("draft");
+        expect(job.expiresAt).toEqual(new Date("2099-01-01T00:00:00Z"));
+    });
+
+    test("Works: salary range, currency and pay period", async function() {
+        let job = await Job.create({
+            ...newJob,
+            salary: 40,
+            salaryMax: 55,
+            currency: "eur",
+            payPeriod: "hour"
+        });
+        expect(job).toEqual(expect.objectContaining({
+            salary: 40,
+            salaryMax: 55,
+            currency: "EUR",
+            payPeriod: "hour"
+        }));
+    });
+
+    test("BadRequestError when salaryMax isn't above salary", async function() {
+        for(let salaries of [{ salary: 2, salaryMax: 1 }, { salary: null, salaryMax: 1 }]){
+            try{
+                await Job.create({ ...newJob, ...salaries });
+                fail();
+            }catch(e){
+                expect(e instanceof BadRequestError).toBeTruthy();
+            }
+        }
+    });
+
+    test("BadRequestError on invalid payPeriod", async function() {
+        try{
+            await Job.create({ ...newJob, payPeriod: "decade" });
+            fail();
+        }catch(e){
+            expect(e instanceof BadRequestError).toBeTruthy();
+        }
+    });
+
+    test("BadRequestError when starting closed", async function() {
+        try{
+            await Job.create({ ...newJob, status: "closed" });
+            fail();
+        }catch(e){
+            expect(e instanceof BadRequestError).toBeTruthy();
+        }
+    });
+
+    test("BadRequestError when already expired", async function() {
+        try{
+            await Job.create({ ...newJob, expiresAt: "2000-01-01T00:00:00Z" });
+            fail();
+        }catch(e){
+            expect(e instanceof BadRequestError).toBeTruthy();
+        }
+    });
+
+    test("Works with technologies, creating unknown ones", async function() {
+        let job = await Job.create({
+            ...newJob,
+            technologies: ["SQL", " react ", "sql"]
+        });
+        expect(job.technologies).toEqual(["react", "sql"]);
+
+        const result = await db.query(
+            `SELECT t.name
+            FROM technologies_jobs tj
+            JOIN technologies t ON t.id = tj.tech_id
+            WHERE tj.job_id = $1
+            ORDER BY t.name`, [job.id]
+        );
+        expect(result.rows).toEqual([{ name: "react" }, { name: "sql" }]);
+    });
+
     test("BadRequestError if job has duplicate title", async function() {
         try{
             await Job.create(newJob);
@@ -56,49 +143,79 @@ describe("create", function() {
 describe("findAll", function() {
     
     test("Works: no Filter", async function() {
-        let jobs = await Job.findAll();
+        let { jobs } = await Job.findAll();
         expect(jobs).toEqual([
             {
                 id: expect.any(Number),
                 title: "Automotive Engineer", 
                 salary: 33333,
                 equity: "0.003",
-                companyHandle: "c3"
+                companyHandle: "c3",
+                salaryMax: null,
+                currency: "USD",
+                payPeriod: "year",
+                status: "open",
+                expiresAt: null
             },
             {
                 id: expect.any(Number),
                 title: "Front Room Staff", 
                 salary: 33333,
                 equity: "0.003",
-                companyHandle: "c3"
+                companyHandle: "c3",
+                salaryMax: null,
+                currency: "USD",
+                payPeriod: "year",
+                status: "open",
+                expiresAt: null
             },
             {
                 id: expect.any(Number),
                 title: "job title 1", 
                 salary: 11111,
                 equity: "0.001",
-                companyHandle: "c1"
+                companyHandle: "c1",
+                salaryMax: null,
+                currency: "USD",
+                payPeriod: "year",
+                status: "open",
+                expiresAt: null
             },
             {
                 id: expect.any(Number),
                 title: "job title 2", 
                 salary: 22222,
                 equity: "0.002",
-                companyHandle: "c2"
+                companyHandle: "c2",
+                salaryMax: null,
+                currency: "USD",
+                payPeriod: "year",
+                status: "open",
+                expiresAt: null
             },
             {
                 id: expect.any(Number),
                 title: "job title 3", 
                 salary: 22222,
                 equity: null,
-                companyHandle: "c2"
+                companyHandle: "c2",
+                salaryMax: null,
+                currency: "USD",
+                payPeriod: "year",
+                status: "open",
+                expiresAt: null
             },
             {
                 id: expect.any(Number),
                 title: "job title 4", 
                 salary: 22222,
                 equity: "0",
-                companyHandle: "c2"
+                companyHandle: "c2",
+                salaryMax: null,
+                currency: "USD",
+                payPeriod: "year",
+                status: "open",
+                expiresAt: null
             },
         ])
     })
@@ -107,21 +224,31 @@ describe("findAll", function() {
         
         let filterParams = { title: "om" }
 
-        let jobs = await Job.findAll(filterParams);
+        let { jobs } = await Job.findAll(filterParams);
         expect(jobs).toEqual([
             {
                 id: expect.any(Number),
                 title: "Automotive Engineer", 
                 salary: 33333,
                 equity: "0.003",
-                companyHandle: "c3"
+                companyHandle: "c3",
+                salaryMax: null,
+                currency: "USD",
+                payPeriod: "year",
+                status: "open",
+                expiresAt: null
             },
             {
                 id: expect.any(Number),
                 title: "Front Room Staff", 
                 salary: 33333,
                 equity: "0.003",
-                companyHandle: "c3"
+                companyHandle: "c3",
+                salaryMax: null,
+                currency: "USD",
+                payPeriod: "year",
+                status: "open",
+                expiresAt: null
             },
         ])
     })
@@ -130,58 +257,164 @@ describe("findAll", function() {
         
         let filterParams = { minSalary: 30000 }
 
-        let jobs = await Job.findAll(filterParams);
+        let { jobs } = await Job.findAll(filterParams);
         expect(jobs).toEqual([
             {
                 id: expect.any(Number),
                 title: "Automotive Engineer", 
                 salary: 33333,
                 equity: "0.003",
-                companyHandle: "c3"
+                companyHandle: "c3",
+                salaryMax: null,
+                currency: "USD",
+                payPeriod: "year",
+                status: "open",
+                expiresAt: null
             },
             {
                 id: expect.any(Number),
                 title: "Front Room Staff", 
                 salary: 33333,
                 equity: "0.003",
-                companyHandle: "c3"
+                companyHandle: "c3",
+                salaryMax: null,
+                currency: "USD",
+                payPeriod: "year",
+                status: "open",
+                expiresAt: null
             },
         ])
     })
     
+    describe("salary ranges", function() {
+        beforeEach(async function() {
+            await db.query(`
+                INSERT INTO jobs (title, salary, salary_max, salary_currency, salary_period, company_handle)
+                VALUES ('Range Job', 90000, 120000, 'USD', 'year', 'c1'),
+                       ('Hourly Job', 50, null, 'USD', 'hour', 'c1'),
+                       ('Euro Job', 100000, null, 'EUR', 'year', 'c1')`);
+        });
+
+        test("Works: minSalary matches the top of a range", async function() {
+            let { jobs } = await Job.findAll({ minSalary: 110000 });
+            expect(jobs.map(j => j.title)).toEqual(["Range Job"]);
+        })
+
+        test("Works: overlapping ranges", async function() {
+            let { jobs } = await Job.findAll({ minSalary: 91000, maxSalary: 95000 });
+            expect(jobs.map(j => j.title)).toEqual(["Range Job"]);
+
+            ({ jobs } = await Job.findAll({ minSalary: 100000, maxSalary: 105000 }));
+            expect(jobs.map(j => j.title)).toEqual(["Hourly Job", "Range Job"]);
+        })
+
+        test("Works: includes an exact match", async function() {
+            let { jobs } = await Job.findAll({ minSalary: 33333, maxSalary: 33333 });
+            expect(jobs.map(j => j.title)).toEqual(["Automotive Engineer", "Front Room Staff"]);
+        })
+
+        test("Works: compares other pay periods as yearly pay", async function() {
+            let { jobs } = await Job.findAll({ minSalary: 45, payPeriod: "hour" });
+            expect(jobs.map(j => j.title)).toEqual(["Hourly Job", "Range Job"]);
+
+            ({ jobs } = await Job.findAll({ maxSalary: 1500, payPeriod: "week" }));
+            expect(jobs.map(j => j.title)).toEqual([
+                "Automotive Engineer", "Front Room Staff",
+                "job title 1", "job title 2", "job title 3", "job title 4"
+            ]);
+        })
+
+        test("Works: in another currency", async function() {
+            let { jobs } = await Job.findAll({ minSalary: 1, currency: "eur" });
+            expect(jobs.map(j => j.title)).toEqual(["Euro Job"]);
+
+            ({ jobs } = await Job.findAll({ currency: "EUR" }));
+            expect(jobs.map(j => [j.title, j.currency, j.payPeriod])).toEqual([["Euro Job", "EUR", "year"]]);
+        })
+
+        test("Throw error when minSalary is more than maxSalary", async function() {
+            try{
+                await Job.findAll({ minSalary: 2, maxSalary: 1 });
+                fail();
+            }catch(e){
+                expect(e instanceof BadRequestError).toBeTruthy();
+            }
+        })
+
+        test("Throw error when passed invalid payPeriod", async function() {
+            try{
+                await Job.findAll({ minSalary: 2, payPeriod: "decade" });
+                fail();
+            }catch(e){
+                expect(e instanceof BadRequestError).toBeTruthy();
+                expect(e.message).toEqual("Invalid payPeriod: decade");
+            }
+        })
+
+        test("Throw error when passed invalid currency", async function() {
+            try{
+                await Job.findAll({ minSalary: 2, currency: "dollars" });
+                fail();
+            }catch(e){
+                expect(e instanceof BadRequestError).toBeTruthy();
+                expect(e.message).toEqual("Invalid currency: dollars");
+            }
+        })
+    })
+
     test("Works: filter by hasEquity", async function() {
         
         let filterParams = { hasEquity: true }
 
-        let jobs = await Job.findAll(filterParams);
+        let { jobs } = await Job.findAll(filterParams);
         expect(jobs).toEqual([
             {
                 id: expect.any(Number),
                 title: "Automotive Engineer", 
                 salary: 33333,
                 equity: "0.003",
-                companyHandle: "c3"
+                companyHandle: "c3",
+                salaryMax: null,
+                currency: "USD",
+                payPeriod: "year",
+                status: "open",
+                expiresAt: null
             },
             {
                 id: expect.any(Number),
                 title: "Front Room Staff", 
                 salary: 33333,
                 equity: "0.003",
-                companyHandle: "c3"
+                companyHandle: "c3",
+                salaryMax: null,
+                currency: "USD",
+                payPeriod: "year",
+                status: "open",
+                expiresAt: null
             },
             {
                 id: expect.any(Number),
                 title: "job title 1", 
                 salary: 11111,
                 equity: "0.001",
-                companyHandle: "c1"
+                companyHandle: "c1",
+                salaryMax: null,
+                currency: "USD",
+                payPeriod: "year",
+                status: "open",
+                expiresAt: null
             },
             {
                 id: expect.any(Number),
                 title: "job title 2", 
                 salary: 22222,
                 equity: "0.002",
-                companyHandle: "c2"
+                companyHandle: "c2",
+                salaryMax: null,
+                currency: "USD",
+                payPeriod: "year",
+                status: "open",
+                expiresAt: null
             },
         ])
     })
@@ -190,18 +423,135 @@ describe("findAll", function() {
         
         let filterParams = { title: "ti", minSalary:30000, hasEquity: true }
 
-        let jobs = await Job.findAll(filterParams);
+        let { jobs } = await Job.findAll(filterParams);
         expect(jobs).toEqual([
             {
                 id: expect.any(Number),
                 title: "Automotive Engineer", 
                 salary: 33333,
                 equity: "0.003",
-                companyHandle: "c3"
+                companyHandle: "c3",
+                salaryMax: null,
+                currency: "USD",
+                payPeriod: "year",
+                status: "open",
+                expiresAt: null
             }
         ])
     })
     
+    test("Works: filter by technology, any", async function() {
+        
+        let filterParams = { technology: ["javascript", "sql"] }
+
+        let { jobs } = await Job.findAll(filterParams);
+        expect(jobs.map(j => j.title)).toEqual(["job title 1", "job title 2"]);
+    })
+    
+    test("Works: filter by single technology string", async function() {
+        
+        let filterParams = { technology: "JavaScript" }
+
+        let { jobs } = await Job.findAll(filterParams);
+        expect(jobs.map(j => j.title)).toEqual(["job title 1"]);
+    })
+    
+    test("Works: filter by technology, all", async function() {
+        
+        let filterParams = { technology: ["javascript", "sql"], technologyMatch: "all" }
+
+        let { jobs } = await Job.findAll(filterParams);
+        expect(jobs.map(j => j.title)).toEqual(["job title 1"]);
+    })
+    
+    test("Works: technology combined with other filters", async function() {
+        
+        let filterParams = { technology: "sql", minSalary: 20000 }
+
+        let { jobs } = await Job.findAll(filterParams);
+        expect(jobs.map(j => j.title)).toEqual(["job title 2"]);
+    })
+    
+    test("Works: sorts and pages", async function() {
+        
+        let result = await Job.findAll({ sort: "-salary,title", limit: 3 });
+        expect(result.jobs.map(j => j.title)).toEqual(
+            ["Automotive Engineer", "Front Room Staff", "job title 2"]);
+        expect(result).toEqual(expect.objectContaining({ total: 6, page: 1, limit: 3 }));
+
+        result = await Job.findAll({ sort: "-salary,title", limit: 3, page: 2 });
+        expect(result.jobs.map(j => j.title)).toEqual(
+            ["job title 3", "job title 4", "job title 1"]);
+    })
+    
+    test("Works: paging with technology filter", async function() {
+        
+        let result = await Job.findAll({ technology: "sql", limit: 1, page: 2 });
+        expect(result.jobs.map(j => j.title)).toEqual(["job title 2"]);
+        expect(result.total).toEqual(2);
+    })
+    
+    test("Works: only open jobs that haven't expired", async function() {
+        await db.query(`UPDATE jobs SET status = 'draft' WHERE title = 'job title 1'`);
+        await db.query(`UPDATE jobs SET status = 'filled' WHERE title = 'job title 2'`);
+        await db.query(`UPDATE jobs SET expires_at = NOW() WHERE title = 'job title 3'`);
+        await db.query(`UPDATE jobs SET expires_at = NOW() + INTERVAL '1 day' WHERE title = 'job title 4'`);
+
+        let result = await Job.findAll({ open: false });
+        expect(result.jobs.map(j => j.title))
+            .toEqual(["Automotive Engineer", "Front Room Staff", "job title 4"]);
+        expect(result.total).toEqual(3);
+    })
+
+    test("Works: every job unless openOnly", async function() {
+        await db.query(`UPDATE jobs SET status = 'draft' WHERE title = 'job title 1'`);
+
+        let result = await Job.findAll({}, { openOnly: false });
+        expect(result.total).toEqual(6);
+
+        result = await Job.findAll({ status: "draft" }, { openOnly: false });
+        expect(result.jobs.map(j => [j.title, j.status])).toEqual([["job title 1", "draft"]]);
+
+        result = await Job.findAll({ open: true }, { openOnly: false });
+        expect(result.total).toEqual(5);
+    })
+
+    test("Throw error when passed invalid status", async function() {
+        try{
+            await Job.findAll({ status: "open,gone" }, { openOnly: false });
+            fail();
+        }catch(e){
+            expect(e instanceof BadRequestError).toBeTruthy();
+            expect(e.message).toEqual("Invalid status: gone");
+        }
+    })
+
+    test("Throw error when passed invalid technologyMatch", async function() {
+        
+        let filterParams = { technology: "sql", technologyMatch: "some" }
+
+        try{
+            await Job.findAll(filterParams);
+            fail();
+        }catch(e){
+            expect(e instanceof ExpressError).toBeTruthy();
+            expect(e.status).toEqual(400);
+        }
+    })
+
+    test("Throw error when minSalary isn't a number", async function() {
+        
+        let filterParams = { minSalary: "lots" }
+
+        try{
+            await Job.findAll(filterParams);
+            fail();
+        }catch(e){
+            expect(e instanceof ExpressError).toBeTruthy();
+            expect(e.message).toEqual(`Invalid value for minSalary: lots`)
+        }
+    })
+
     test("Throw error when passed unexpected parameter", async function() {
         
         let filterParams = { bananas: "yes" }
@@ -235,9 +585,34 @@ describe("get", function() {
             salary: expect.any(Number),
             equity: expect.any(String),
             companyHandle: expect.any(String),
+            salaryMax: null,
+            currency: "USD",
+            payPeriod: "year",
+            status: "open",
+            expiresAt: null,
+            technologies: [],
         })
     })
 
+    test("works: includes technologies", async function() {
+        const result = await db.query(
+            `SELECT id FROM jobs WHERE title = 'job title 1'`);
+        let job = await Job.get(result.rows[0].id);
+
+        expect(job.technologies).toEqual(["javascript", "sql"]);
+    })
+
+    test("NotFoundError with openOnly for a job that isn't open", async function() {
+        const job = await Job.create({ title: "draft", companyHandle: "c1", status: "draft" });
+        expect((await Job.get(job.id)).status).toEqual("draft");
+        try{
+            await Job.get(job.id, { openOnly: true });
+            fail();
+        }catch(e){
+            expect(e instanceof NotFoundError).toBeTruthy();
+        }
+    })
+
     test("NotFoundError if id doesn't match any in database", async function() {
         try{
             await Job.get(99999);
@@ -247,6 +622,67 @@ describe("get", function() {
     })
 })
 
+/***************** salaryStats *******************/
+
+describe("salaryStats", function() {
+    test("works", async function() {
+        expect(await Job.salaryStats("c2")).toEqual([
+            { currency: "USD", min: 22222, median: 22222, max: 22222 }
+        ]);
+
+        await Job.create({ title: "weekly", salary: 1000, salaryMax: 1500, payPeriod: "week", currency: "gbp", companyHandle: "c2" });
+        await Job.create({ title: "no salary", companyHandle: "c2" });
+        expect(await Job.salaryStats("c2")).toEqual([
+            { currency: "GBP", min: 52000, median: 65000, max: 78000 },
+            { currency: "USD", min: 22222, median: 22222, max: 22222 }
+        ]);
+    })
+
+    test("works: only open jobs", async function() {
+        const job = await Job.create({ title: "draft", salary: 90000, companyHandle: "c2", status: "draft" });
+        const closed = await Job.create({ title: "closed", salary: 1000, companyHandle: "c2" });
+        await Job.close(closed.id);
+        expect(await Job.salaryStats("c2")).toEqual([
+            { currency: "USD", min: 22222, median: 22222, max: 22222 }
+        ]);
+
+        await Job.publish(job.id);
+        expect(await Job.salaryStats("c2")).toEqual([
+            { currency: "USD", min: 22222, median: 22222, max: 90000 }
+        ]);
+    })
+
+    test("works: no salaries", async function() {
+        expect(await Job.salaryStats("nope")).toEqual([]);
+    })
+})
+
+/***************** getApplicants *******************/
+
+describe("getApplicants", function() {
+    test("works", async function() {
+        const jobRes = await db.query(
+            `SELECT id FROM jobs WHERE title = 'job title 1'`);
+        const jobId = jobRes.rows[0].id;
+        await db.query(
+            `INSERT INTO applications (username, job_id, current_state)
+            VALUES ('u1', $1, 'applied'), ('u2', $1, 'rejected')`, [jobId]);
+
+        const result = await Job.getApplicants(jobId, { state: "applied" });
+        expect(result.total).toEqual(1);
+        expect(result.applicants.map(a => a.username)).toEqual(["u1"]);
+    })
+
+    test("NotFoundError if id doesn't match any in database", async function() {
+        try{
+            await Job.getApplicants(99999);
+            fail();
+        }catch(e){
+            expect(e instanceof NotFoundError).toBeTruthy();
+        }
+    })
+})
+
 describe("update", function() {
     // update should take {title, salary, equity}, but never changes 
     // id or companyHandle
@@ -270,9 +706,33 @@ describe("update", function() {
         expect(updatedJob).toEqual({
             id: job.id,
             companyHandle: job.companyHandle,
+            salaryMax: null,
+            currency: "USD",
+            payPeriod: "year",
+            status: "open",
+            expiresAt: null,
+            technologies: [],
             ...updateData
         })
     })
+
+    test("Works: replaces technologies", async function(){
+        let job = await Job.create({ ...testJob, technologies: ["sql"] });
+
+        let updatedJob = await Job.update(job.id, {
+            salary: 3333,
+            technologies: ["python", "rust"]
+        });
+        expect(updatedJob.salary).toEqual(3333);
+        expect(updatedJob.technologies).toEqual(["python", "rust"]);
+    })
+
+    test("Works: technologies only", async function(){
+        let job = await Job.create({ ...testJob, technologies: ["sql"] });
+
+        let updatedJob = await Job.update(job.id, { technologies: [] });
+        expect(updatedJob).toEqual({ ...job, technologies: [] });
+    })
     
     test("Works with partial update", async function(){
         let job = await Job.create(testJob);
@@ -286,9 +746,79 @@ describe("update", function() {
             salary: partialUpdate.salary,
             equity: job.equity,
             companyHandle: job.companyHandle,
+            salaryMax: null,
+            currency: "USD",
+            payPeriod: "year",
+            status: "open",
+            expiresAt: null,
+            technologies: [],
         })
     })
     
+    test("Works: expiresAt", async function(){
+        let job = await Job.create(testJob);
+
+        let updatedJob = await Job.update(job.id, { expiresAt: "2099-01-01T00:00:00Z" });
+        expect(updatedJob.expiresAt).toEqual(new Date("2099-01-01T00:00:00Z"));
+
+        updatedJob = await Job.update(job.id, { expiresAt: null });
+        expect(updatedJob.expiresAt).toBeNull();
+    })
+
+    test("Works: salary range, currency and pay period", async function(){
+        let job = await Job.create(testJob);
+
+        let updatedJob = await Job.update(job.id, { salaryMax: 150000, currency: "cad" });
+        expect(updatedJob).toEqual(expect.objectContaining({
+            salary: 123000,
+            salaryMax: 150000,
+            currency: "CAD",
+            payPeriod: "year"
+        }));
+
+        updatedJob = await Job.update(job.id, { salary: 60, salaryMax: null, payPeriod: "hour" });
+        expect(updatedJob).toEqual(expect.objectContaining({
+            salary: 60,
+            salaryMax: null,
+            payPeriod: "hour"
+        }));
+    })
+
+    test("BadRequestError when salaryMax would be below salary", async function(){
+        let job = await Job.create({ ...testJob, salaryMax: 150000 });
+        for(let data of [{ salaryMax: 1000 }, { salary: 200000 }, { salary: null }]){
+            try{
+                await Job.update(job.id, data);
+                fail();
+            } catch(e){
+                expect(e instanceof BadRequestError).toBeTruthy();
+            }
+        }
+    })
+
+    test("BadRequestError when changing status", async function(){
+        let job = await Job.create(testJob);
+        try{
+            await Job.update(job.id, { status: "closed" });
+            fail();
+        } catch(e){
+            expect(e instanceof BadRequestError).toBeTruthy();
+        }
+    })
+
+    test("BadRequestError on fields that can't be updated", async function(){
+        let job = await Job.create(testJob);
+        for(let data of [{ company_handle: "c2" }, { salary_max: 1 }, { id: 1 }]){
+            try{
+                await Job.update(job.id, data);
+                fail();
+            } catch(e){
+                expect(e instanceof BadRequestError).toBeTruthy();
+            }
+        }
+        expect((await Job.get(job.id)).companyHandle).toEqual("c1");
+    })
+
     test("NotFoundError when id doesn't match any in database", async function(){
         try{
             await Job.update(99999, updateData);
@@ -308,6 +838,210 @@ describe("update", function() {
     })
 })
 
+/************* publish *************/
+
+describe("publish", function(){
+    async function draftJob(expiresAt = null){
+        return Job.create({
+            title: "Draft Job",
+            salary: 123000,
+            equity: "0.001",
+            companyHandle: "c1",
+            status: "draft",
+            expiresAt
+        });
+    }
+
+    test("works", async function(){
+        let job = await draftJob();
+
+        let published = await Job.publish(job.id);
+        expect(published).toEqual({ ...job, status: "open" });
+    })
+
+    test("works: sets expiresAt", async function(){
+        let job = await draftJob();
+
+        let published = await Job.publish(job.id, { expiresAt: "2099-01-01T00:00:00Z" });
+        expect(published.status).toEqual("open");
+        expect(published.expiresAt).toEqual(new Date("2099-01-01T00:00:00Z"));
+    })
+
+    test("BadRequestError when already expired", async function(){
+        let job = await draftJob();
+        await db.query(`UPDATE jobs SET expires_at = NOW() WHERE id = $1`, [job.id]);
+
+        try{
+            await Job.publish(job.id);
+            fail();
+        }catch(e){
+            expect(e instanceof BadRequestError).toBeTruthy();
+        }
+        let published = await Job.publish(job.id, { expiresAt: null });
+        expect(published.expiresAt).toBeNull();
+    })
+
+    test("BadRequestError when already published", async function(){
+        let { jobs } = await Job.findAll({ title: "job title 1" });
+        try{
+            await Job.publish(jobs[0].id);
+            fail();
+        }catch(e){
+            expect(e instanceof BadRequestError).toBeTruthy();
+        }
+    })
+
+    test("NotFoundError when id doesn't match any in database", async function(){
+        try{
+            await Job.publish(99999);
+            fail();
+        }catch(e){
+            expect(e instanceof NotFoundError).toBeTruthy();
+        }
+    })
+})
+
+/************* close *************/
+
+describe("close", function(){
+    test("works", async function(){
+        let { jobs } = await Job.findAll({ title: "job title 1" });
+
+        let closed = await Job.close(jobs[0].id);
+        expect(closed.status).toEqual("closed");
+        expect(closed.technologies).toEqual(["javascript", "sql"]);
+    })
+
+    test("works: filled", async function(){
+        let { jobs } = await Job.findAll({ title: "job title 1" });
+
+        let closed = await Job.close(jobs[0].id, "filled");
+        expect(closed.status).toEqual("filled");
+    })
+
+    test("BadRequestError when not open", async function(){
+        let { jobs } = await Job.findAll({ title: "job title 1" });
+        await Job.close(jobs[0].id);
+        try{
+            await Job.close(jobs[0].id);
+            fail();
+        }catch(e){
+            expect(e instanceof BadRequestError).toBeTruthy();
+        }
+    })
+
+    test("BadRequestError on invalid status", async function(){
+        let { jobs } = await Job.findAll({ title: "job title 1" });
+        try{
+            await Job.close(jobs[0].id, "draft");
+            fail();
+        }catch(e){
+            expect(e instanceof BadRequestError).toBeTruthy();
+        }
+    })
+
+    test("NotFoundError when id doesn't match any in database", async function(){
+        try{
+            await Job.close(99999);
+            fail();
+        }catch(e){
+            expect(e instanceof NotFoundError).toBeTruthy();
+        }
+    })
+})
+
+/************* reopen *************/
+
+describe("reopen", function(){
+    test("works", async function(){
+        let { jobs } = await Job.findAll({ title: "job title 1" });
+        await Job.close(jobs[0].id, "filled");
+
+        let reopened = await Job.reopen(jobs[0].id);
+        expect(reopened.status).toEqual("open");
+        expect(reopened.expiresAt).toBeNull();
+    })
+
+    test("works: expired job, clearing expiresAt", async function(){
+        let { jobs } = await Job.findAll({ title: "job title 1" });
+        await db.query(`UPDATE jobs SET expires_at = NOW() WHERE id = $1`, [jobs[0].id]);
+
+        let reopened = await Job.reopen(jobs[0].id);
+        expect(reopened.status).toEqual("open");
+        expect(reopened.expiresAt).toBeNull();
+    })
+
+    test("works: sets expiresAt", async function(){
+        let { jobs } = await Job.findAll({ title: "job title 1" });
+        await Job.close(jobs[0].id);
+
+        let reopened = await Job.reopen(jobs[0].id, { expiresAt: "2099-01-01T00:00:00Z" });
+        expect(reopened.expiresAt).toEqual(new Date("2099-01-01T00:00:00Z"));
+    })
+
+    test("BadRequestError when open or a draft", async function(){
+        let { jobs } = await Job.findAll({ title: "job title 1" });
+        try{
+            await Job.reopen(jobs[0].id);
+            fail();
+        }catch(e){
+            expect(e instanceof BadRequestError).toBeTruthy();
+        }
+
+        await db.query(`UPDATE jobs SET status = 'draft' WHERE id = $1`, [jobs[0].id]);
+        try{
+            await Job.reopen(jobs[0].id);
+            fail();
+        }catch(e){
+            expect(e instanceof BadRequestError).toBeTruthy();
+        }
+    })
+
+    test("BadRequestError when expiresAt has passed", async function(){
+        let { jobs } = await Job.findAll({ title: "job title 1" });
+        await Job.close(jobs[0].id);
+        try{
+            await Job.reopen(jobs[0].id, { expiresAt: "2000-01-01T00:00:00Z" });
+            fail();
+        }catch(e){
+            expect(e instanceof BadRequestError).toBeTruthy();
+        }
+    })
+})
+
+/************* checkOpen *************/
+
+describe("checkOpen", function(){
+    test("works", async function(){
+        let { jobs } = await Job.findAll({ title: "job title 1" });
+        await Job.checkOpen(jobs[0].id);
+    })
+
+    test("BadRequestError when closed, a draft or expired", async function(){
+        let { jobs } = await Job.findAll({ title: "job title 1" });
+        for(let change of ["status = 'closed'", "status = 'draft'", "expires_at = NOW()"]){
+            await db.query("SAVEPOINT change");
+            await db.query(`UPDATE jobs SET ${change} WHERE id = $1`, [jobs[0].id]);
+            try{
+                await Job.checkOpen(jobs[0].id);
+                fail();
+            }catch(e){
+                expect(e instanceof BadRequestError).toBeTruthy();
+            }
+            await db.query("ROLLBACK TO SAVEPOINT change");
+        }
+    })
+
+    test("NotFoundError when id doesn't match any in database", async function(){
+        try{
+            await Job.checkOpen(99999);
+            fail();
+        }catch(e){
+            expect(e instanceof NotFoundError).toBeTruthy();
+        }
+    })
+})
+
 /************* remove *************/
 
 describe("remove", function(){
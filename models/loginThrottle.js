@@ -0,0 +1,162 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError, TooManyRequestsError } = require("../expressError");
+
+/** Failed logins allowed before a lockout, per username and per client ip.
+ * An ip gets more room, since many users can share one.
+ */
+
+const MAX_FAILURES = {
+  username: +process.env.LOGIN_MAX_FAILURES || 5,
+  ip: +process.env.LOGIN_MAX_FAILURES_PER_IP || 20,
+};
+
+/** The first lockout lasts LOCKOUT_SECONDS; each failure after that
+ * doubles it, up to MAX_LOCKOUT_SECONDS.
+ */
+
+const LOCKOUT_SECONDS = +process.env.LOGIN_LOCKOUT_SECONDS || 60;
+const MAX_LOCKOUT_SECONDS = +process.env.LOGIN_MAX_LOCKOUT_SECONDS || 60 * 60;
+
+/** Below the limit, each failure for a username holds off the next attempt
+ * for it: DELAY_SECONDS at first, doubling with each failure, so guessing
+ * is slow well before a lockout. An ip isn't delayed, since many users can
+ * share one.
+ */
+
+const DELAY_SECONDS = +process.env.LOGIN_DELAY_SECONDS || 1;
+
+/** Failures are forgotten after this many seconds without another. */
+
+const FAILURE_WINDOW_SECONDS = +process.env.LOGIN_FAILURE_WINDOW_SECONDS || 60 * 60;
+
+/** How long a lockout (or delay, under the limit) lasts after `failures`
+ * failures, in seconds; 0 if there shouldn't be one.
+ */
+
+function lockoutSeconds(kind, failures) {
+  const over = failures - MAX_FAILURES[kind];
+  if (over < 0) {
+    if (kind !== "username") return 0;
+    return Math.min(DELAY_SECONDS * 2 ** (failures - 1), LOCKOUT_SECONDS);
+  }
+  return Math.min(LOCKOUT_SECONDS * 2 ** over, MAX_LOCKOUT_SECONDS);
+}
+
+/** Related functions for throttling login attempts.
+ *
+ * Failed logins are counted per username and per client ip in the db, so
+ * every server process sees the same counts. Each failure for a username
+ * makes the next attempt wait a little longer, and past a limit, logins for
+ * that username or from that ip are locked out for a while.
+ */
+
+class LoginThrottle {
+  /** Check a login attempt may go ahead; returns undefined.
+   *
+   * Throws TooManyRequestsError, with the seconds left as retryAfter, if the
+   * username or ip is locked out.
+   **/
+
+  static async check(username, ip) {
+    const result = await db.query(
+          `SELECT CEIL(EXTRACT(EPOCH FROM locked_until - NOW()))::integer AS "retryAfter"
+           FROM login_failures
+           WHERE ((kind = 'username' AND key = $1) OR (kind = 'ip' AND key = $2))
+             AND locked_until > NOW()
+           ORDER BY locked_until DESC
+           LIMIT 1`,
+        [username, ip]);
+
+    const lockout = result.rows[0];
+
+    if (lockout) {
+      throw new TooManyRequestsError(
+          "Too many failed login attempts; try again later", lockout.retryAfter);
+    }
+  }
+
+  /** Count a failed login against the username and ip, locking either out
+   * if it's over the limit; returns undefined.
+   **/
+
+  static async recordFailure(username, ip) {
+    for (let [kind, key] of [["username", username], ["ip", ip]]) {
+      const result = await db.query(
+            `INSERT INTO login_failures (kind, key, failures, last_failure_at)
+             VALUES ($1, $2, 1, NOW())
+             ON CONFLICT (kind, key) DO UPDATE
+             SET failures = CASE
+                   WHEN login_failures.last_failure_at < NOW() - make_interval(secs => $3)
+                   THEN 1
+                   ELSE login_failures.failures + 1
+                 END,
+                 last_failure_at = NOW()
+             RETURNING failures`,
+          [kind, key, FAILURE_WINDOW_SECONDS]);
+
+      const seconds = lockoutSeconds(kind, result.rows[0].failures);
+      if (seconds) {
+        await db.query(
+              `UPDATE login_failures
+               SET locked_until = NOW() + make_interval(secs => $3)
+               WHERE kind = $1 AND key = $2`,
+            [kind, key, seconds]);
+      }
+    }
+  }
+
+  /** Forget the failed logins for a username after it logs in; returns
+   * undefined. The ip's count is kept, so one good account can't be used to
+   * reset it.
+   **/
+
+  static async recordSuccess(username) {
+    await db.query(
+          `DELETE FROM login_failures
+           WHERE kind = 'username' AND key = $1`,
+        [username]);
+  }
+
+  /** Find all usernames and ips with failed logins, locked out ones first.
+   *
+   * Returns [{ kind, key, failures, lastFailureAt, lockedUntil }, ...]
+   *   where lockedUntil is null if never locked out
+   **/
+
+  static async findAll() {
+    const result = await db.query(
+          `SELECT kind,
+                  key,
+                  failures,
+                  last_failure_at AS "lastFailureAt",
+                  locked_until AS "lockedUntil"
+           FROM login_failures
+           WHERE last_failure_at > NOW() - make_interval(secs => $1)
+              OR locked_until > NOW()
+           ORDER BY locked_until DESC NULLS LAST, kind, key`,
+        [FAILURE_WINDOW_SECONDS]);
+
+    return result.rows;
+  }
+
+  /** Clear the failed logins, and any lockout, for a username or ip;
+   * returns undefined.
+   *
+   * Throws NotFoundError if there were none.
+   **/
+
+  static async clear(kind, key) {
+    const result = await db.query(
+          `DELETE FROM login_failures
+           WHERE kind = $1 AND key = $2
+           RETURNING key`,
+        [kind, key]);
+
+    if (!result.rows[0]) throw new NotFoundError(`No failed logins for ${kind}: ${key}`);
+  }
+}
+
+
+module.exports = LoginThrottle;
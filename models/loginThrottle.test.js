@@ -0,0 +1,127 @@
+"use strict";
+
+const db = require("../db.js");
+const LoginThrottle = require("./loginThrottle.js");
+const { NotFoundError, TooManyRequestsError } = require("../expressError");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+async function failLogins(times, username = "u1", ip = "1.1.1.1") {
+  for (let i = 0; i < times; i++) {
+    await LoginThrottle.recordFailure(username, ip);
+  }
+}
+
+/************************************** check */
+
+describe("check", function () {
+  test("works: under the limit, once the delay is over", async function () {
+    await failLogins(4);
+    await db.query(
+        `UPDATE login_failures SET locked_until = NOW() - INTERVAL '1 second'`);
+    await expect(LoginThrottle.check("u1", "1.1.1.1")).resolves.toBeUndefined();
+  });
+
+  test("delays username under the limit, longer after each failure", async function () {
+    await failLogins(1);
+    await expect(LoginThrottle.check("u1", "2.2.2.2"))
+        .rejects.toHaveProperty("retryAfter", 1);
+    await failLogins(3);
+    await expect(LoginThrottle.check("u1", "2.2.2.2"))
+        .rejects.toHaveProperty("retryAfter", 8);
+    await expect(LoginThrottle.check("u2", "1.1.1.1")).resolves.toBeUndefined();
+  });
+
+  test("locks out username over the limit", async function () {
+    await failLogins(5);
+    try {
+      await LoginThrottle.check("u1", "2.2.2.2");
+      throw new Error("fail test, you shouldn't get here");
+    } catch (err) {
+      expect(err instanceof TooManyRequestsError).toBeTruthy();
+      expect(err.retryAfter).toEqual(60);
+    }
+    await expect(LoginThrottle.check("u2", "2.2.2.2")).resolves.toBeUndefined();
+  });
+
+  test("locks out ip over the limit", async function () {
+    for (let i = 0; i < 20; i++) {
+      await LoginThrottle.recordFailure(`user${i}`, "1.1.1.1");
+    }
+    await expect(LoginThrottle.check("u2", "1.1.1.1"))
+        .rejects.toThrow(TooManyRequestsError);
+  });
+
+  test("lockouts get longer", async function () {
+    await failLogins(7);
+    await expect(LoginThrottle.check("u1", "2.2.2.2"))
+        .rejects.toHaveProperty("retryAfter", 240);
+  });
+
+  test("old failures are forgotten", async function () {
+    await failLogins(4);
+    await db.query(
+        `UPDATE login_failures SET last_failure_at = NOW() - INTERVAL '2 hours'`);
+    await failLogins(1);
+    const result = await db.query(
+        `SELECT failures FROM login_failures WHERE kind = 'username'`);
+    expect(result.rows).toEqual([{ failures: 1 }]);
+  });
+});
+
+/************************************** recordSuccess */
+
+describe("recordSuccess", function () {
+  test("clears the username only", async function () {
+    await failLogins(3);
+    await LoginThrottle.recordSuccess("u1");
+    const result = await db.query("SELECT kind, failures FROM login_failures");
+    expect(result.rows).toEqual([{ kind: "ip", failures: 3 }]);
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works", async function () {
+    await failLogins(5);
+    await failLogins(1, "u2", "2.2.2.2");
+    const lockouts = await LoginThrottle.findAll();
+    expect(lockouts).toEqual([
+      {
+        kind: "username",
+        key: "u1",
+        failures: 5,
+        lastFailureAt: expect.any(Date),
+        lockedUntil: expect.any(Date),
+      },
+      { kind: "username", key: "u2", failures: 1, lastFailureAt: expect.any(Date), lockedUntil: expect.any(Date) },
+      { kind: "ip", key: "1.1.1.1", failures: 5, lastFailureAt: expect.any(Date), lockedUntil: null },
+      { kind: "ip", key: "2.2.2.2", failures: 1, lastFailureAt: expect.any(Date), lockedUntil: null },
+    ]);
+  });
+});
+
+/************************************** clear */
+
+describe("clear", function () {
+  test("works", async function () {
+    await failLogins(5);
+    await LoginThrottle.clear("username", "u1");
+    await expect(LoginThrottle.check("u1", "2.2.2.2")).resolves.toBeUndefined();
+  });
+
+  test("not found if nothing to clear", async function () {
+    await expect(LoginThrottle.clear("username", "u2"))
+        .rejects.toThrow(NotFoundError);
+  });
+});
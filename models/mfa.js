@@ -0,0 +1,326 @@
+"use strict";
+
+const crypto = require("crypto");
+const db = require("../db");
+const {
+  BadRequestError,
+  NotFoundError,
+  UnauthorizedError,
+} = require("../expressError");
+const { createRandomToken, hashToken } = require("../helpers/tokens");
+const { generateSecret, verifyTotp, otpauthUri } = require("../helpers/totp");
+const Session = require("./session");
+const ApiKey = require("./apiKey");
+
+/** How long the second step of an MFA login can take, in minutes, and how
+ * many wrong codes it allows. */
+
+const MFA_CHALLENGE_MINUTES = +process.env.MFA_CHALLENGE_MINUTES || 5;
+const MFA_CHALLENGE_ATTEMPTS = 5;
+
+/** How many recovery codes a user gets when they turn on MFA. */
+
+const RECOVERY_CODE_COUNT = 10;
+
+/** return a new recovery code, ie. "3f9a-c2e1" */
+
+function createRecoveryCode() {
+  return crypto.randomBytes(4).toString("hex").replace(/^(.{4})/, "$1-");
+}
+
+/** return the hash of a recovery code; case and dashes don't matter */
+
+function hashRecoveryCode(code) {
+  return hashToken(code.toLowerCase().replace(/[\s-]/g, ""));
+}
+
+/** Related functions for two-factor authentication (MFA).
+ *
+ * Users turn it on by adding a TOTP secret to an authenticator app and
+ * confirming a code from it; they get single-use recovery codes in case they
+ * lose the app. After that, logging in takes a challenge (see
+ * createChallenge) answered with a code. Admins can require MFA for an admin
+ * user, who then has to turn it on at their next login.
+ */
+
+class Mfa {
+  /** Start turning on MFA for a user with a new secret. Any secret from an
+   * unfinished earlier start is replaced.
+   *
+   * Returns { secret, otpauthUri } for the user's authenticator app.
+   *
+   * Throws NotFoundError if user not found, and BadRequestError if MFA is
+   * already on.
+   **/
+
+  static async startEnrollment(username) {
+    const user = await Mfa.getUser(username);
+    if (user.mfaEnabled) throw new BadRequestError(`MFA already enabled for: ${username}`);
+
+    const secret = generateSecret();
+    await db.query(
+          `UPDATE users
+           SET mfa_secret = $2, mfa_last_step = NULL
+           WHERE username = $1`,
+        [username, secret]);
+
+    return { secret, otpauthUri: otpauthUri(secret, username) };
+  }
+
+  /** Finish turning on MFA with a code from the user's authenticator app.
+   *
+   * Returns [code, ...] of new recovery codes; they can't be looked up
+   * again later.
+   *
+   * Throws NotFoundError if user not found, and BadRequestError if MFA
+   * isn't being turned on or the code is wrong.
+   **/
+
+  static async confirmEnrollment(username, code) {
+    const user = await Mfa.getUser(username);
+    if (user.mfaEnabled) throw new BadRequestError(`MFA already enabled for: ${username}`);
+    if (!user.mfaSecret) throw new BadRequestError(`MFA enrollment not started for: ${username}`);
+
+    const step = verifyTotp(user.mfaSecret, code);
+    if (step === null) throw new BadRequestError("Invalid code");
+
+    await db.query(
+          `UPDATE users
+           SET mfa_enabled = TRUE, mfa_last_step = $2
+           WHERE username = $1`,
+        [username, step]);
+
+    return Mfa.createRecoveryCodes(username);
+  }
+
+  /** Turn off MFA for a user; returns undefined.
+   *
+   * A code (from their app, or a recovery code) is needed unless `code` is
+   * undefined, which is for admins resetting a user who lost their app.
+   * Users who are required to use MFA can only be reset by an admin, and
+   * have to set it up again at their next login.
+   *
+   * Throws NotFoundError if user not found, and BadRequestError if MFA is
+   * off, required, or the code is wrong.
+   **/
+
+  static async disable(username, code) {
+    const user = await Mfa.getUser(username);
+    if (!user.mfaEnabled) throw new BadRequestError(`MFA not enabled for: ${username}`);
+
+    if (code !== undefined) {
+      if (user.mfaRequired) throw new BadRequestError(`MFA is required for: ${username}`);
+      if (!(await Mfa.verifyCode(username, code))) throw new BadRequestError("Invalid code");
+    }
+
+    await db.query(
+          `UPDATE users
+           SET mfa_secret = NULL, mfa_enabled = FALSE, mfa_last_step = NULL
+           WHERE username = $1`,
+        [username]);
+
+    await db.query(
+          `DELETE FROM mfa_recovery_codes
+           WHERE username = $1`,
+        [username]);
+  }
+
+  /** Require MFA for an admin user, or stop requiring it; returns
+   * undefined. Requiring it signs the user out everywhere (see
+   * Session.revokeAll) and revokes their API keys, so they have to log in
+   * with MFA.
+   *
+   * Throws NotFoundError if user not found, and BadRequestError if
+   * requiring it for a user who isn't an admin.
+   **/
+
+  static async setRequired(username, required) {
+    const user = await Mfa.getUser(username);
+    if (required && !user.isAdmin) throw new BadRequestError(`Not an admin: ${username}`);
+
+    await db.query(
+          `UPDATE users
+           SET mfa_required = $2
+           WHERE username = $1`,
+        [username, required]);
+
+    if (required) {
+      await Session.revokeAll(username);
+      await ApiKey.revokeAll(username);
+    }
+  }
+
+  /** Replace a user's recovery codes with new ones.
+   *
+   * Returns [code, ...]
+   **/
+
+  static async createRecoveryCodes(username) {
+    await db.query(
+          `DELETE FROM mfa_recovery_codes
+           WHERE username = $1`,
+        [username]);
+
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, createRecoveryCode);
+    await db.query(
+          `INSERT INTO mfa_recovery_codes (username, code_hash)
+           SELECT $1, unnest($2::text[])`,
+        [username, codes.map(hashRecoveryCode)]);
+
+    return codes;
+  }
+
+  /** Check a code for a user with MFA on: either from their app, or an
+   * unused recovery code. Either way it can't be used again.
+   *
+   * Returns true or false.
+   **/
+
+  static async verifyCode(username, code) {
+    const user = await Mfa.getUser(username);
+    if (!user.mfaEnabled) return false;
+
+    if (/^\d{6}$/.test(code)) {
+      const step = verifyTotp(user.mfaSecret, code, { afterStep: user.mfaLastStep ?? -1 });
+      if (step === null) return false;
+
+      await db.query(
+            `UPDATE users
+             SET mfa_last_step = $2
+             WHERE username = $1`,
+          [username, step]);
+      return true;
+    }
+
+    const result = await db.query(
+          `UPDATE mfa_recovery_codes
+           SET used_at = NOW()
+           WHERE username = $1 AND code_hash = $2 AND used_at IS NULL
+           RETURNING id`,
+        [username, hashRecoveryCode(code)]);
+
+    return result.rows.length > 0;
+  }
+
+  /** Start the second step of logging in, after the password was right.
+   *
+   * Returns the challenge token; only its hash is saved.
+   **/
+
+  static async createChallenge(username) {
+    const token = createRandomToken();
+
+    await db.query(
+          `INSERT INTO mfa_challenges (token_hash, username, expires_at)
+           VALUES ($1, $2, NOW() + make_interval(mins => $3))`,
+        [hashToken(token), username, MFA_CHALLENGE_MINUTES]);
+
+    return token;
+  }
+
+  /** Find who a challenge is for.
+   *
+   * Returns username.
+   *
+   * Throws UnauthorizedError if the challenge is unknown, expired, used, or
+   * out of attempts.
+   **/
+
+  static async getChallengeUser(token) {
+    const result = await db.query(
+          `SELECT username
+           FROM mfa_challenges
+           WHERE token_hash = $1
+             AND used_at IS NULL
+             AND expires_at > NOW()
+             AND attempts < $2`,
+        [hashToken(token), MFA_CHALLENGE_ATTEMPTS]);
+
+    if (!result.rows[0]) throw new UnauthorizedError("Invalid or expired MFA challenge");
+
+    return result.rows[0].username;
+  }
+
+  /** Answer a challenge with a code. If the user is required to use MFA
+   * but hasn't turned it on yet, the code confirms the secret they were
+   * given at login (see startEnrollment) and turns it on.
+   *
+   * Returns { user: { username, isAdmin, tokenVersion, roles },
+   *           recoveryCodes }
+   *   where recoveryCodes is only there if MFA was just turned on
+   *
+   * Throws UnauthorizedError if the challenge isn't valid (see
+   * getChallengeUser) or the code is wrong; each wrong code uses up one of
+   * the challenge's attempts.
+   **/
+
+  static async completeChallenge(token, code) {
+    const username = await Mfa.getChallengeUser(token);
+    const { mfaEnabled } = await Mfa.getUser(username);
+
+    let recoveryCodes;
+    let valid;
+    if (mfaEnabled) {
+      valid = await Mfa.verifyCode(username, code);
+    } else {
+      try {
+        recoveryCodes = await Mfa.confirmEnrollment(username, code);
+        valid = true;
+      } catch (err) {
+        if (!(err instanceof BadRequestError)) throw err;
+        valid = false;
+      }
+    }
+
+    await db.query(
+          `UPDATE mfa_challenges
+           SET attempts = attempts + 1,
+               used_at = CASE WHEN $2 THEN NOW() END
+           WHERE token_hash = $1`,
+        [hashToken(token), valid]);
+
+    if (!valid) throw new UnauthorizedError("Invalid code");
+
+    const result = await db.query(
+          `SELECT username,
+                  is_admin AS "isAdmin",
+                  token_version AS "tokenVersion",
+                  ARRAY(SELECT role
+                        FROM user_roles ur
+                        WHERE ur.username = users.username
+                        ORDER BY role) AS "roles"
+           FROM users
+           WHERE username = $1`,
+        [username]);
+
+    return { user: result.rows[0], ...(recoveryCodes && { recoveryCodes }) };
+  }
+
+  /** Get a user's MFA settings.
+   *
+   * Returns { username, isAdmin, mfaSecret, mfaEnabled, mfaLastStep,
+   *           mfaRequired }
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async getUser(username) {
+    const result = await db.query(
+          `SELECT username,
+                  is_admin AS "isAdmin",
+                  mfa_secret AS "mfaSecret",
+                  mfa_enabled AS "mfaEnabled",
+                  mfa_last_step::integer AS "mfaLastStep",
+                  mfa_required AS "mfaRequired"
+           FROM users
+           WHERE username = $1`,
+        [username]);
+
+    if (!result.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    return result.rows[0];
+  }
+}
+
+
+module.exports = Mfa;
@@ -0,0 +1,310 @@
+"use strict";
+
+const db = require("../db.js");
+const Mfa = require("./mfa.js");
+const ApiKey = require("./apiKey.js");
+const { totp, timeStep } = require("../helpers/totp");
+const {
+  BadRequestError,
+  NotFoundError,
+  UnauthorizedError,
+} = require("../expressError");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Turn on MFA for a user; returns { secret, recoveryCodes }. The code used
+ * is for the last time step, so the current one is still free to use. */
+
+async function enroll(username) {
+  const { secret } = await Mfa.startEnrollment(username);
+  const recoveryCodes = await Mfa.confirmEnrollment(username, totp(secret, timeStep() - 1));
+  return { secret, recoveryCodes };
+}
+
+/************************************** startEnrollment */
+
+describe("startEnrollment", function () {
+  test("works", async function () {
+    const enrollment = await Mfa.startEnrollment("u1");
+    expect(enrollment).toEqual({
+      secret: expect.stringMatching(/^[A-Z2-7]{32}$/),
+      otpauthUri: expect.stringContaining(`secret=${enrollment.secret}`),
+    });
+
+    const user = await Mfa.getUser("u1");
+    expect(user.mfaSecret).toEqual(enrollment.secret);
+    expect(user.mfaEnabled).toEqual(false);
+  });
+
+  test("bad request if already enabled", async function () {
+    await enroll("u1");
+    try {
+      await Mfa.startEnrollment("u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await Mfa.startEnrollment("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** confirmEnrollment */
+
+describe("confirmEnrollment", function () {
+  test("works", async function () {
+    const { recoveryCodes } = await enroll("u1");
+    expect(recoveryCodes).toHaveLength(10);
+    expect(recoveryCodes[0]).toMatch(/^[0-9a-f]{4}-[0-9a-f]{4}$/);
+    expect((await Mfa.getUser("u1")).mfaEnabled).toEqual(true);
+  });
+
+  test("bad request on wrong code", async function () {
+    const { secret } = await Mfa.startEnrollment("u1");
+    const wrong = totp(secret) === "000000" ? "111111" : "000000";
+    try {
+      await Mfa.confirmEnrollment("u1", wrong);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+    expect((await Mfa.getUser("u1")).mfaEnabled).toEqual(false);
+  });
+
+  test("bad request if not started", async function () {
+    try {
+      await Mfa.confirmEnrollment("u1", "123456");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** verifyCode */
+
+describe("verifyCode", function () {
+  test("works with an app code, once", async function () {
+    const { secret } = await enroll("u1");
+    const code = totp(secret);
+    expect(await Mfa.verifyCode("u1", code)).toEqual(true);
+    expect(await Mfa.verifyCode("u1", code)).toEqual(false);
+  });
+
+  test("doesn't take the code used to turn MFA on", async function () {
+    const { secret } = await enroll("u1");
+    expect(await Mfa.verifyCode("u1", totp(secret, timeStep() - 1))).toEqual(false);
+  });
+
+  test("works with a recovery code, once", async function () {
+    const { recoveryCodes } = await enroll("u1");
+    const code = recoveryCodes[0].toUpperCase().replace("-", "");
+    expect(await Mfa.verifyCode("u1", code)).toEqual(true);
+    expect(await Mfa.verifyCode("u1", recoveryCodes[0])).toEqual(false);
+    expect(await Mfa.verifyCode("u1", recoveryCodes[1])).toEqual(true);
+  });
+
+  test("false for another user's recovery code", async function () {
+    const { recoveryCodes } = await enroll("u1");
+    await enroll("u2");
+    expect(await Mfa.verifyCode("u2", recoveryCodes[0])).toEqual(false);
+  });
+
+  test("false if MFA is off", async function () {
+    expect(await Mfa.verifyCode("u1", "123456")).toEqual(false);
+  });
+});
+
+/************************************** createRecoveryCodes */
+
+describe("createRecoveryCodes", function () {
+  test("replaces the old codes", async function () {
+    const { recoveryCodes } = await enroll("u1");
+    const newCodes = await Mfa.createRecoveryCodes("u1");
+    expect(newCodes).toHaveLength(10);
+    expect(await Mfa.verifyCode("u1", recoveryCodes[0])).toEqual(false);
+    expect(await Mfa.verifyCode("u1", newCodes[0])).toEqual(true);
+  });
+});
+
+/************************************** disable */
+
+describe("disable", function () {
+  test("works with a code", async function () {
+    const { secret } = await enroll("u1");
+    await Mfa.disable("u1", totp(secret));
+
+    const user = await Mfa.getUser("u1");
+    expect(user.mfaEnabled).toEqual(false);
+    expect(user.mfaSecret).toBeNull();
+    const codes = await db.query(
+        "SELECT id FROM mfa_recovery_codes WHERE username = 'u1'");
+    expect(codes.rows).toEqual([]);
+  });
+
+  test("works without a code, for admins", async function () {
+    await enroll("u1");
+    await Mfa.disable("u1");
+    expect((await Mfa.getUser("u1")).mfaEnabled).toEqual(false);
+  });
+
+  test("bad request on wrong code", async function () {
+    await enroll("u1");
+    try {
+      await Mfa.disable("u1", "nope-nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if required, unless reset by an admin", async function () {
+    await db.query("UPDATE users SET is_admin = TRUE WHERE username = 'u1'");
+    const { secret } = await enroll("u1");
+    await Mfa.setRequired("u1", true);
+    try {
+      await Mfa.disable("u1", totp(secret));
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+
+    await Mfa.disable("u1");
+    expect((await Mfa.getUser("u1")).mfaEnabled).toEqual(false);
+  });
+
+  test("bad request if MFA is off", async function () {
+    try {
+      await Mfa.disable("u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** setRequired */
+
+describe("setRequired", function () {
+  test("works, signing the user out", async function () {
+    await db.query("UPDATE users SET is_admin = TRUE WHERE username = 'u1'");
+    await Mfa.setRequired("u1", true);
+
+    const result = await db.query(
+        "SELECT mfa_required, token_version FROM users WHERE username = 'u1'");
+    expect(result.rows[0]).toEqual({ mfa_required: true, token_version: 1 });
+
+    await Mfa.setRequired("u1", false);
+    expect((await Mfa.getUser("u1")).mfaRequired).toEqual(false);
+  });
+
+  test("works: revokes the user's API keys", async function () {
+    await db.query("UPDATE users SET is_admin = TRUE WHERE username = 'u1'");
+    const apiKey = await ApiKey.create("u1", { name: "ci" });
+
+    await Mfa.setRequired("u1", true);
+    expect(await ApiKey.authenticate(apiKey.key)).toBeUndefined();
+  });
+
+  test("bad request for a user who isn't an admin", async function () {
+    try {
+      await Mfa.setRequired("u1", true);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await Mfa.setRequired("nope", false);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** challenges */
+
+describe("completeChallenge", function () {
+  test("works", async function () {
+    const { secret } = await enroll("u1");
+    const token = await Mfa.createChallenge("u1");
+    expect(await Mfa.getChallengeUser(token)).toEqual("u1");
+
+    const result = await Mfa.completeChallenge(token, totp(secret));
+    expect(result).toEqual({
+      user: { username: "u1", isAdmin: false, tokenVersion: 0, roles: [] },
+    });
+  });
+
+  test("works once", async function () {
+    const { recoveryCodes } = await enroll("u1");
+    const token = await Mfa.createChallenge("u1");
+    await Mfa.completeChallenge(token, recoveryCodes[0]);
+    try {
+      await Mfa.completeChallenge(token, recoveryCodes[1]);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+
+  test("turns on MFA for a user who's enrolling", async function () {
+    const { secret } = await Mfa.startEnrollment("u1");
+    const token = await Mfa.createChallenge("u1");
+    const result = await Mfa.completeChallenge(token, totp(secret));
+    expect(result.recoveryCodes).toHaveLength(10);
+    expect((await Mfa.getUser("u1")).mfaEnabled).toEqual(true);
+  });
+
+  test("unauth on wrong code, until out of attempts", async function () {
+    const { secret } = await enroll("u1");
+    const token = await Mfa.createChallenge("u1");
+    for (let i = 0; i < 5; i++) {
+      try {
+        await Mfa.completeChallenge(token, "nope-nope");
+        fail();
+      } catch (err) {
+        expect(err instanceof UnauthorizedError).toBeTruthy();
+      }
+    }
+
+    try {
+      await Mfa.completeChallenge(token, totp(secret));
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+
+  test("unauth if expired", async function () {
+    await enroll("u1");
+    const token = await Mfa.createChallenge("u1");
+    await db.query(
+        "UPDATE mfa_challenges SET expires_at = NOW() - INTERVAL '1 second'");
+    try {
+      await Mfa.getChallengeUser(token);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+});
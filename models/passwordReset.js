@@ -0,0 +1,105 @@
+"use strict";
+
+const db = require("../db");
+const bcrypt = require("bcrypt");
+const { BadRequestError } = require("../expressError");
+const { createRandomToken, hashToken } = require("../helpers/tokens");
+const { sendMail } = require("../helpers/mail");
+const RefreshToken = require("./refreshToken");
+
+const { BCRYPT_WORK_FACTOR } = require("../config.js");
+
+/** How long a password reset token can be used for, in minutes. */
+
+const PASSWORD_RESET_MINUTES = +process.env.PASSWORD_RESET_MINUTES || 60;
+
+/** Related functions for resetting forgotten passwords.
+ *
+ * A reset token is emailed to the user and can be used once, before it
+ * expires, to set a new password. Only a hash of it is stored.
+ */
+
+class PasswordReset {
+  /** Start a password reset for the user(s) with the given username or
+   * email; returns undefined.
+   *
+   * Each matching user is emailed a new reset token, and any older tokens
+   * they had stop working. Nothing happens if no user matches, and callers
+   * shouldn't reveal whether one did.
+   **/
+
+  static async request({ username, email }) {
+    const result = await db.query(
+          `SELECT username, email
+           FROM users
+           WHERE username = $1 OR lower(email) = lower($2)`,
+        [username || null, email || null]);
+
+    for (let user of result.rows) {
+      await db.query(
+            `UPDATE password_reset_tokens
+             SET used_at = NOW()
+             WHERE username = $1 AND used_at IS NULL`,
+          [user.username]);
+
+      const token = createRandomToken();
+      await db.query(
+            `INSERT INTO password_reset_tokens (token_hash, username, expires_at)
+             VALUES ($1, $2, NOW() + make_interval(mins => $3))`,
+          [hashToken(token), user.username, PASSWORD_RESET_MINUTES]);
+
+      await sendMail({
+        to: user.email,
+        subject: "Reset your Jobly password",
+        text: `Someone asked to reset the password for ${user.username}. `
+            + `If it was you, use this reset token within `
+            + `${PASSWORD_RESET_MINUTES} minutes:\n\n${token}\n\n`
+            + `If it wasn't, you can ignore this email.`,
+      });
+    }
+  }
+
+  /** Use a reset token to set a new password.
+   *
+   * The token is used up and the password set in one statement, so a token
+   * can't be used twice, even by requests racing each other, and can be
+   * tried again if setting the password fails. Like any password change,
+   * this signs the user out everywhere (see User.update).
+   *
+   * Returns username.
+   *
+   * Throws BadRequestError if the token is unknown, expired or used.
+   **/
+
+  static async confirm(token, password) {
+    // hashed before the token is claimed, so the claim holds no lock for it
+    const hashedPassword = await bcrypt.hash(password, BCRYPT_WORK_FACTOR);
+
+    const result = await db.query(
+          `WITH claimed AS (
+             UPDATE password_reset_tokens
+             SET used_at = NOW()
+             WHERE token_hash = $1
+               AND used_at IS NULL
+               AND expires_at > NOW()
+             RETURNING username
+           )
+           UPDATE users
+           SET password = $2, token_version = token_version + 1
+           FROM claimed
+           WHERE users.username = claimed.username
+           RETURNING users.username`,
+        [hashToken(token), hashedPassword]);
+
+    const reset = result.rows[0];
+
+    if (!reset) throw new BadRequestError("Invalid or expired reset token");
+
+    await RefreshToken.revokeForUser(reset.username);
+
+    return reset.username;
+  }
+}
+
+
+module.exports = PasswordReset;
@@ -0,0 +1,132 @@
+"use strict";
+
+const bcrypt = require("bcrypt");
+const db = require("../db.js");
+const PasswordReset = require("./passwordReset.js");
+const User = require("./user.js");
+const RefreshToken = require("./refreshToken.js");
+const { outbox } = require("../helpers/mail");
+const { BadRequestError, UnauthorizedError } = require("../expressError");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+beforeEach(() => outbox.length = 0);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Pull the reset token out of the last email sent. */
+
+function lastToken() {
+  return outbox[outbox.length - 1].text.match(/[0-9a-f]{64}/)[0];
+}
+
+/************************************** request */
+
+describe("request", function () {
+  test("works: by username", async function () {
+    await PasswordReset.request({ username: "u1" });
+    expect(outbox).toEqual([{
+      to: "u1@email.com",
+      subject: "Reset your Jobly password",
+      text: expect.stringContaining(lastToken()),
+      sentAt: expect.any(String),
+    }]);
+
+    const result = await db.query(
+        "SELECT username, token_hash FROM password_reset_tokens");
+    expect(result.rows).toEqual([
+      { username: "u1", token_hash: expect.any(String) },
+    ]);
+    expect(result.rows[0].token_hash).not.toEqual(lastToken());
+  });
+
+  test("works: by email, case-insensitive", async function () {
+    await PasswordReset.request({ email: "U2@Email.com" });
+    expect(outbox.map(m => m.to)).toEqual(["u2@email.com"]);
+  });
+
+  test("does nothing for unknown user", async function () {
+    await PasswordReset.request({ username: "nope" });
+    expect(outbox).toEqual([]);
+  });
+
+  test("replaces older tokens", async function () {
+    await PasswordReset.request({ username: "u1" });
+    const oldToken = lastToken();
+    await PasswordReset.request({ username: "u1" });
+    await expect(PasswordReset.confirm(oldToken, "newpassword"))
+        .rejects.toThrow(BadRequestError);
+  });
+});
+
+/************************************** confirm */
+
+describe("confirm", function () {
+  test("works", async function () {
+    await PasswordReset.request({ username: "u1" });
+    const username = await PasswordReset.confirm(lastToken(), "newpassword");
+    expect(username).toEqual("u1");
+
+    const user = await User.authenticate("u1", "newpassword");
+    expect(user.tokenVersion).toEqual(1);
+    await expect(User.authenticate("u1", "password1"))
+        .rejects.toThrow(UnauthorizedError);
+  });
+
+  test("bad request if token already used", async function () {
+    await PasswordReset.request({ username: "u1" });
+    const token = lastToken();
+    await PasswordReset.confirm(token, "newpassword");
+    await expect(PasswordReset.confirm(token, "another"))
+        .rejects.toThrow(BadRequestError);
+  });
+
+  test("bad request for all but one of concurrent uses of a token", async function () {
+    await PasswordReset.request({ username: "u1" });
+    const token = lastToken();
+    const results = await Promise.allSettled([
+      PasswordReset.confirm(token, "newpassword"),
+      PasswordReset.confirm(token, "another"),
+    ]);
+
+    expect(results.map(r => r.status).sort()).toEqual(["fulfilled", "rejected"]);
+    expect(results.find(r => r.status === "rejected").reason)
+        .toBeInstanceOf(BadRequestError);
+  });
+
+  test("works: token can be used again if setting the password fails", async function () {
+    await PasswordReset.request({ username: "u1" });
+    const token = lastToken();
+    jest.spyOn(bcrypt, "hash").mockRejectedValueOnce(new Error("hash failed"));
+    await expect(PasswordReset.confirm(token, "newpassword")).rejects.toThrow("hash failed");
+
+    expect(await PasswordReset.confirm(token, "newpassword")).toEqual("u1");
+  });
+
+  test("works: revokes refresh tokens", async function () {
+    const refreshToken = await RefreshToken.issue("u1");
+    await PasswordReset.request({ username: "u1" });
+    await PasswordReset.confirm(lastToken(), "newpassword");
+    await expect(RefreshToken.rotate(refreshToken))
+        .rejects.toThrow(UnauthorizedError);
+  });
+
+  test("bad request if token expired", async function () {
+    await PasswordReset.request({ username: "u1" });
+    await db.query(
+        `UPDATE password_reset_tokens SET expires_at = NOW() - INTERVAL '1 minute'`);
+    await expect(PasswordReset.confirm(lastToken(), "newpassword"))
+        .rejects.toThrow(BadRequestError);
+  });
+
+  test("bad request if token unknown", async function () {
+    await expect(PasswordReset.confirm("nope", "newpassword"))
+        .rejects.toThrow(BadRequestError);
+  });
+});
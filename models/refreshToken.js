@@ -0,0 +1,126 @@
+"use strict";
+
+const crypto = require("crypto");
+const db = require("../db");
+const { UnauthorizedError } = require("../expressError");
+const { createRandomToken, hashToken } = require("../helpers/tokens");
+
+/** How long a refresh token can be used for, in days. */
+
+const REFRESH_TOKEN_DAYS = +process.env.REFRESH_TOKEN_DAYS || 30;
+
+/** Related functions for refresh tokens.
+ *
+ * Refresh tokens are opaque random strings that can be traded, once, for a
+ * new access token and a new refresh token. Every token descended from the
+ * same sign-in shares a family; if an already used token is presented again
+ * it has probably leaked, so the whole family is revoked.
+ */
+
+class RefreshToken {
+  /** Issue a new refresh token for a user, in a new family unless one is
+   * given.
+   *
+   * Returns the token; only its hash is saved (see hashToken).
+   **/
+
+  static async issue(username, familyId = crypto.randomUUID()) {
+    const token = createRandomToken();
+
+    await db.query(
+          `INSERT INTO refresh_tokens (token_hash, family_id, username, expires_at)
+           VALUES ($1, $2, $3, NOW() + make_interval(days => $4))`,
+        [hashToken(token), familyId, username, REFRESH_TOKEN_DAYS]);
+
+    return token;
+  }
+
+  /** Trade a refresh token for a new one in the same family.
+   *
+   * Returns { user: { username, isAdmin, tokenVersion, roles }, refreshToken }
+   *
+   * Throws UnauthorizedError if the token is unknown, expired or revoked.
+   * If the token was already used, its whole family is revoked first.
+   **/
+
+  static async rotate(token) {
+    const tokenHash = hashToken(token);
+
+    // marking the token used in the same statement that checks it means
+    // two requests racing with the same token can't both succeed
+    const result = await db.query(
+          `UPDATE refresh_tokens rt
+           SET used_at = NOW()
+           FROM users u
+           WHERE u.username = rt.username
+             AND rt.token_hash = $1
+             AND rt.used_at IS NULL
+             AND rt.revoked_at IS NULL
+             AND rt.expires_at > NOW()
+           RETURNING rt.family_id AS "familyId",
+                     u.username,
+                     u.is_admin AS "isAdmin",
+                     u.token_version AS "tokenVersion",
+                     ARRAY(SELECT role
+                           FROM user_roles ur
+                           WHERE ur.username = u.username
+                           ORDER BY role) AS "roles"`,
+        [tokenHash]);
+
+    const current = result.rows[0];
+
+    if (!current) {
+      const reuseRes = await db.query(
+            `SELECT family_id AS "familyId"
+             FROM refresh_tokens
+             WHERE token_hash = $1 AND used_at IS NOT NULL`,
+          [tokenHash]);
+      if (reuseRes.rows[0]) await RefreshToken.revokeFamily(reuseRes.rows[0].familyId);
+
+      throw new UnauthorizedError("Invalid refresh token");
+    }
+
+    const { familyId, ...user } = current;
+    const refreshToken = await RefreshToken.issue(user.username, familyId);
+
+    return { user, refreshToken };
+  }
+
+  /** Revoke a user's refresh token, along with the rest of its family;
+   * returns undefined. Unknown tokens, or other users' tokens, are ignored.
+   **/
+
+  static async revoke(username, token) {
+    await db.query(
+          `UPDATE refresh_tokens
+           SET revoked_at = NOW()
+           WHERE revoked_at IS NULL
+             AND family_id = (SELECT family_id
+                              FROM refresh_tokens
+                              WHERE token_hash = $1 AND username = $2)`,
+        [hashToken(token), username]);
+  }
+
+  /** Revoke every refresh token a user has; returns undefined. */
+
+  static async revokeForUser(username) {
+    await db.query(
+          `UPDATE refresh_tokens
+           SET revoked_at = NOW()
+           WHERE username = $1 AND revoked_at IS NULL`,
+        [username]);
+  }
+
+  /** Revoke every token in a family; returns undefined. */
+
+  static async revokeFamily(familyId) {
+    await db.query(
+          `UPDATE refresh_tokens
+           SET revoked_at = NOW()
+           WHERE family_id = $1 AND revoked_at IS NULL`,
+        [familyId]);
+  }
+}
+
+
+module.exports = RefreshToken;
@@ -0,0 +1,106 @@
+"use strict";
+
+const db = require("../db.js");
+const RefreshToken = require("./refreshToken.js");
+const { UnauthorizedError } = require("../expressError");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** issue */
+
+describe("issue", function () {
+  test("works: stores only a hash", async function () {
+    const token = await RefreshToken.issue("u1");
+    expect(token).toEqual(expect.any(String));
+
+    const result = await db.query(
+        `SELECT token_hash, username, expires_at > NOW() AS "live"
+         FROM refresh_tokens`);
+    expect(result.rows).toEqual([
+      { token_hash: expect.any(String), username: "u1", live: true },
+    ]);
+    expect(result.rows[0].token_hash).not.toEqual(token);
+  });
+});
+
+/************************************** rotate */
+
+describe("rotate", function () {
+  test("works", async function () {
+    const token = await RefreshToken.issue("u1");
+    const { user, refreshToken } = await RefreshToken.rotate(token);
+    expect(user).toEqual({ username: "u1", isAdmin: false, tokenVersion: 0, roles: [] });
+    expect(refreshToken).not.toEqual(token);
+
+    const result = await db.query(
+        `SELECT COUNT(DISTINCT family_id)::integer AS "families",
+                COUNT(used_at)::integer AS "used"
+         FROM refresh_tokens`);
+    expect(result.rows[0]).toEqual({ families: 1, used: 1 });
+  });
+
+  test("unauth and revokes family on reuse", async function () {
+    const token = await RefreshToken.issue("u1");
+    const { refreshToken } = await RefreshToken.rotate(token);
+    const otherFamily = await RefreshToken.issue("u1");
+
+    await expect(RefreshToken.rotate(token)).rejects.toThrow(UnauthorizedError);
+    await expect(RefreshToken.rotate(refreshToken)).rejects.toThrow(UnauthorizedError);
+
+    const { user } = await RefreshToken.rotate(otherFamily);
+    expect(user.username).toEqual("u1");
+  });
+
+  test("unauth if expired", async function () {
+    const token = await RefreshToken.issue("u1");
+    await db.query(
+        `UPDATE refresh_tokens SET expires_at = NOW() - INTERVAL '1 day'`);
+    await expect(RefreshToken.rotate(token)).rejects.toThrow(UnauthorizedError);
+  });
+
+  test("unauth if unknown", async function () {
+    await expect(RefreshToken.rotate("nope")).rejects.toThrow(UnauthorizedError);
+  });
+});
+
+/************************************** revoke */
+
+describe("revoke", function () {
+  test("works: revokes the family", async function () {
+    const token = await RefreshToken.issue("u1");
+    const { refreshToken } = await RefreshToken.rotate(token);
+    await RefreshToken.revoke("u1", refreshToken);
+    await expect(RefreshToken.rotate(refreshToken)).rejects.toThrow(UnauthorizedError);
+  });
+
+  test("ignores other users' tokens", async function () {
+    const token = await RefreshToken.issue("u1");
+    await RefreshToken.revoke("u2", token);
+    const { user } = await RefreshToken.rotate(token);
+    expect(user.username).toEqual("u1");
+  });
+});
+
+/************************************** revokeForUser */
+
+describe("revokeForUser", function () {
+  test("works", async function () {
+    const token1 = await RefreshToken.issue("u1");
+    const token2 = await RefreshToken.issue("u1");
+    const other = await RefreshToken.issue("u2");
+    await RefreshToken.revokeForUser("u1");
+    await expect(RefreshToken.rotate(token1)).rejects.toThrow(UnauthorizedError);
+    await expect(RefreshToken.rotate(token2)).rejects.toThrow(UnauthorizedError);
+    const { user } = await RefreshToken.rotate(other);
+    expect(user.username).toEqual("u2");
+  });
+});
@@ -0,0 +1,133 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError } = require("../expressError");
+
+/** Related functions for roles and permissions.
+ *
+ * Roles (ie. "recruiter") grant named permissions (ie. "jobs:write"); both
+ * live in the db. A user's roles go in their token (see createToken), so
+ * changing them signs the user out, like changing isAdmin does.
+ */
+
+class Role {
+  /** Find all roles with their permissions.
+   *
+   * Returns [{ name, description, permissions: [name, ...] }, ...]
+   **/
+
+  static async findAll() {
+    const result = await db.query(
+          `SELECT r.name,
+                  r.description,
+                  COALESCE(array_agg(rp.permission ORDER BY rp.permission)
+                           FILTER (WHERE rp.permission IS NOT NULL), '{}') AS "permissions"
+           FROM roles r
+           LEFT JOIN role_permissions rp ON rp.role = r.name
+           GROUP BY r.name
+           ORDER BY r.name`);
+
+    return result.rows;
+  }
+
+  /** Get the names of a user's roles.
+   *
+   * Returns [name, ...]
+   **/
+
+  static async getForUser(username) {
+    const result = await db.query(
+          `SELECT role
+           FROM user_roles
+           WHERE username = $1
+           ORDER BY role`,
+        [username]);
+
+    return result.rows.map(r => r.role);
+  }
+
+  /** Give a user a role. Roles the user already has are left alone.
+   *
+   * Returns [name, ...] of the user's roles
+   *
+   * Throws NotFoundError if user or role not found.
+   **/
+
+  static async assign(username, role) {
+    const userRes = await db.query(
+          `SELECT username FROM users WHERE username = $1`, [username]);
+    if (!userRes.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    const roleRes = await db.query(
+          `SELECT name FROM roles WHERE name = $1`, [role]);
+    if (!roleRes.rows[0]) throw new NotFoundError(`No role: ${role}`);
+
+    const result = await db.query(
+          `INSERT INTO user_roles (username, role)
+           VALUES ($1, $2)
+           ON CONFLICT DO NOTHING
+           RETURNING role`,
+        [username, role]);
+
+    if (result.rows[0]) await Role.revokeTokens(username);
+
+    return Role.getForUser(username);
+  }
+
+  /** Take a role away from a user; returns undefined.
+   *
+   * Throws NotFoundError if the user doesn't have that role.
+   **/
+
+  static async remove(username, role) {
+    const result = await db.query(
+          `DELETE FROM user_roles
+           WHERE username = $1 AND role = $2
+           RETURNING role`,
+        [username, role]);
+
+    if (!result.rows[0]) throw new NotFoundError(`No role ${role} for user: ${username}`);
+
+    await Role.revokeTokens(username);
+  }
+
+  /** Sign a user out of tokens carrying their old roles; returns undefined.
+   * Refresh tokens keep working, and the tokens they give out have the new
+   * roles.
+   **/
+
+  static async revokeTokens(username) {
+    await db.query(
+          `UPDATE users
+           SET token_version = token_version + 1
+           WHERE username = $1`,
+        [username]);
+  }
+
+  /** Check whether any of `roles` grants `permission`.
+   *
+   * Returns true or false.
+   *
+   * Throws an error if there's no such permission, so a typo in a route
+   * can't quietly lock everyone out.
+   **/
+
+  static async hasPermission(roles, permission) {
+    const result = await db.query(
+          `SELECT p.name,
+                  EXISTS (SELECT 1
+                          FROM role_permissions
+                          WHERE permission = p.name
+                            AND role = ANY($2::text[])) AS "granted"
+           FROM permissions p
+           WHERE p.name = $1`,
+        [permission, roles]);
+
+    if (!result.rows[0]) throw new Error(`No permission: ${permission}`);
+
+    return result.rows[0].granted;
+  }
+}
+
+
+module.exports = Role;
@@ -0,0 +1,96 @@
+"use strict";
+
+const db = require("../db.js");
+const Role = require("./role.js");
+const { NotFoundError } = require("../expressError");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works", async function () {
+    const roles = await Role.findAll();
+    expect(roles).toEqual([
+      {
+        name: "company-manager",
+        description: expect.any(String),
+        permissions: ["applications:review", "companies:write", "jobs:write"],
+      },
+      {
+        name: "recruiter",
+        description: expect.any(String),
+        permissions: ["applications:review", "jobs:write"],
+      },
+      {
+        name: "seeker",
+        description: expect.any(String),
+        permissions: [],
+      },
+    ]);
+  });
+});
+
+/************************************** assign */
+
+describe("assign", function () {
+  test("works", async function () {
+    expect(await Role.assign("u1", "recruiter")).toEqual(["recruiter"]);
+    expect(await Role.assign("u1", "seeker")).toEqual(["recruiter", "seeker"]);
+    expect(await Role.getForUser("u2")).toEqual([]);
+
+    const result = await db.query(
+        "SELECT token_version FROM users WHERE username = 'u1'");
+    expect(result.rows[0].token_version).toEqual(2);
+  });
+
+  test("works: already has role", async function () {
+    await Role.assign("u1", "recruiter");
+    expect(await Role.assign("u1", "recruiter")).toEqual(["recruiter"]);
+  });
+
+  test("not found if no such user", async function () {
+    await expect(Role.assign("nope", "recruiter")).rejects.toThrow(NotFoundError);
+  });
+
+  test("not found if no such role", async function () {
+    await expect(Role.assign("u1", "nope")).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works", async function () {
+    await Role.assign("u1", "recruiter");
+    await Role.remove("u1", "recruiter");
+    expect(await Role.getForUser("u1")).toEqual([]);
+  });
+
+  test("not found if user lacks role", async function () {
+    await expect(Role.remove("u1", "recruiter")).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** hasPermission */
+
+describe("hasPermission", function () {
+  test("works", async function () {
+    expect(await Role.hasPermission(["recruiter"], "jobs:write")).toEqual(true);
+    expect(await Role.hasPermission(["recruiter"], "companies:write")).toEqual(false);
+    expect(await Role.hasPermission([], "jobs:write")).toEqual(false);
+  });
+
+  test("error on unknown permission", async function () {
+    await expect(Role.hasPermission(["recruiter"], "jobs:wirte")).rejects.toThrow();
+  });
+});
@@ -0,0 +1,138 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError } = require("../expressError");
+const { parsePagination } = require("../helpers/pagination");
+
+/** Kinds of results a search can be limited to. */
+
+const TYPES = ["company", "job"];
+
+/** Marks ts_headline puts around the matched words. They're from Unicode's
+ * private use area, so they can't be mistaken for the text (they're taken
+ * out of it first), and become <b></b> once the text is escaped; see
+ * snippetHtml. */
+
+const START_SEL = "\uE000";
+const STOP_SEL = "\uE001";
+
+/** Options for ts_headline: a couple of short fragments around the matched
+ * words. */
+
+const HEADLINE_OPTIONS =
+    `MaxFragments=2, MaxWords=20, MinWords=5, FragmentDelimiter=" ... ", StartSel=${START_SEL}, StopSel=${STOP_SEL}`;
+
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+/** Turn a headline into HTML that's safe to show: the text is escaped, and
+ * the matched words are wrapped in <b></b>. */
+
+function snippetHtml(headline) {
+  return headline
+      .replace(/[&<>"']/g, c => HTML_ESCAPES[c])
+      .split(START_SEL).join("<b>")
+      .split(STOP_SEL).join("</b>");
+}
+
+/** Related functions for full-text search.
+ *
+ * Companies are searched by name and description, and open jobs by title,
+ * company name and technologies, using the search_vector columns (see
+ * jobly-schema.sql). Queries use websearch_to_tsquery, so they can have
+ * "quoted phrases", OR and -excluded words.
+ */
+
+class Search {
+  /** Search companies and jobs together, best matches first.
+   *
+   * Can be limited to one type ("company" or "job"), and paged through
+   * with page and limit (see parsePagination).
+   *
+   * Returns { results, total, page, limit }
+   *   where results is a mix of
+   *     { type: "company", handle, name, snippet, rank }
+   *     { type: "job", id, title, companyHandle, companyName, snippet, rank }
+   *   snippet is HTML-escaped text around the matched words, which are
+   *     wrapped in <b></b>
+   *   and total is the number of results across all pages
+   *
+   * Throws BadRequestError without a query, on an unknown type, or on a bad
+   * page/limit.
+   **/
+
+  static async search(q, { type, page, limit } = {}) {
+    if (typeof q !== "string" || !q.trim()) throw new BadRequestError("q is required");
+    if (type !== undefined && !TYPES.includes(type)) {
+      throw new BadRequestError(`Invalid type: ${type}`);
+    }
+    const pagination = parsePagination({ page, limit });
+
+    const matches = `
+        WITH query AS (SELECT websearch_to_tsquery('english', $1) AS q)
+        SELECT 'company' AS "type",
+               c.handle,
+               c.name,
+               NULL::integer AS "id",
+               NULL AS "title",
+               NULL AS "companyHandle",
+               NULL AS "companyName",
+               ts_rank(c.search_vector, query.q) AS "rank",
+               c.name || ': ' || c.description AS "document"
+        FROM companies c, query
+        WHERE c.search_vector @@ query.q AND $2 IN ('all', 'company')
+        UNION ALL
+        SELECT 'job',
+               NULL,
+               NULL,
+               j.id,
+               j.title,
+               c.handle,
+               c.name,
+               ts_rank(j.search_vector, query.q),
+               concat_ws(' ', j.title, 'at', c.name,
+                         (SELECT '(' || string_agg(t.name, ', ' ORDER BY t.name) || ')'
+                          FROM technologies_jobs tj
+                          JOIN technologies t ON t.id = tj.tech_id
+                          WHERE tj.job_id = j.id))
+        FROM jobs j
+        JOIN companies c ON c.handle = j.company_handle, query
+        WHERE j.search_vector @@ query.q AND $2 IN ('all', 'job')
+          AND j.status = 'open' AND (j.expires_at IS NULL OR j.expires_at > NOW())`;
+    const values = [q, type || "all"];
+
+    const countRes = await db.query(
+          `SELECT COUNT(*)::integer AS "total" FROM (${matches}) AS matches`,
+        values);
+
+    const result = await db.query(
+          `SELECT matches.*,
+                  ts_headline('english', translate("document", $5, ''),
+                              websearch_to_tsquery('english', $1), $6) AS "snippet"
+           FROM (${matches}) AS matches
+           ORDER BY "rank" DESC, "type", COALESCE("name", "title"), "id"
+           LIMIT $3 OFFSET $4`,
+        [...values, pagination.limit, pagination.offset, START_SEL + STOP_SEL, HEADLINE_OPTIONS]);
+
+    const results = result.rows.map(({ document, ...r }) => (r.type === "company"
+        ? { type: r.type, handle: r.handle, name: r.name, snippet: snippetHtml(r.snippet), rank: r.rank }
+        : {
+          type: r.type,
+          id: r.id,
+          title: r.title,
+          companyHandle: r.companyHandle,
+          companyName: r.companyName,
+          snippet: snippetHtml(r.snippet),
+          rank: r.rank,
+        }));
+
+    return {
+      results,
+      total: countRes.rows[0].total,
+      page: pagination.page,
+      limit: pagination.limit,
+    };
+  }
+}
+
+
+module.exports = Search;
@@ -0,0 +1,131 @@
+"use strict";
+
+const db = require("../db.js");
+const Search = require("./search.js");
+const Company = require("./company.js");
+const { BadRequestError } = require("../expressError");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** search */
+
+describe("search", function () {
+  test("works: jobs by title", async function () {
+    const result = await Search.search("engineer");
+    expect(result).toEqual({
+      results: [
+        {
+          type: "job",
+          id: expect.any(Number),
+          title: "Automotive Engineer",
+          companyHandle: "c3",
+          companyName: "C3",
+          snippet: "Automotive <b>Engineer</b>",
+          rank: expect.any(Number),
+        },
+      ],
+      total: 1,
+      page: 1,
+      limit: 20,
+    });
+  });
+
+  test("works: snippets are HTML-escaped", async function () {
+    await db.query(
+        `INSERT INTO companies (handle, name, description)
+         VALUES ('c4', 'C4', 'Rockets <3 "fuel" & <b>engines</b> <script>alert(1)</script>')`);
+
+    const result = await Search.search("rockets");
+    expect(result.results[0].snippet).toEqual(
+        "<b>Rockets</b> &lt;3 &quot;fuel&quot; &amp;  engines");
+  });
+
+  test("works: jobs by technology", async function () {
+    const result = await Search.search("sql");
+    expect(result.results.map(r => r.title)).toEqual(["job title 1", "job title 2"]);
+    expect(result.results[0].snippet).toContain("<b>sql</b>");
+  });
+
+  test("works: companies by description", async function () {
+    const result = await Search.search("desc1");
+    expect(result.results).toEqual([
+      {
+        type: "company",
+        handle: "c1",
+        name: "C1",
+        snippet: "<b>Desc1</b>",
+        rank: expect.any(Number),
+      },
+    ]);
+  });
+
+  test("works: ranks name matches above company name matches", async function () {
+    const result = await Search.search("c1");
+    expect(result.results.map(r => r.type)).toEqual(["company", "job"]);
+    expect(result.results[0].rank).toBeGreaterThan(result.results[1].rank);
+  });
+
+  test("works: only one type", async function () {
+    const result = await Search.search("c1", { type: "job" });
+    expect(result.results.map(r => r.title)).toEqual(["job title 1"]);
+  });
+
+  test("works: pages", async function () {
+    const result = await Search.search("c2", { page: 2, limit: 2 });
+    expect(result.total).toEqual(4);
+    expect(result.results).toHaveLength(2);
+    expect(result.results.every(r => r.type === "job")).toEqual(true);
+  });
+
+  test("works: web search syntax", async function () {
+    const result = await Search.search("sql -javascript");
+    expect(result.results.map(r => r.title)).toEqual(["job title 2"]);
+  });
+
+  test("works: no matches", async function () {
+    const result = await Search.search("nope");
+    expect(result).toEqual({ results: [], total: 0, page: 1, limit: 20 });
+  });
+
+  test("follows changes to company names and technologies", async function () {
+    await Company.update("c1", { name: "Zeta" });
+    await db.query(
+        `INSERT INTO technologies_jobs (tech_id, job_id)
+         SELECT t.id, j.id
+         FROM technologies t, jobs j
+         WHERE t.name = 'python' AND j.title = 'Front Room Staff'`);
+
+    expect((await Search.search("zeta", { type: "job" })).results.map(r => r.title))
+        .toEqual(["job title 1"]);
+    expect((await Search.search("python")).results.map(r => r.title))
+        .toEqual(["Front Room Staff"]);
+
+    await db.query(`DELETE FROM technologies_jobs`);
+    expect((await Search.search("python")).results).toEqual([]);
+  });
+
+  test("works: only open jobs", async function () {
+    await db.query(`UPDATE jobs SET status = 'closed' WHERE title = 'job title 1'`);
+    await db.query(`UPDATE jobs SET expires_at = NOW() WHERE title = 'job title 2'`);
+
+    expect((await Search.search("sql")).results).toEqual([]);
+  });
+
+  test("bad request without a query", async function () {
+    await expect(Search.search("  ")).rejects.toThrow(BadRequestError);
+    await expect(Search.search(undefined)).rejects.toThrow(BadRequestError);
+  });
+
+  test("bad request on unknown type", async function () {
+    await expect(Search.search("c1", { type: "user" })).rejects.toThrow(BadRequestError);
+  });
+});
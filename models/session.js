@@ -0,0 +1,82 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError } = require("../expressError");
+const RefreshToken = require("./refreshToken");
+
+/** Related functions for revoking access tokens.
+ *
+ * A single token is revoked by adding its jti to revoked_tokens until it
+ * would have expired anyway. All of a user's tokens are revoked by bumping
+ * users.token_version; tokens carry the version they were issued with
+ * (see createToken), so older ones stop matching.
+ */
+
+class Session {
+  /** Given a verified token payload, check it hasn't been revoked.
+   *
+   * A token for a user who is no longer in the db isn't valid. An
+   * impersonation token (see Impersonation) also stops working if its
+   * impersonator is no longer an admin, or no longer exists.
+   *
+   * Returns true or false.
+   **/
+
+  static async isValid({ username, jti, ver = 0, impersonator }) {
+    const result = await db.query(
+          `SELECT (SELECT token_version
+                   FROM users
+                   WHERE username = $1) AS "tokenVersion",
+                  EXISTS (SELECT 1
+                          FROM revoked_tokens
+                          WHERE jti = $2) AS "revoked",
+                  (SELECT is_admin
+                   FROM users
+                   WHERE username = $3) AS "impersonatorIsAdmin"`,
+        [username, jti || null, impersonator || null]);
+
+    const { tokenVersion, revoked, impersonatorIsAdmin } = result.rows[0];
+
+    if (revoked) return false;
+    if (impersonator && impersonatorIsAdmin !== true) return false;
+    return tokenVersion === ver;
+  }
+
+  /** Revoke a single token by its payload; returns undefined.
+   *
+   * Entries for tokens that have since expired are cleared out on the way.
+   **/
+
+  static async revokeToken({ jti, exp }) {
+    await db.query(
+          `DELETE FROM revoked_tokens
+           WHERE expires_at < NOW()`);
+
+    await db.query(
+          `INSERT INTO revoked_tokens (jti, expires_at)
+           VALUES ($1, to_timestamp($2))
+           ON CONFLICT (jti) DO NOTHING`,
+        [jti, exp]);
+  }
+
+  /** Revoke every access and refresh token a user has; returns undefined.
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async revokeAll(username) {
+    const result = await db.query(
+          `UPDATE users
+           SET token_version = token_version + 1
+           WHERE username = $1
+           RETURNING username`,
+        [username]);
+
+    if (!result.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    await RefreshToken.revokeForUser(username);
+  }
+}
+
+
+module.exports = Session;
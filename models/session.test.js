@@ -0,0 +1,84 @@
+"use strict";
+
+const db = require("../db.js");
+const Session = require("./session.js");
+const RefreshToken = require("./refreshToken.js");
+const { NotFoundError, UnauthorizedError } = require("../expressError");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const exp = Math.floor(Date.now() / 1000) + 60;
+
+/************************************** isValid */
+
+describe("isValid", function () {
+  test("works", async function () {
+    expect(await Session.isValid({ username: "u1", jti: "a", ver: 0 })).toEqual(true);
+  });
+
+  test("false if user not in db", async function () {
+    expect(await Session.isValid({ username: "nope", jti: "a", ver: 0 })).toEqual(false);
+  });
+
+  test("false if token revoked", async function () {
+    await Session.revokeToken({ jti: "a", exp });
+    expect(await Session.isValid({ username: "u1", jti: "a", ver: 0 })).toEqual(false);
+    expect(await Session.isValid({ username: "u1", jti: "b", ver: 0 })).toEqual(true);
+  });
+
+  test("false if token version is old", async function () {
+    await Session.revokeAll("u1");
+    expect(await Session.isValid({ username: "u1", jti: "a", ver: 0 })).toEqual(false);
+    expect(await Session.isValid({ username: "u1", jti: "a", ver: 1 })).toEqual(true);
+  });
+
+  test("false if impersonator is no longer an admin", async function () {
+    await db.query("UPDATE users SET is_admin = TRUE WHERE username = 'u2'");
+    const payload = { username: "u1", jti: "a", ver: 0, impersonator: "u2" };
+    expect(await Session.isValid(payload)).toEqual(true);
+
+    await db.query("UPDATE users SET is_admin = FALSE WHERE username = 'u2'");
+    expect(await Session.isValid(payload)).toEqual(false);
+  });
+
+  test("false if impersonator no longer exists", async function () {
+    const payload = { username: "u1", jti: "a", ver: 0, impersonator: "nope" };
+    expect(await Session.isValid(payload)).toEqual(false);
+  });
+});
+
+/************************************** revokeToken */
+
+describe("revokeToken", function () {
+  test("clears out expired entries", async function () {
+    await db.query(
+        `INSERT INTO revoked_tokens (jti, expires_at)
+         VALUES ('old', NOW() - INTERVAL '1 hour')`);
+    await Session.revokeToken({ jti: "a", exp });
+    const result = await db.query("SELECT jti FROM revoked_tokens");
+    expect(result.rows).toEqual([{ jti: "a" }]);
+  });
+});
+
+/************************************** revokeAll */
+
+describe("revokeAll", function () {
+  test("works: revokes refresh tokens too", async function () {
+    const token = await RefreshToken.issue("u1");
+    await Session.revokeAll("u1");
+    await expect(RefreshToken.rotate(token)).rejects.toThrow(UnauthorizedError);
+  });
+
+  test("not found if no such user", async function () {
+    await expect(Session.revokeAll("nope")).rejects.toThrow(NotFoundError);
+  });
+});
@@ -0,0 +1,151 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError } = require("../expressError");
+
+/** Related functions for technologies. */
+
+class Technology {
+  /** Clean up a list of technology names before it touches the db.
+   *
+   * Names are trimmed and lowercased (to match the seed data), blanks are
+   * dropped and duplicates removed.
+   *
+   * Returns [name, ...]
+   */
+
+  static normalize(names = []) {
+    const cleaned = names.map(n => String(n).trim().toLowerCase())
+                         .filter(n => n.length > 0);
+    return [...new Set(cleaned)];
+  }
+
+  /** Given a list of technology names, return their db rows, creating any
+   * technologies that don't exist yet.
+   *
+   * Returns [{ id, name }, ...]
+   */
+
+  static async findOrCreate(names) {
+    const techNames = Technology.normalize(names);
+    if (techNames.length === 0) return [];
+
+    await db.query(
+          `INSERT INTO technologies (name)
+           SELECT unnest($1::text[])
+           ON CONFLICT (name) DO NOTHING`,
+        [techNames]);
+
+    const result = await db.query(
+          `SELECT id, name
+           FROM technologies
+           WHERE name = ANY($1)
+           ORDER BY name`,
+        [techNames]);
+
+    return result.rows;
+  }
+
+  /** Get the names of the technologies a job requires.
+   *
+   * Returns [name, ...]
+   */
+
+  static async getForJob(jobId) {
+    const result = await db.query(
+          `SELECT t.name
+           FROM technologies_jobs tj
+           JOIN technologies t ON t.id = tj.tech_id
+           WHERE tj.job_id = $1
+           ORDER BY t.name`,
+        [jobId]);
+
+    return result.rows.map(r => r.name);
+  }
+
+  /** Replace the technologies a job requires with `names`, creating unknown
+   * technologies on the fly. An empty list clears them.
+   *
+   * Returns [name, ...]
+   */
+
+  static async setForJob(jobId, names) {
+    const techs = await Technology.findOrCreate(names);
+
+    await db.query(
+          `DELETE FROM technologies_jobs
+           WHERE job_id = $1`,
+        [jobId]);
+
+    if (techs.length !== 0) {
+      await db.query(
+            `INSERT INTO technologies_jobs (tech_id, job_id)
+             SELECT unnest($1::int[]), $2`,
+          [techs.map(t => t.id), jobId]);
+    }
+
+    return techs.map(t => t.name);
+  }
+
+  /** Get the names of the technologies on a user's skill profile.
+   *
+   * Returns [name, ...]
+   */
+
+  static async getForUser(username) {
+    const result = await db.query(
+          `SELECT t.name
+           FROM technologies_users tu
+           JOIN technologies t ON t.id = tu.tech_id
+           WHERE tu.username = $1
+           ORDER BY t.name`,
+        [username]);
+
+    return result.rows.map(r => r.name);
+  }
+
+  /** Add technologies to a user's skill profile, creating unknown
+   * technologies on the fly. Skills the user already has are left alone.
+   *
+   * Returns [name, ...] of the user's full skill list
+   */
+
+  static async addForUser(username, names) {
+    const techs = await Technology.findOrCreate(names);
+
+    if (techs.length !== 0) {
+      await db.query(
+            `INSERT INTO technologies_users (tech_id, username)
+             SELECT unnest($1::int[]), $2
+             ON CONFLICT DO NOTHING`,
+          [techs.map(t => t.id), username]);
+    }
+
+    return Technology.getForUser(username);
+  }
+
+  /** Remove a technology from a user's skill profile; returns undefined.
+   *
+   * Throws NotFoundError if the user doesn't have that skill.
+   */
+
+  static async removeForUser(username, name) {
+    const [techName] = Technology.normalize([name]);
+
+    const result = await db.query(
+          `DELETE FROM technologies_users tu
+           USING technologies t
+           WHERE t.id = tu.tech_id
+             AND tu.username = $1
+             AND t.name = $2
+           RETURNING tu.tech_id`,
+        [username, techName]);
+
+    if (!result.rows[0]) {
+      throw new NotFoundError(`No technology ${name} for user: ${username}`);
+    }
+  }
+}
+
+
+module.exports = Technology;
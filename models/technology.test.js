@@ -0,0 +1,77 @@
+"use strict";
+
+const db = require("../db.js");
+const Technology = require("./technology.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** normalize */
+
+describe("normalize", function () {
+  test("works", function () {
+    expect(Technology.normalize([" SQL", "sql", "", "React"]))
+        .toEqual(["sql", "react"]);
+  });
+});
+
+/************************************** findOrCreate */
+
+describe("findOrCreate", function () {
+  test("works: existing and new", async function () {
+    const techs = await Technology.findOrCreate(["sql", "Rust"]);
+    expect(techs).toEqual([
+      { id: expect.any(Number), name: "rust" },
+      { id: expect.any(Number), name: "sql" },
+    ]);
+
+    const result = await db.query(
+        "SELECT name FROM technologies ORDER BY name");
+    expect(result.rows.map(r => r.name))
+        .toEqual(["javascript", "python", "rust", "sql"]);
+  });
+
+  test("works: no names", async function () {
+    expect(await Technology.findOrCreate([])).toEqual([]);
+  });
+});
+
+/************************************** setForJob / getForJob */
+
+describe("setForJob", function () {
+  test("replaces a job's technologies", async function () {
+    const result = await db.query(
+        "SELECT id FROM jobs WHERE title = 'job title 1'");
+    const jobId = result.rows[0].id;
+
+    expect(await Technology.getForJob(jobId)).toEqual(["javascript", "sql"]);
+    expect(await Technology.setForJob(jobId, ["python"])).toEqual(["python"]);
+    expect(await Technology.getForJob(jobId)).toEqual(["python"]);
+    expect(await Technology.setForJob(jobId, [])).toEqual([]);
+    expect(await Technology.getForJob(jobId)).toEqual([]);
+  });
+});
+
+/************************************** user skills */
+
+describe("addForUser", function () {
+  test("ignores skills the user already has", async function () {
+    expect(await Technology.addForUser("u1", ["python", "sql"]))
+        .toEqual(["javascript", "python", "sql"]);
+  });
+});
+
+describe("removeForUser", function () {
+  test("works", async function () {
+    await Technology.removeForUser("u1", "JavaScript");
+    expect(await Technology.getForUser("u1")).toEqual(["python"]);
+  });
+});
@@ -2,7 +2,11 @@
 
 const db = require("../db");
 const bcrypt = require("bcrypt");
-const { sqlForPartialUpdate } = require("../helpers/sql");
+const { sqlForPartialUpdate, sqlForSort } = require("../helpers/sql");
+const { parsePagination } = require("../helpers/pagination");
+const Technology = require("./technology");
+const Application = require("./application");
+const RefreshToken = require("./refreshToken");
 const {
   NotFoundError,
   BadRequestError,
@@ -11,12 +15,22 @@ const {
 
 const { BCRYPT_WORK_FACTOR } = require("../config.js");
 
+/** Fields users can be sorted by, mapped to their columns. */
+
+const SORTABLE_COLS = {
+  username: "username",
+  firstName: "first_name",
+  lastName: "last_name",
+  email: "email",
+};
+
 /** Related functions for users. */
 
 class User {
   /** authenticate user with username, password.
    *
-   * Returns { username, first_name, last_name, email, is_admin }
+   * Returns { username, firstName, lastName, email, isAdmin, tokenVersion,
+   *           mfaEnabled, mfaRequired, roles }
    *
    * Throws UnauthorizedError is user not found or wrong password.
    **/
@@ -29,7 +43,14 @@ class User {
                   first_name AS "firstName",
                   last_name AS "lastName",
                   email,
-                  is_admin AS "isAdmin"
+                  is_admin AS "isAdmin",
+                  token_version AS "tokenVersion",
+                  mfa_enabled AS "mfaEnabled",
+                  mfa_required AS "mfaRequired",
+                  ARRAY(SELECT role
+                        FROM user_roles ur
+                        WHERE ur.username = users.username
+                        ORDER BY role) AS "roles"
            FROM users
            WHERE username = $1`,
         [username],
@@ -98,10 +119,29 @@ class User {
 
   /** Find all users.
    *
-   * Returns [{ username, first_name, last_name, email, is_admin }, ...]
+   * Paged with page and limit, and sorted with sort, ie. "lastName,firstName"
+   * (default "username"); see parsePagination and sqlForSort
+   *
+   * Returns { users, total, page, limit }
+   *   where users is [{ username, first_name, last_name, email, is_admin }, ...]
+   *   and total is the number of users across all pages
+   *
+   * Throws BadRequestError on any other query parameter.
    **/
 
-  static async findAll() {
+  static async findAll(queryStringData = {}) {
+    const { page, limit, sort = "username", ...rest } = queryStringData;
+    const invalid = Object.keys(rest);
+    if (invalid.length) throw new BadRequestError(`Invalid filter parameter: ${invalid[0]}`);
+
+    const pagination = parsePagination({ page, limit });
+    const orderBy = sqlForSort(sort, SORTABLE_COLS);
+
+    const countRes = await db.query(
+          `SELECT COUNT(*)::integer AS "total"
+           FROM users`,
+    );
+
     const result = await db.query(
           `SELECT username,
                   first_name AS "firstName",
@@ -109,16 +149,26 @@ class User {
                   email,
                   is_admin AS "isAdmin"
            FROM users
-           ORDER BY username`,
+           ORDER BY ${orderBy}, username
+           LIMIT $1 OFFSET $2`,
+        [pagination.limit, pagination.offset],
     );
 
-    return result.rows;
+    return {
+      users: result.rows,
+      total: countRes.rows[0].total,
+      page: pagination.page,
+      limit: pagination.limit,
+    };
   }
 
   /** Given a username, return data about user.
    *
-   * Returns { username, first_name, last_name, is_admin, jobs }
-   *   where jobs is { id, title, company_handle, company_name, state }
+   * Returns { username, first_name, last_name, is_admin, emailVerified,
+   *           mfaEnabled, mfaRequired, roles, jobs, technologies }
+   *   where jobs is [{ id, title, companyHandle, companyName, state,
+   *                    appliedAt, updatedAt }, ...], one per application
+   *   and technologies is [name, ...]
    *
    * Throws NotFoundError if user not found.
    **/
@@ -129,7 +179,14 @@ class User {
                   first_name AS "firstName",
                   last_name AS "lastName",
                   email,
-                  is_admin AS "isAdmin"
+                  is_admin AS "isAdmin",
+                  email_verified AS "emailVerified",
+                  mfa_enabled AS "mfaEnabled",
+                  mfa_required AS "mfaRequired",
+                  ARRAY(SELECT role
+                        FROM user_roles ur
+                        WHERE ur.username = users.username
+                        ORDER BY role) AS "roles"
            FROM users
            WHERE username = $1`,
         [username],
@@ -139,9 +196,123 @@ class User {
 
     if (!user) throw new NotFoundError(`No user: ${username}`);
 
+    user.jobs = await Application.findAll(username);
+    user.technologies = await Technology.getForUser(username);
+
     return user;
   }
 
+  /** Check that a user exists; returns undefined.
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async checkExists(username) {
+    const result = await db.query(
+          `SELECT username
+           FROM users
+           WHERE username = $1`,
+        [username],
+    );
+
+    if (!result.rows[0]) throw new NotFoundError(`No user: ${username}`);
+  }
+
+  /** Get a user's skill profile.
+   *
+   * Returns [name, ...]
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async getTechnologies(username) {
+    await User.checkExists(username);
+    return Technology.getForUser(username);
+  }
+
+  /** Add skills to a user's profile; unknown technologies are created.
+   *
+   * Returns [name, ...] of the user's full skill list
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async addTechnologies(username, technologies) {
+    await User.checkExists(username);
+    return Technology.addForUser(username, technologies);
+  }
+
+  /** Remove a skill from a user's profile; returns undefined.
+   *
+   * Throws NotFoundError if user not found or user lacks the skill.
+   **/
+
+  static async removeTechnology(username, technology) {
+    await User.checkExists(username);
+    await Technology.removeForUser(username, technology);
+  }
+
+  /** Find a user's applications with job and company details.
+   *
+   * filters can include { state, sort }; see Application.findAll
+   *
+   * Returns [{ id, title, companyHandle, companyName, state,
+   *            appliedAt, updatedAt }, ...]
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async getApplications(username, filters = {}) {
+    await User.checkExists(username);
+    return Application.findAll(username, filters);
+  }
+
+  /** Recommend jobs to a user based on their skill profile.
+   *
+   * Jobs are ranked by how many of the user's technologies they require;
+   * jobs with no overlap, jobs that can't be applied to (see Job.checkOpen)
+   * and jobs the user already has an application for (unless withdrawn) are
+   * left out.
+   *
+   * Returns [{ id, title, salary, equity, companyHandle,
+   *            matchScore, matchedTechnologies }, ...]
+   *   where matchScore is the number of matching technologies and
+   *   matchedTechnologies is [name, ...]
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async getRecommendedJobs(username) {
+    await User.checkExists(username);
+
+    const result = await db.query(
+          `SELECT j.id,
+                  j.title,
+                  j.salary,
+                  j.equity,
+                  j.company_handle AS "companyHandle",
+                  COUNT(*)::integer AS "matchScore",
+                  array_agg(t.name ORDER BY t.name) AS "matchedTechnologies"
+           FROM jobs j
+           JOIN technologies_jobs tj ON tj.job_id = j.id
+           JOIN technologies_users tu ON tu.tech_id = tj.tech_id
+                                     AND tu.username = $1
+           JOIN technologies t ON t.id = tj.tech_id
+           WHERE j.status = 'open'
+             AND (j.expires_at IS NULL OR j.expires_at > NOW())
+             AND NOT EXISTS (SELECT 1
+                             FROM applications a
+                             WHERE a.job_id = j.id
+                               AND a.username = $1
+                               AND a.current_state <> 'withdrawn')
+           GROUP BY j.id
+           ORDER BY "matchScore" DESC, j.title`,
+        [username],
+    );
+
+    return result.rows;
+  }
+
   /** Update user data with `data`.
    *
    * This is a "partial update" --- it's fine if data doesn't contain
@@ -152,6 +323,10 @@ class User {
    *
    * Returns { username, firstName, lastName, email, isAdmin }
    *
+   * Changing password or isAdmin revokes the user's existing access and
+   * refresh tokens (see Session). Changing email marks it unverified (see
+   * EmailVerification).
+   *
    * Throws NotFoundError if not found.
    *
    * WARNING: this function can set a new password or make a user an admin.
@@ -173,8 +348,20 @@ class User {
         });
     const usernameVarIdx = "$" + (values.length + 1);
 
+    // a new password or admin flag shouldn't leave old sessions signed in
+    const revokeSql = (data.password !== undefined || data.isAdmin !== undefined)
+        ? ", token_version = token_version + 1"
+        : "";
+
+    // a new email address needs verifying again; on the right-hand side,
+    // email is still the old address
+    const emailIdx = Object.keys(data).indexOf("email") + 1;
+    const verifiedSql = emailIdx
+        ? `, email_verified = email_verified AND email = $${emailIdx}`
+        : "";
+
     const querySql = `UPDATE users 
-                      SET ${setCols} 
+                      SET ${setCols}${revokeSql}${verifiedSql} 
                       WHERE username = ${usernameVarIdx} 
                       RETURNING username,
                                 first_name AS "firstName",
@@ -185,11 +372,60 @@ class User {
     const user = result.rows[0];
 
     if (!user) throw new NotFoundError(`No user: ${username}`);
+    if (revokeSql) await RefreshToken.revokeForUser(username);
 
     delete user.password;
     return user;
   }
 
+  /** Change a user's password, given their current one.
+   *
+   * Like any password change, this signs the user out everywhere (see
+   * update); the returned tokenVersion is for issuing them a new token.
+   *
+   * Returns { username, isAdmin, tokenVersion, roles }
+   *
+   * Throws NotFoundError if user not found, UnauthorizedError if
+   * currentPassword is wrong, and BadRequestError if the new password is
+   * the same as the current one.
+   **/
+
+  static async changePassword(username, currentPassword, newPassword) {
+    const result = await db.query(
+          `SELECT password
+           FROM users
+           WHERE username = $1`,
+        [username],
+    );
+    const user = result.rows[0];
+
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+
+    const isValid = await bcrypt.compare(currentPassword, user.password);
+    if (!isValid) throw new UnauthorizedError("Invalid current password");
+
+    if (currentPassword === newPassword) {
+      throw new BadRequestError("New password must be different from the current one");
+    }
+
+    await User.update(username, { password: newPassword });
+
+    const updatedRes = await db.query(
+          `SELECT username,
+                  is_admin AS "isAdmin",
+                  token_version AS "tokenVersion",
+                  ARRAY(SELECT role
+                        FROM user_roles ur
+                        WHERE ur.username = users.username
+                        ORDER BY role) AS "roles"
+           FROM users
+           WHERE username = $1`,
+        [username],
+    );
+
+    return updatedRes.rows[0];
+  }
+
   /** Delete given user from database; returns undefined. */
 
   static async remove(username) {
@@ -206,28 +442,51 @@ class User {
   }
   
   /** Register a job application to a user
+   * 
+   * changedBy is who made the application (the user themselves, or an
+   * admin applying on their behalf), recorded in the application's history
    * 
    * Returns { username, jobId }
    * 
-   * No duplicate job applications
+   * No duplicate job applications; an "interested" application is moved
+   * to "applied"
+   * 
+   * Throws BadRequestError if the job is closed or expired (see
+   * Job.checkOpen)
    */
   
-  static async apply(username, jobId){
-    const duplicateCheck = await db.query(
-      `SELECT job_id AS "jobId" FROM applications
-       WHERE username = $1 AND job_id = $2
-       `, [username, jobId]
-    )
-    if(duplicateCheck.rows[0]) throw new BadRequestError(`Duplicate Application for job ID: ${jobId}`);
-    
-    const result = await db.query(
-      `INSERT INTO applications (username, job_id, current_state)
-       VALUES ($1, $2, $3)
-       RETURNING username, job_id AS "jobId"
-      `, [username, jobId, "applied"]
-    );
-    const application = result.rows[0];
-    return application; 
+  static async apply(username, jobId, changedBy = username){
+    const application = await Application.changeState(username, jobId, "applied", { changedBy });
+    return { username: application.username, jobId: application.jobId };
+  }
+
+  /** Mark a user as interested in a job, without applying yet
+   * 
+   * Returns { username, jobId }
+   * 
+   * Throws BadRequestError if the user already has an application for the
+   * job, or the job is closed or expired (see Job.checkOpen)
+   */
+
+  static async markInterested(username, jobId, changedBy = username){
+    const application = await Application.changeState(username, jobId, "interested", { changedBy });
+    return { username: application.username, jobId: application.jobId };
+  }
+
+  /** Withdraw a user's job application
+   * 
+   * The application is kept, moved to "withdrawn", so the withdrawal shows
+   * up in its history
+   * 
+   * Returns { username, jobId }
+   * 
+   * Throws NotFoundError if there is no application, and BadRequestError
+   * if it has already been accepted or rejected
+   */
+
+  static async withdraw(username, jobId, changedBy = username){
+    const application = await Application.update(username, jobId, "withdrawn", { changedBy });
+    return { username: application.username, jobId: application.jobId };
   }
 }
 
@@ -7,6 +7,7 @@ const {
 } = require("../expressError");
 const db = require("../db.js");
 const User = require("./user.js");
+const RefreshToken = require("./refreshToken.js");
 const {
   commonBeforeAll,
   commonBeforeEach,
@@ -30,6 +31,10 @@ describe("authenticate", function () {
       lastName: "U1L",
       email: "u1@email.com",
       isAdmin: false,
+      tokenVersion: 0,
+      mfaEnabled: false,
+      mfaRequired: false,
+      roles: [],
     });
   });
 
@@ -109,7 +114,7 @@ describe("register", function () {
 
 describe("findAll", function () {
   test("works", async function () {
-    const users = await User.findAll();
+    const { users } = await User.findAll();
     expect(users).toEqual([
       {
         username: "u1",
@@ -127,6 +132,33 @@ describe("findAll", function () {
       },
     ]);
   });
+
+  test("works: sorts and pages", async function () {
+    const result = await User.findAll({ sort: "-username", limit: 1 });
+    expect(result).toEqual({
+      users: [
+        {
+          username: "u2",
+          firstName: "U2F",
+          lastName: "U2L",
+          email: "u2@email.com",
+          isAdmin: false,
+        },
+      ],
+      total: 2,
+      page: 1,
+      limit: 1,
+    });
+  });
+
+  test("bad request on unknown parameter", async function () {
+    try {
+      await User.findAll({ isAdmin: true });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
 });
 
 /************************************** get */
@@ -140,9 +172,39 @@ describe("get", function () {
       lastName: "U1L",
       email: "u1@email.com",
       isAdmin: false,
+      emailVerified: false,
+      mfaEnabled: false,
+      mfaRequired: false,
+      roles: [],
+      jobs: [],
+      technologies: ["javascript", "python"],
     });
   });
 
+  test("works: includes applications", async function () {
+    const result = await db.query(
+        "SELECT id FROM jobs WHERE title = 'job title 1'");
+    await User.apply("u1", result.rows[0].id);
+
+    let user = await User.get("u1");
+    expect(user.jobs).toEqual([
+      {
+        id: result.rows[0].id,
+        title: "job title 1",
+        companyHandle: "c1",
+        companyName: "C1",
+        state: "applied",
+        appliedAt: expect.any(Date),
+        updatedAt: expect.any(Date),
+      },
+    ]);
+  });
+
+  test("works: user without skills", async function () {
+    let user = await User.get("u2");
+    expect(user.technologies).toEqual([]);
+  });
+
   test("not found if no such user", async function () {
     try {
       await User.get("nope");
@@ -153,6 +215,151 @@ describe("get", function () {
   });
 });
 
+/************************************** technologies */
+
+describe("getTechnologies", function () {
+  test("works", async function () {
+    expect(await User.getTechnologies("u1")).toEqual(["javascript", "python"]);
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await User.getTechnologies("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+describe("addTechnologies", function () {
+  test("works, creating unknown technologies", async function () {
+    const techs = await User.addTechnologies("u1", ["python", "Rust"]);
+    expect(techs).toEqual(["javascript", "python", "rust"]);
+
+    const found = await db.query("SELECT * FROM technologies WHERE name = 'rust'");
+    expect(found.rows.length).toEqual(1);
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await User.addTechnologies("nope", ["sql"]);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+describe("removeTechnology", function () {
+  test("works", async function () {
+    await User.removeTechnology("u1", "python");
+    expect(await User.getTechnologies("u1")).toEqual(["javascript"]);
+  });
+
+  test("not found if user lacks skill", async function () {
+    try {
+      await User.removeTechnology("u1", "sql");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await User.removeTechnology("nope", "sql");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** getApplications */
+
+describe("getApplications", function () {
+  test("works: filters by state", async function () {
+    const result = await db.query(
+        "SELECT id FROM jobs WHERE title IN ('job title 1', 'job title 2') ORDER BY title");
+    await User.apply("u1", result.rows[0].id);
+    await User.markInterested("u1", result.rows[1].id);
+
+    const applications = await User.getApplications("u1", { state: "interested" });
+    expect(applications.map(a => a.title)).toEqual(["job title 2"]);
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await User.getApplications("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** getRecommendedJobs */
+
+describe("getRecommendedJobs", function () {
+  test("works: ranked by matching skills", async function () {
+    await User.addTechnologies("u1", ["sql"]);
+    const jobs = await User.getRecommendedJobs("u1");
+    expect(jobs).toEqual([
+      {
+        id: expect.any(Number),
+        title: "job title 1",
+        salary: 11111,
+        equity: "0.001",
+        companyHandle: "c1",
+        matchScore: 2,
+        matchedTechnologies: ["javascript", "sql"],
+      },
+      {
+        id: expect.any(Number),
+        title: "job title 2",
+        salary: 22222,
+        equity: "0.002",
+        companyHandle: "c2",
+        matchScore: 1,
+        matchedTechnologies: ["sql"],
+      },
+    ]);
+  });
+
+  test("works: leaves out jobs already applied to", async function () {
+    const result = await db.query(
+        "SELECT id FROM jobs WHERE title = 'job title 1'");
+    await User.apply("u1", result.rows[0].id);
+
+    const jobs = await User.getRecommendedJobs("u1");
+    expect(jobs).toEqual([]);
+  });
+
+  test("works: leaves out jobs that aren't open", async function () {
+    await User.addTechnologies("u1", ["sql"]);
+    await db.query("UPDATE jobs SET status = 'closed' WHERE title = 'job title 1'");
+    await db.query(
+        `UPDATE jobs SET expires_at = NOW() - INTERVAL '1 day'
+         WHERE title = 'job title 2'`);
+
+    expect(await User.getRecommendedJobs("u1")).toEqual([]);
+  });
+
+  test("works: no skills, no recommendations", async function () {
+    expect(await User.getRecommendedJobs("u2")).toEqual([]);
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await User.getRecommendedJobs("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
 /************************************** update */
 
 describe("update", function () {
@@ -187,6 +394,35 @@ describe("update", function () {
     expect(found.rows[0].password.startsWith("$2b$")).toEqual(true);
   });
 
+  test("works: password or admin change revokes sessions", async function () {
+    await User.update("u1", { firstName: "NewF" });
+    await User.update("u2", { isAdmin: true });
+    const found = await db.query(
+        "SELECT username, token_version FROM users ORDER BY username");
+    expect(found.rows).toEqual([
+      { username: "u1", token_version: 0 },
+      { username: "u2", token_version: 1 },
+    ]);
+  });
+
+  test("works: password change revokes refresh tokens", async function () {
+    const refreshToken = await RefreshToken.issue("u1");
+    await User.update("u1", { password: "new-password" });
+    await expect(RefreshToken.rotate(refreshToken)).rejects.toThrow(UnauthorizedError);
+  });
+
+  test("works: changing email unverifies it", async function () {
+    await db.query("UPDATE users SET email_verified = TRUE");
+    await User.update("u1", { email: "new@email.com" });
+    await User.update("u2", { email: "u2@email.com", firstName: "NewF" });
+    const found = await db.query(
+        "SELECT username, email_verified FROM users ORDER BY username");
+    expect(found.rows).toEqual([
+      { username: "u1", email_verified: false },
+      { username: "u2", email_verified: true },
+    ]);
+  });
+
   test("not found if no such user", async function () {
     try {
       await User.update("nope", {
@@ -209,6 +445,32 @@ describe("update", function () {
   });
 });
 
+/************************************** changePassword */
+
+describe("changePassword", function () {
+  test("works", async function () {
+    const user = await User.changePassword("u1", "password1", "new-password9");
+    expect(user).toEqual({ username: "u1", isAdmin: false, tokenVersion: 1, roles: [] });
+    const authed = await User.authenticate("u1", "new-password9");
+    expect(authed.username).toEqual("u1");
+  });
+
+  test("unauth if current password wrong", async function () {
+    await expect(User.changePassword("u1", "nope", "new-password9"))
+        .rejects.toThrow(UnauthorizedError);
+  });
+
+  test("bad request if password unchanged", async function () {
+    await expect(User.changePassword("u1", "password1", "password1"))
+        .rejects.toThrow(BadRequestError);
+  });
+
+  test("not found if no such user", async function () {
+    await expect(User.changePassword("nope", "password1", "new-password9"))
+        .rejects.toThrow(NotFoundError);
+  });
+});
+
 /************************************** remove */
 
 describe("remove", function () {
@@ -245,7 +507,7 @@ describe("apply", function() {
     expect(resp).toEqual({ username: "u1", jobId: testJobId });
 
     const checkAppRes = await db.query(`
-    SELECT * FROM applications
+    SELECT username, job_id, current_state FROM applications
     WHERE job_id = ${testJobId}`);
     const checkApp = checkAppRes.rows[0];
     expect(checkApp).toEqual({
@@ -253,8 +515,32 @@ describe("apply", function() {
       job_id: testJobId,
       current_state: "applied"
     })
+
+    const historyRes = await db.query(`
+    SELECT from_state, to_state, changed_by FROM application_history
+    WHERE job_id = ${testJobId}`);
+    expect(historyRes.rows).toEqual([
+      { from_state: null, to_state: "applied", changed_by: "u1" }
+    ])
   })
   
+  test("works: moves an interest to applied", async function() {
+    const result = await db.query(`
+    SELECT id FROM jobs
+    WHERE title = 'job title 1'
+    `)
+    const testJobId = result.rows[0].id;
+
+    await User.markInterested("u1", testJobId);
+    const resp = await User.apply("u1", testJobId);
+    expect(resp).toEqual({ username: "u1", jobId: testJobId });
+
+    const checkAppRes = await db.query(`
+    SELECT current_state FROM applications
+    WHERE job_id = ${testJobId}`);
+    expect(checkAppRes.rows[0].current_state).toEqual("applied");
+  })
+
   test("works if two users apply to same job", async function() {
     const result = await db.query(`
     SELECT id FROM jobs
@@ -286,4 +572,136 @@ describe("apply", function() {
     }
     
   })
-})
\ No newline at end of file
+
+  test("BadRequestError if the job is closed or expired", async function() {
+    await db.query(`UPDATE jobs SET status = 'closed' WHERE title = 'job title 1'`);
+    await db.query(`UPDATE jobs SET expires_at = NOW() WHERE title = 'job title 2'`);
+    const result = await db.query(`
+    SELECT id FROM jobs
+    WHERE title IN ('job title 1', 'job title 2')
+    `)
+
+    for (let { id } of result.rows) {
+      try{
+        await User.apply("u1", id);
+        fail();
+      } catch(e){
+        expect(e instanceof BadRequestError).toBeTruthy();
+      }
+    }
+  })
+
+  test("NotFoundError if no such job", async function() {
+    try{
+      await User.apply("u1", 99999);
+      fail();
+    } catch(e){
+      expect(e instanceof NotFoundError).toBeTruthy();
+    }
+  })
+})
+
+/*************************************** markInterested */
+
+describe("markInterested", function() {
+
+  test("works", async function() {
+    const result = await db.query(`
+    SELECT id FROM jobs
+    WHERE title = 'job title 1'
+    `)
+    const testJobId = result.rows[0].id;
+
+    const resp = await User.markInterested("u1", testJobId);
+    expect(resp).toEqual({ username: "u1", jobId: testJobId });
+
+    const checkAppRes = await db.query(`
+    SELECT current_state FROM applications
+    WHERE job_id = ${testJobId}`);
+    expect(checkAppRes.rows[0].current_state).toEqual("interested");
+  })
+
+  test("BadRequestError if already applied", async function() {
+    const result = await db.query(`
+    SELECT id FROM jobs
+    WHERE title = 'job title 1'
+    `)
+    const testJobId = result.rows[0].id;
+
+    try{
+      await User.apply("u1", testJobId);
+      await User.markInterested("u1", testJobId);
+      fail();
+    } catch(e){
+      expect(e instanceof BadRequestError).toBeTruthy();
+    }
+  })
+})
+
+
+/*************************************** withdraw */
+
+describe("withdraw", function() {
+
+  test("works, keeping the application in history", async function() {
+    const result = await db.query(`
+    SELECT id FROM jobs
+    WHERE title = 'job title 1'
+    `)
+    const testJobId = result.rows[0].id;
+
+    await User.apply("u1", testJobId);
+    const resp = await User.withdraw("u1", testJobId);
+    expect(resp).toEqual({ username: "u1", jobId: testJobId });
+
+    const historyRes = await db.query(`
+    SELECT from_state, to_state FROM application_history
+    WHERE job_id = ${testJobId}
+    ORDER BY id`);
+    expect(historyRes.rows).toEqual([
+      { from_state: null, to_state: "applied" },
+      { from_state: "applied", to_state: "withdrawn" }
+    ])
+  })
+
+  test("works: can apply again after withdrawing", async function() {
+    const result = await db.query(`
+    SELECT id FROM jobs
+    WHERE title = 'job title 1'
+    `)
+    const testJobId = result.rows[0].id;
+
+    await User.apply("u1", testJobId);
+    await User.withdraw("u1", testJobId);
+    const resp = await User.apply("u1", testJobId);
+    expect(resp).toEqual({ username: "u1", jobId: testJobId });
+  })
+
+  test("BadRequestError if accepted", async function() {
+    const result = await db.query(`
+    SELECT id FROM jobs
+    WHERE title = 'job title 1'
+    `)
+    const testJobId = result.rows[0].id;
+
+    await User.apply("u1", testJobId);
+    await db.query(`
+    UPDATE applications SET current_state = 'accepted'
+    WHERE job_id = ${testJobId}`);
+    try{
+      await User.withdraw("u1", testJobId);
+      fail();
+    } catch(e){
+      expect(e instanceof BadRequestError).toBeTruthy();
+    }
+  })
+
+  test("NotFoundError if no application", async function() {
+    try{
+      await User.withdraw("u1", 0);
+      fail();
+    } catch(e){
+      expect(e instanceof NotFoundError).toBeTruthy();
+    }
+  })
+})
@@ -13,6 +13,8 @@ async function commonBeforeAll() {
   await db.query("DELETE FROM companies");
   // noinspection sqlWithoutWhere
   await db.query("DELETE FROM jobs");
+  // noinspection SqlWithoutWhere
+  await db.query("DELETE FROM technologies");
   
   await db.query("ALTER SEQUENCE jobs_id_seq RESTART WITH 1");  
 
@@ -92,6 +94,26 @@ async function commonBeforeAll() {
     password: "password3",
     isAdmin: false,
   });
+
+  await User.register({
+    username: "a1",
+    firstName: "A1F",
+    lastName: "A1L",
+    email: "admin1@user.com",
+    password: "password-admin1",
+    isAdmin: true,
+  });
+
+  await User.addTechnologies("u1", ["javascript", "sql"]);
+
+  // route tests act as users who have verified their email addresses
+  await db.query("UPDATE users SET email_verified = TRUE");
+
+  await db.query("INSERT INTO user_roles (username, role) VALUES ('u3', 'recruiter')");
+
+  // u2 recruits for c1 only
+  await db.query(
+      "INSERT INTO company_members (company_handle, username, role) VALUES ('c1', 'u2', 'recruiter')");
 }
 
 async function commonBeforeEach() {
@@ -109,6 +131,7 @@ async function commonAfterAll() {
 const u1Token = createToken({ username: "u1", isAdmin: false });
 const u2Token = createToken({ username: "u2", isAdmin: false });
 const adminToken = createToken({ username: "a1", isAdmin: true });
+const recruiterToken = createToken({ username: "u3", isAdmin: false, roles: ["recruiter"] });
 
 module.exports = {
   commonBeforeAll,
@@ -117,5 +140,6 @@ module.exports = {
   commonAfterAll,
   u1Token,
   u2Token,
-  adminToken
+  adminToken,
+  recruiterToken
 };
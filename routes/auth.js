@@ -5,16 +5,44 @@
 const jsonschema = require("jsonschema");
 
 const User = require("../models/user");
+const RefreshToken = require("../models/refreshToken");
+const Session = require("../models/session");
+const PasswordReset = require("../models/passwordReset");
+const LoginThrottle = require("../models/loginThrottle");
+const EmailVerification = require("../models/emailVerification");
+const Mfa = require("../models/mfa");
+const Impersonation = require("../models/impersonation");
 const express = require("express");
 const router = new express.Router();
 const { createToken } = require("../helpers/tokens");
+const { checkPasswordPolicy } = require("../helpers/passwordPolicy");
+const { pageLinks } = require("../helpers/pagination");
 const userAuthSchema = require("../schemas/userAuth.json");
 const userRegisterSchema = require("../schemas/userRegister.json");
-const { BadRequestError } = require("../expressError");
+const authRefreshSchema = require("../schemas/authRefresh.json");
+const authLogoutSchema = require("../schemas/authLogout.json");
+const passwordResetRequestSchema = require("../schemas/passwordResetRequest.json");
+const passwordResetConfirmSchema = require("../schemas/passwordResetConfirm.json");
+const verifyEmailSchema = require("../schemas/verifyEmail.json");
+const authMfaSchema = require("../schemas/authMfa.json");
+const { BadRequestError, UnauthorizedError } = require("../expressError");
+const { ensureLoggedIn, ensureNotApiKey, isAdmin } = require("../middleware/auth");
 
-/** POST /auth/token:  { username, password } => { token }
+/** POST /auth/token:  { username, password } => { token, refreshToken }
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * Returns JWT token which can be used to authenticate further requests,
+ * and a refresh token for getting a new one when it expires (see
+ * POST /auth/refresh).
+ *
+ * For users with MFA on, returns { mfaRequired: true, mfaToken } instead;
+ * finish logging in with POST /auth/token/mfa. Users who are required to
+ * use MFA but haven't turned it on also get { secret, otpauthUri } to set
+ * up their authenticator app with first.
+ *
+ * Each failure delays the next attempt for the username a little longer,
+ * and repeated failures lock out the username or client ip for a while (see
+ * LoginThrottle); attempts during a delay or lockout get a 429 with
+ * Retry-After.
  *
  * Authorization required: none
  */
@@ -22,27 +50,92 @@ const { BadRequestError } = require("../expressError");
 router.post("/token", async function (req, res, next) {
   try {
     const validator = jsonschema.validate(req.body, userAuthSchema);
-    debugger;
     if (!validator.valid) {
       const errs = validator.errors.map(e => e.stack);
       throw new BadRequestError(errs);
     }
 
     const { username, password } = req.body;
-    const user = await User.authenticate(username, password);
+    await LoginThrottle.check(username, req.ip);
+
+    let user;
+    try {
+      user = await User.authenticate(username, password);
+    } catch (err) {
+      if (err instanceof UnauthorizedError) {
+        await LoginThrottle.recordFailure(username, req.ip);
+      }
+      throw err;
+    }
+
+    if (user.mfaEnabled || user.mfaRequired) {
+      const mfaToken = await Mfa.createChallenge(user.username);
+      const enrollment = user.mfaEnabled ? {} : await Mfa.startEnrollment(user.username);
+      return res.json({ mfaRequired: true, mfaToken, ...enrollment });
+    }
+    await LoginThrottle.recordSuccess(username);
+
+    const token = createToken(user);
+    const refreshToken = await RefreshToken.issue(user.username);
+    return res.json({ token, refreshToken });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/token/mfa:  { mfaToken, code } => { token, refreshToken }
+ *
+ * The second step of logging in with MFA: code is from the user's
+ * authenticator app, or one of their recovery codes. If this turned on MFA
+ * for a user required to use it, their new recoveryCodes are returned too.
+ *
+ * Wrong codes count towards the same lockouts as wrong passwords.
+ *
+ * Authorization required: none
+ */
+
+router.post("/token/mfa", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, authMfaSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { mfaToken, code } = req.body;
+    const username = await Mfa.getChallengeUser(mfaToken);
+    await LoginThrottle.check(username, req.ip);
+
+    let result;
+    try {
+      result = await Mfa.completeChallenge(mfaToken, code);
+    } catch (err) {
+      if (err instanceof UnauthorizedError) {
+        await LoginThrottle.recordFailure(username, req.ip);
+      }
+      throw err;
+    }
+    await LoginThrottle.recordSuccess(username);
+
+    const { user, recoveryCodes } = result;
     const token = createToken(user);
-    return res.json({ token });
+    const refreshToken = await RefreshToken.issue(user.username);
+    return res.json({ token, refreshToken, ...(recoveryCodes && { recoveryCodes }) });
   } catch (err) {
     return next(err);
   }
 });
 
 
-/** POST /auth/register:   { user } => { token }
+/** POST /auth/register:   { user } => { token, refreshToken }
  *
- * user must include { username, password, firstName, lastName, email }
+ * user must include { username, password, firstName, lastName, email }; the
+ * password has to follow the password policy (see checkPasswordPolicy).
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * Returns JWT token which can be used to authenticate further requests,
+ * and a refresh token (see POST /auth/refresh). A link to verify the email
+ * address is sent to it (see POST /auth/verify-email).
  *
  * Authorization required: none
  */
@@ -55,9 +148,251 @@ router.post("/register", async function (req, res, next) {
       throw new BadRequestError(errs);
     }
 
+    checkPasswordPolicy(req.body.password, { username: req.body.username });
+
     const newUser = await User.register({ ...req.body, isAdmin: false });
+    await EmailVerification.send(newUser.username);
     const token = createToken(newUser);
-    return res.status(201).json({ token });
+    const refreshToken = await RefreshToken.issue(newUser.username);
+    return res.status(201).json({ token, refreshToken });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/refresh:   { refreshToken } => { token, refreshToken }
+ *
+ * Trades a refresh token for a new JWT token and a new refresh token. Each
+ * refresh token works once; presenting a used one again revokes every
+ * refresh token from the same sign-in.
+ *
+ * Authorization required: none
+ */
+
+router.post("/refresh", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, authRefreshSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { user, refreshToken } = await RefreshToken.rotate(req.body.refreshToken);
+    const token = createToken(user);
+    return res.json({ token, refreshToken });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/logout:   { refreshToken } => { loggedOut: username }
+ *
+ * Revokes the JWT token the request was made with. If a refresh token is
+ * given, it and the rest of its sign-in's refresh tokens are revoked too.
+ * API keys are revoked with DELETE /users/[username]/api-keys/[id] instead.
+ *
+ * Authorization required: login (not with an API key)
+ */
+
+router.post("/logout", ensureLoggedIn, ensureNotApiKey, async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, authLogoutSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { username } = res.locals.user;
+    await Session.revokeToken(res.locals.user);
+    if (req.body.refreshToken) {
+      await RefreshToken.revoke(username, req.body.refreshToken);
+    }
+    return res.json({ loggedOut: username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/password-reset:   { username } or { email } => { message }
+ *
+ * Emails a password reset token to the matching user. The response is the
+ * same whether or not a user matched, so it can't be used to find accounts.
+ *
+ * Authorization required: none
+ */
+
+router.post("/password-reset", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, passwordResetRequestSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    await PasswordReset.request(req.body);
+    return res.status(202).json({
+      message: "If that account exists, a password reset email is on its way",
+    });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/password-reset/confirm:   { token, password } => { reset: username }
+ *
+ * Sets a new password using a token from POST /auth/password-reset. The
+ * password has to follow the password policy (see checkPasswordPolicy).
+ * Each token works once, and all of the user's existing sessions are
+ * signed out.
+ *
+ * Authorization required: none
+ */
+
+router.post("/password-reset/confirm", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, passwordResetConfirmSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    checkPasswordPolicy(req.body.password);
+
+    const username = await PasswordReset.confirm(req.body.token, req.body.password);
+    return res.json({ reset: username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/verify-email:   { token } => { verified: username }
+ *
+ * Marks an email address verified, using the token from the link sent to it.
+ *
+ * Authorization required: none
+ */
+
+router.post("/verify-email", async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, verifyEmailSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const username = await EmailVerification.confirm(req.body.token);
+    return res.json({ verified: username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/verify-email/resend  =>  { message }
+ *
+ * Sends the logged in user a new verification link; earlier ones stop
+ * working.
+ *
+ * Authorization required: login
+ */
+
+router.post("/verify-email/resend", ensureLoggedIn, async function (req, res, next) {
+  try {
+    await EmailVerification.send(res.locals.user.username);
+    return res.status(202).json({ message: "Verification email sent" });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** GET /auth/lockouts  =>  { lockouts: [{ kind, key, failures, lastFailureAt, lockedUntil }, ...] }
+ *
+ * Lists the usernames and client ips (kind "username" or "ip") with recent
+ * failed logins, locked out ones first.
+ *
+ * Authorization required: admin
+ */
+
+router.get("/lockouts", ensureLoggedIn, isAdmin, async function (req, res, next) {
+  try {
+    const lockouts = await LoginThrottle.findAll();
+    return res.json({ lockouts });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** DELETE /auth/lockouts/[kind]/[key]  =>  { cleared: key }
+ *
+ * Clears the failed logins and any lockout for a username or client ip,
+ * ie. DELETE /auth/lockouts/username/u1
+ *
+ * Authorization required: admin
+ */
+
+router.delete("/lockouts/:kind/:key", ensureLoggedIn, isAdmin, async function (req, res, next) {
+  try {
+    const { kind, key } = req.params;
+    if (kind !== "username" && kind !== "ip") {
+      throw new BadRequestError(`Invalid lockout kind: ${kind}`);
+    }
+
+    await LoginThrottle.clear(kind, key);
+    return res.json({ cleared: key });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/impersonate/[username]  =>  { token, impersonating: username }
+ *
+ * Returns a short-lived JWT token that acts as the user, ie. for support
+ * staff to see what they see; it can't be refreshed. The token carries the
+ * admin as impersonator: it can't be used for things only the user should
+ * do (see sameUser), and every request made with it is logged (see
+ * GET /auth/impersonations). Admins can't be impersonated.
+ *
+ * Authorization required: admin (not with an API key)
+ */
+
+router.post("/impersonate/:username", ensureLoggedIn, isAdmin, ensureNotApiKey, async function (req, res, next) {
+  try {
+    const impersonator = res.locals.user.username;
+    const user = await Impersonation.start(impersonator, req.params.username, req.ip);
+    const token = createToken(user, { impersonator });
+    return res.json({ token, impersonating: user.username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** GET /auth/impersonations  =>  { requests, total, page, limit, links }
+ *
+ * Requests made while impersonating, newest first. Each request is
+ *   { id, impersonator, username, method, path, ip, createdAt }
+ *
+ * Query string can include:
+ * - impersonator: the admin's username
+ * - username: the impersonated user's username
+ * - page: starting at 1
+ * - limit: requests per page (default 20, max 100)
+ *
+ * Authorization required: admin
+ */
+
+router.get("/impersonations", ensureLoggedIn, isAdmin, async function (req, res, next) {
+  try {
+    const { requests, ...pageInfo } = await Impersonation.findAll(req.query);
+    return res.json({ requests, ...pageInfo, links: pageLinks(req, pageInfo) });
   } catch (err) {
     return next(err);
   }
@@ -2,13 +2,19 @@
 
 const request = require("supertest");
 
+const db = require("../db");
 const app = require("../app");
+const { outbox } = require("../helpers/mail");
+const { totp, timeStep } = require("../helpers/totp");
+const Mfa = require("../models/mfa");
 
 const {
   commonBeforeAll,
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  u1Token,
+  adminToken,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -28,6 +34,7 @@ describe("POST /auth/token", function () {
         });
     expect(resp.body).toEqual({
       "token": expect.any(String),
+      "refreshToken": expect.any(String),
     });
   });
 
@@ -71,6 +78,159 @@ describe("POST /auth/token", function () {
   });
 });
 
+describe("POST /auth/token lockout", function () {
+  /** Act as if the delay after the last failed login is over. */
+
+  async function waitOutDelay() {
+    await db.query("UPDATE login_failures SET locked_until = NULL");
+  }
+
+  async function failLogins(times) {
+    for (let i = 0; i < times; i++) {
+      await waitOutDelay();
+      await request(app)
+          .post("/auth/token")
+          .send({ username: "u1", password: "nope" });
+    }
+  }
+
+  test("429 with a growing Retry-After after each failure", async function () {
+    await failLogins(1);
+    let resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    expect(resp.statusCode).toEqual(429);
+    expect(resp.headers["retry-after"]).toEqual("1");
+
+    await failLogins(2);
+    resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    expect(resp.statusCode).toEqual(429);
+    expect(resp.headers["retry-after"]).toEqual("4");
+  });
+
+  test("429 with Retry-After after too many failures", async function () {
+    await failLogins(5);
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({
+          username: "u1",
+          password: "password1",
+        });
+    expect(resp.statusCode).toEqual(429);
+    expect(resp.headers["retry-after"]).toEqual("60");
+  });
+
+  test("success clears earlier failures", async function () {
+    await failLogins(4);
+    await waitOutDelay();
+    await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    await failLogins(4);
+    await waitOutDelay();
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    expect(resp.statusCode).toEqual(200);
+  });
+});
+
+/************************************** POST /auth/token/mfa */
+
+describe("POST /auth/token/mfa", function () {
+  /** Turn on MFA for u1 and log in with the password; returns the secret,
+   * recovery codes and MFA challenge token. */
+
+  async function startLogin() {
+    const { secret } = await Mfa.startEnrollment("u1");
+    const recoveryCodes = await Mfa.confirmEnrollment("u1", totp(secret, timeStep() - 1));
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    return { secret, recoveryCodes, loginResp: resp, mfaToken: resp.body.mfaToken };
+  }
+
+  test("login gives a challenge when MFA is on", async function () {
+    const { loginResp } = await startLogin();
+    expect(loginResp.body).toEqual({
+      mfaRequired: true,
+      mfaToken: expect.any(String),
+    });
+  });
+
+  test("works", async function () {
+    const { secret, mfaToken } = await startLogin();
+    const resp = await request(app)
+        .post("/auth/token/mfa")
+        .send({ mfaToken, code: totp(secret) });
+    expect(resp.body).toEqual({
+      token: expect.any(String),
+      refreshToken: expect.any(String),
+    });
+  });
+
+  test("works with a recovery code", async function () {
+    const { recoveryCodes, mfaToken } = await startLogin();
+    const resp = await request(app)
+        .post("/auth/token/mfa")
+        .send({ mfaToken, code: recoveryCodes[0] });
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("unauth on wrong code, counting towards a lockout", async function () {
+    const { mfaToken } = await startLogin();
+    const resp = await request(app)
+        .post("/auth/token/mfa")
+        .send({ mfaToken, code: "nope-nope" });
+    expect(resp.statusCode).toEqual(401);
+
+    const failures = await db.query(
+        "SELECT failures FROM login_failures WHERE kind = 'username' AND key = 'u1'");
+    expect(failures.rows).toEqual([{ failures: 1 }]);
+  });
+
+  test("unauth on unknown challenge", async function () {
+    const resp = await request(app)
+        .post("/auth/token/mfa")
+        .send({ mfaToken: "nope", code: "123456" });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("required MFA is set up while logging in", async function () {
+    await db.query("UPDATE users SET is_admin = TRUE WHERE username = 'u1'");
+    await Mfa.setRequired("u1", true);
+
+    const loginResp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    expect(loginResp.body).toEqual({
+      mfaRequired: true,
+      mfaToken: expect.any(String),
+      secret: expect.any(String),
+      otpauthUri: expect.any(String),
+    });
+
+    const resp = await request(app)
+        .post("/auth/token/mfa")
+        .send({ mfaToken: loginResp.body.mfaToken, code: totp(loginResp.body.secret) });
+    expect(resp.body).toEqual({
+      token: expect.any(String),
+      refreshToken: expect.any(String),
+      recoveryCodes: expect.any(Array),
+    });
+    expect((await Mfa.getUser("u1")).mfaEnabled).toEqual(true);
+  });
+
+  test("bad request with missing data", async function () {
+    const resp = await request(app)
+        .post("/auth/token/mfa")
+        .send({ mfaToken: "nope" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
 /************************************** POST /auth/register */
 
 describe("POST /auth/register", function () {
@@ -81,15 +241,43 @@ describe("POST /auth/register", function () {
           username: "new",
           firstName: "first",
           lastName: "last",
-          password: "password",
+          password: "password1",
           email: "new@email.com",
         });
     expect(resp.statusCode).toEqual(201);
     expect(resp.body).toEqual({
       "token": expect.any(String),
+      "refreshToken": expect.any(String),
     });
   });
 
+  test("works with a passphrase longer than 20 characters", async function () {
+    const resp = await request(app)
+        .post("/auth/register")
+        .send({
+          username: "new",
+          firstName: "first",
+          lastName: "last",
+          password: "correct horse battery staple 42",
+          email: "new@email.com",
+        });
+    expect(resp.statusCode).toEqual(201);
+  });
+
+  test("sends a verification email", async function () {
+    outbox.length = 0;
+    await request(app)
+        .post("/auth/register")
+        .send({
+          username: "new",
+          firstName: "first",
+          lastName: "last",
+          password: "password1",
+          email: "new@email.com",
+        });
+    expect(outbox.map(m => m.to)).toEqual(["new@email.com"]);
+  });
+
   test("bad request with missing fields", async function () {
     const resp = await request(app)
         .post("/auth/register")
@@ -106,9 +294,480 @@ describe("POST /auth/register", function () {
           username: "new",
           firstName: "first",
           lastName: "last",
-          password: "password",
+          password: "password1",
           email: "not-an-email",
         });
     expect(resp.statusCode).toEqual(400);
   });
+
+  test("bad request if password breaks policy", async function () {
+    const resp = await request(app)
+        .post("/auth/register")
+        .send({
+          username: "new",
+          firstName: "first",
+          lastName: "last",
+          password: "password",
+          email: "new@email.com",
+        });
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message).toEqual(["password must contain a number"]);
+  });
+});
+
+/************************************** POST /auth/refresh */
+
+describe("POST /auth/refresh", function () {
+  async function signIn() {
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({
+          username: "u1",
+          password: "password1",
+        });
+    return resp.body.refreshToken;
+  }
+
+  test("works", async function () {
+    const refreshToken = await signIn();
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      "token": expect.any(String),
+      "refreshToken": expect.any(String),
+    });
+    expect(resp.body.refreshToken).not.toEqual(refreshToken);
+  });
+
+  test("unauth when reused, and revokes the rest of the family", async function () {
+    const refreshToken = await signIn();
+    const resp1 = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+
+    const reuse = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(reuse.statusCode).toEqual(401);
+
+    const resp2 = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: resp1.body.refreshToken });
+    expect(resp2.statusCode).toEqual(401);
+  });
+
+  test("unauth with unknown token", async function () {
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: "nope" });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with missing data", async function () {
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({});
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/logout */
+
+describe("POST /auth/logout", function () {
+  test("works: revokes the token", async function () {
+    const resp = await request(app)
+        .post("/auth/logout")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ loggedOut: "u1" });
+
+    const after = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(after.statusCode).toEqual(401);
+  });
+
+  test("works: revokes the refresh token", async function () {
+    const signIn = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    const { token, refreshToken } = signIn.body;
+
+    await request(app)
+        .post("/auth/logout")
+        .set("authorization", `Bearer ${token}`)
+        .send({ refreshToken });
+
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .post("/auth/logout");
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth with an API key", async function () {
+    const keyResp = await request(app)
+        .post("/users/u1/api-keys")
+        .send({ name: "ci" })
+        .set("authorization", `Bearer ${u1Token}`);
+    const resp = await request(app)
+        .post("/auth/logout")
+        .set("authorization", `ApiKey ${keyResp.body.apiKey.key}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /auth/password-reset */
+
+describe("POST /auth/password-reset", function () {
+  beforeEach(() => outbox.length = 0);
+
+  test("works by username", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset")
+        .send({ username: "u1" });
+    expect(resp.statusCode).toEqual(202);
+    expect(outbox.map(m => m.to)).toEqual(["user1@user.com"]);
+  });
+
+  test("works by email", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset")
+        .send({ email: "user2@user.com" });
+    expect(resp.statusCode).toEqual(202);
+    expect(outbox.map(m => m.to)).toEqual(["user2@user.com"]);
+  });
+
+  test("same response for unknown user", async function () {
+    const known = await request(app)
+        .post("/auth/password-reset")
+        .send({ username: "u1" });
+    const unknown = await request(app)
+        .post("/auth/password-reset")
+        .send({ username: "nope" });
+    expect(unknown.statusCode).toEqual(202);
+    expect(unknown.body).toEqual(known.body);
+  });
+
+  test("bad request with both or neither", async function () {
+    const both = await request(app)
+        .post("/auth/password-reset")
+        .send({ username: "u1", email: "user1@user.com" });
+    expect(both.statusCode).toEqual(400);
+    const neither = await request(app)
+        .post("/auth/password-reset")
+        .send({});
+    expect(neither.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/password-reset/confirm */
+
+describe("POST /auth/password-reset/confirm", function () {
+  beforeEach(() => outbox.length = 0);
+
+  async function resetToken() {
+    await request(app)
+        .post("/auth/password-reset")
+        .send({ username: "u1" });
+    return outbox[0].text.match(/[0-9a-f]{64}/)[0];
+  }
+
+  test("works", async function () {
+    const token = await resetToken();
+    const resp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "newpassword1" });
+    expect(resp.body).toEqual({ reset: "u1" });
+
+    const signIn = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "newpassword1" });
+    expect(signIn.statusCode).toEqual(200);
+  });
+
+  test("signs out existing sessions", async function () {
+    const token = await resetToken();
+    await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "newpassword1" });
+
+    const resp = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request when token reused", async function () {
+    const token = await resetToken();
+    await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "newpassword1" });
+    const resp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "another-pass1" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with invalid password", async function () {
+    const token = await resetToken();
+    const resp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "abc" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** /auth/lockouts */
+
+describe("GET /auth/lockouts", function () {
+  test("works for admin", async function () {
+    await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "nope" });
+    const resp = await request(app)
+        .get("/auth/lockouts")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.lockouts).toEqual([
+      {
+        kind: "username",
+        key: "u1",
+        failures: 1,
+        lastFailureAt: expect.any(String),
+        lockedUntil: expect.any(String),
+      },
+      {
+        kind: "ip",
+        key: expect.any(String),
+        failures: 1,
+        lastFailureAt: expect.any(String),
+        lockedUntil: null,
+      },
+    ]);
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+        .get("/auth/lockouts")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+describe("DELETE /auth/lockouts/:kind/:key", function () {
+  test("works for admin", async function () {
+    for (let i = 0; i < 5; i++) {
+      await request(app)
+          .post("/auth/token")
+          .send({ username: "u1", password: "nope" });
+    }
+    const resp = await request(app)
+        .delete("/auth/lockouts/username/u1")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ cleared: "u1" });
+
+    const signIn = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    expect(signIn.statusCode).toEqual(200);
+  });
+
+  test("bad request with invalid kind", async function () {
+    const resp = await request(app)
+        .delete("/auth/lockouts/email/u1")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found if nothing to clear", async function () {
+    const resp = await request(app)
+        .delete("/auth/lockouts/username/u1")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+        .delete("/auth/lockouts/username/u1")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /auth/verify-email */
+
+describe("POST /auth/verify-email", function () {
+  beforeEach(() => outbox.length = 0);
+
+  async function registerNew() {
+    const resp = await request(app)
+        .post("/auth/register")
+        .send({
+          username: "new",
+          firstName: "first",
+          lastName: "last",
+          password: "password1",
+          email: "new@email.com",
+        });
+    return resp.body.token;
+  }
+
+  test("works", async function () {
+    await registerNew();
+    const token = outbox[0].text.match(/token=([0-9a-f]{64})/)[1];
+    const resp = await request(app)
+        .post("/auth/verify-email")
+        .send({ token });
+    expect(resp.body).toEqual({ verified: "new" });
+  });
+
+  test("bad request with invalid token", async function () {
+    const resp = await request(app)
+        .post("/auth/verify-email")
+        .send({ token: "nope" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("resend works", async function () {
+    const userToken = await registerNew();
+    const resp = await request(app)
+        .post("/auth/verify-email/resend")
+        .set("authorization", `Bearer ${userToken}`);
+    expect(resp.statusCode).toEqual(202);
+    expect(outbox.length).toEqual(2);
+  });
+
+  test("resend bad request if already verified", async function () {
+    const resp = await request(app)
+        .post("/auth/verify-email/resend")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/impersonate/:username */
+
+describe("POST /auth/impersonate/:username", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .post("/auth/impersonate/u1")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ token: expect.any(String), impersonating: "u1" });
+    const { token } = resp.body;
+
+    const userResp = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${token}`);
+    expect(userResp.statusCode).toEqual(200);
+
+    const otherResp = await request(app)
+        .get("/users/u2")
+        .set("authorization", `Bearer ${token}`);
+    expect(otherResp.statusCode).toEqual(401);
+
+    const logResp = await request(app)
+        .get("/auth/impersonations?username=u1")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(logResp.body.total).toEqual(3);
+    expect(logResp.body.requests.map(r => `${r.method} ${r.path}`)).toEqual([
+      "GET /users/u2",
+      "GET /users/u1",
+      "POST /auth/impersonate/u1",
+    ]);
+    expect(logResp.body.requests[0].impersonator).toEqual("a1");
+  });
+
+  test("can't do what only the user should", async function () {
+    const resp = await request(app)
+        .post("/auth/impersonate/u1")
+        .set("authorization", `Bearer ${adminToken}`);
+
+    const passwordResp = await request(app)
+        .post("/users/u1/password")
+        .send({ currentPassword: "password1", newPassword: "newpassword1" })
+        .set("authorization", `Bearer ${resp.body.token}`);
+    expect(passwordResp.statusCode).toEqual(401);
+  });
+
+  test("can't impersonate again or act as admin", async function () {
+    const resp = await request(app)
+        .post("/auth/impersonate/u1")
+        .set("authorization", `Bearer ${adminToken}`);
+
+    const againResp = await request(app)
+        .post("/auth/impersonate/u2")
+        .set("authorization", `Bearer ${resp.body.token}`);
+    expect(againResp.statusCode).toEqual(401);
+  });
+
+  test("token stops working once the impersonator is gone", async function () {
+    const resp = await request(app)
+        .post("/auth/impersonate/u1")
+        .set("authorization", `Bearer ${adminToken}`);
+
+    await db.query("DELETE FROM users WHERE username = 'a1'");
+    const userResp = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${resp.body.token}`);
+    expect(userResp.statusCode).toEqual(401);
+  });
+
+  test("bad request for an admin", async function () {
+    await db.query("UPDATE users SET is_admin = TRUE WHERE username = 'u2'");
+    const resp = await request(app)
+        .post("/auth/impersonate/u2")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found for no such user", async function () {
+    const resp = await request(app)
+        .post("/auth/impersonate/nope")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+        .post("/auth/impersonate/u2")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** GET /auth/impersonations */
+
+describe("GET /auth/impersonations", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .get("/auth/impersonations")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({
+      requests: [],
+      total: 0,
+      page: 1,
+      limit: 20,
+      links: { next: null, prev: null },
+    });
+  });
+
+  test("bad request on unknown filter", async function () {
+    const resp = await request(app)
+        .get("/auth/impersonations?method=GET")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+        .get("/auth/impersonations")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
 });
@@ -6,15 +6,24 @@ const jsonschema = require("jsonschema");
 const express = require("express");
 
 const { BadRequestError } = require("../expressError");
-const { ensureLoggedIn, isAdmin } = require("../middleware/auth");
+const { hasPermission, requirePermission } = require("../middleware/auth");
 const Company = require("../models/company");
+const CompanyMember = require("../models/companyMember");
+const { pageLinks } = require("../helpers/pagination");
 
 const companyNewSchema = require("../schemas/companyNew.json");
 const companyFilterSchema = require("../schemas/companyFilter.json");
 const companyUpdateSchema = require("../schemas/companyUpdate.json");
+const companyMemberNewSchema = require("../schemas/companyMemberNew.json");
 
 const router = new express.Router();
 
+/** The company a request is about, so its members can manage it (see
+ * requirePermission)
+ */
+
+const companyOf = async req => req.params.handle;
+
 
 /** POST / { company } =>  { company }
  *
@@ -22,10 +31,10 @@ const router = new express.Router();
  *
  * Returns { handle, name, description, numEmployees, logoUrl }
  *
- * Authorization required: login, admin
+ * Authorization required: login, admin or companies:write permission
  */
 
-router.post("/", ensureLoggedIn, isAdmin, async function (req, res, next) {
+router.post("/", requirePermission("companies:write"), async function (req, res, next) {
   try {
     const validator = jsonschema.validate(req.body, companyNewSchema);
     if (!validator.valid) {
@@ -41,7 +50,8 @@ router.post("/", ensureLoggedIn, isAdmin, async function (req, res, next) {
 });
 
 /** GET /  =>
- *   { companies: [ { handle, name, description, numEmployees, logoUrl }, ...] }
+ *   { companies: [ { handle, name, description, numEmployees, logoUrl }, ...],
+ *     total, page, limit, links: { next, prev } }
  *
  * Can filter on provided search filters:
  * - minEmployees
@@ -51,14 +61,23 @@ router.post("/", ensureLoggedIn, isAdmin, async function (req, res, next) {
  * search filters passed to route in query string, send to findAll in req.query
  * findAll(req.query) == findAll({ name: "NAME", minEmployees: '2'...etc })
  *
+ * Can also page and sort the results:
+ * - page: starting at 1
+ * - limit: companies per page (default 20, max 100)
+ * - sort: comma-separated fields, "-" prefix for descending,
+ *   ie. ?sort=-numEmployees,name (fields: handle, name, numEmployees)
+ *
+ * total is the number of matching companies across all pages; links are
+ * null when there is no next/previous page.
+ *
  * Authorization required: none
  */
 
 router.get("/", async function (req, res, next) {
   try {
-    const companies = await Company.findAll(req.query);
+    const { companies, ...pageInfo } = await Company.findAll(req.query);
 
-    return res.json({ companies });
+    return res.json({ companies, ...pageInfo, links: pageLinks(req, pageInfo) });
   } catch (err) {
     return next(err);
   }
@@ -67,20 +86,72 @@ router.get("/", async function (req, res, next) {
 /** GET /[handle]  =>  { company }
  *
  *  Company is { handle, name, description, numEmployees, logoUrl, jobs }
- *   where jobs is [{ id, title, salary, equity }, ...]
+ *   where jobs is [{ id, title, salary, equity }, ...], only the open ones
+ *   unless the user has jobs:write permission globally or as a member of
+ *   the company
  *
  * Authorization required: none
  */
 
 router.get("/:handle", async function (req, res, next) {
   try {
-    const company = await Company.get(req.params.handle);
+    const openOnly = !(await hasPermission(
+        res.locals.user, "jobs:write", async () => req.params.handle));
+    const company = await Company.get(req.params.handle, { openOnly });
     return res.json({ company });
   } catch (err) {
     return next(err);
   }
 });
 
+/** GET /[handle]/stats  =>  { stats }
+ *
+ *  stats is { handle, openJobs,
+ *             salary: [{ currency, min, median, max }, ...], equityShare,
+ *             applications: { interested, applied, ... },
+ *             topTechnologies: [{ name, jobs }, ...] }
+ *   where salary, equityShare and topTechnologies are over open jobs only
+ *
+ * Authorization required: none
+ */
+
+router.get("/:handle/stats", async function (req, res, next) {
+  try {
+    const stats = await Company.getStats(req.params.handle);
+    return res.json({ stats });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /[handle]/applicants  =>  { applicants, total, page, limit, links }
+ *
+ * Applicants for any of the company's jobs, most recently updated first.
+ * Each applicant is { username, firstName, lastName, email, jobId, jobTitle,
+ *                     state, appliedAt, updatedAt, technologies }
+ *
+ * Query string can include:
+ * - state: repeat to filter by several, ie. ?state=applied&state=accepted
+ * - page: starting at 1
+ * - limit: applicants per page (default 20, max 100)
+ *
+ * Authorization required: login, admin, or applications:review permission
+ * globally or as a member of the company
+ */
+
+router.get("/:handle/applicants", requirePermission("applications:review", companyOf), async function (req, res, next) {
+  try {
+    const { state, page, limit, ...rest } = req.query;
+    const invalid = Object.keys(rest);
+    if (invalid.length) throw new BadRequestError(`Invalid filter parameter: ${invalid[0]}`);
+
+    const { applicants, ...pageInfo } = await Company.getApplicants(req.params.handle, { state, page, limit });
+    return res.json({ applicants, ...pageInfo, links: pageLinks(req, pageInfo) });
+  } catch (err) {
+    return next(err);
+  }
+});
+
 /** PATCH /[handle] { fld1, fld2, ... } => { company }
  *
  * Patches company data.
@@ -89,10 +160,11 @@ router.get("/:handle", async function (req, res, next) {
  *
  * Returns { handle, name, description, numEmployees, logo_url }
  *
- * Authorization required: login, admin
+ * Authorization required: login, admin, or companies:write permission
+ * globally or as a member of the company
  */
 
-router.patch("/:handle", ensureLoggedIn, isAdmin, async function (req, res, next) {
+router.patch("/:handle", requirePermission("companies:write", companyOf), async function (req, res, next) {
   try {
     const validator = jsonschema.validate(req.body, companyUpdateSchema);
     if (!validator.valid) {
@@ -109,10 +181,12 @@ router.patch("/:handle", ensureLoggedIn, isAdmin, async function (req, res, next
 
 /** DELETE /[handle]  =>  { deleted: handle }
  *
- * Authorization: login, admin
+ * Unlike changing a company, its members can't delete it.
+ *
+ * Authorization: login, admin or companies:write permission
  */
 
-router.delete("/:handle", ensureLoggedIn, isAdmin, async function (req, res, next) {
+router.delete("/:handle", requirePermission("companies:write"), async function (req, res, next) {
   try {
     await Company.remove(req.params.handle);
     return res.json({ deleted: req.params.handle });
@@ -121,5 +195,64 @@ router.delete("/:handle", ensureLoggedIn, isAdmin, async function (req, res, nex
   }
 });
 
+/** GET /[handle]/members  =>  { members }
+ *
+ * members is [{ username, firstName, lastName, email, role }, ...]
+ *
+ * Authorization required: login, admin, or companies:write permission
+ * globally or as a member of the company
+ */
+
+router.get("/:handle/members", requirePermission("companies:write", companyOf), async function (req, res, next) {
+  try {
+    const members = await CompanyMember.findAll(req.params.handle);
+    return res.json({ members });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /[handle]/members { username, role }  =>  { member }
+ *
+ * Makes a user a member of the company, or changes their role if they
+ * already are one. role is "recruiter" (the default) or "company-manager";
+ * it grants that role's permissions (see GET /roles) for this company only.
+ *
+ * Returns { companyHandle, username, role }
+ *
+ * Authorization required: login, admin, or companies:write permission
+ * globally or as a member of the company
+ */
+
+router.post("/:handle/members", requirePermission("companies:write", companyOf), async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, companyMemberNewSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const member = await CompanyMember.add(req.params.handle, req.body.username, req.body.role);
+    return res.status(201).json({ member });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** DELETE /[handle]/members/[username]  =>  { removed: username }
+ *
+ * Authorization required: login, admin, or companies:write permission
+ * globally or as a member of the company
+ */
+
+router.delete("/:handle/members/:username", requirePermission("companies:write", companyOf), async function (req, res, next) {
+  try {
+    await CompanyMember.remove(req.params.handle, req.params.username);
+    return res.json({ removed: req.params.username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
 
 module.exports = router;
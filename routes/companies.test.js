@@ -11,7 +11,9 @@ const {
   commonAfterEach,
   commonAfterAll,
   u1Token,
-  adminToken
+  u2Token,
+  adminToken,
+  recruiterToken
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -30,6 +32,14 @@ describe("POST /companies", function () {
     numEmployees: 10,
   };
 
+  test("unauth for recruiter", async function () {
+    const resp = await request(app)
+        .post("/companies")
+        .send(newCompany)
+        .set("authorization", `Bearer ${recruiterToken}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
   // Should NOT be ok for users, only admin
   test("ok for admin", async function () {
     const resp = await request(app)
@@ -103,9 +113,51 @@ describe("GET /companies", function () {
               logoUrl: "http://c3.img",
             },
           ],
+      total: 3,
+      page: 1,
+      limit: 20,
+      links: { next: null, prev: null },
+    });
+  });
+
+  test("pages and sorts, keeping filters in links", async function () {
+    const resp = await request(app)
+        .get("/companies?name=c&sort=-numEmployees&page=2&limit=1");
+    expect(resp.body).toEqual({
+      companies: [
+        {
+          handle: "c2",
+          name: "C2",
+          description: "Desc2",
+          numEmployees: 2,
+          logoUrl: "http://c2.img",
+        },
+      ],
+      total: 3,
+      page: 2,
+      limit: 1,
+      links: {
+        next: "/companies?name=c&sort=-numEmployees&page=3&limit=1",
+        prev: "/companies?name=c&sort=-numEmployees&page=1&limit=1",
+      },
     });
   });
 
+  test("bad request on invalid sort field", async function () {
+    const resp = await request(app).get("/companies?sort=description");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request on repeated sort", async function () {
+    const resp = await request(app).get("/companies?sort=name&sort=handle");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request on invalid limit", async function () {
+    const resp = await request(app).get("/companies?limit=0");
+    expect(resp.statusCode).toEqual(400);
+  });
+
   test("fails: test next() handler", async function () {
     // there's no normal failure event which will cause this route to fail ---
     // thus making it hard to test that the error-handler works with it. This
@@ -163,12 +215,167 @@ describe("GET /companies/:handle", function () {
     });
   });
 
+  test("leaves out jobs that aren't open, except for admin", async function () {
+    await db.query("UPDATE jobs SET status = 'closed' WHERE id = 1");
+    await db.query("UPDATE jobs SET expires_at = NOW() WHERE id = 2");
+
+    let resp = await request(app).get(`/companies/c1`);
+    expect(resp.body.company.jobs).toEqual([]);
+    resp = await request(app)
+        .get(`/companies/c2`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.company.jobs).toEqual([]);
+
+    resp = await request(app)
+        .get(`/companies/c1`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.company.jobs.map(j => j.id)).toEqual([1]);
+  });
+
+  test("works for a member of the company: jobs that aren't open", async function () {
+    await db.query("UPDATE jobs SET status = 'draft' WHERE id IN (1, 2)");
+
+    let resp = await request(app)
+        .get(`/companies/c1`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body.company.jobs.map(j => j.id)).toEqual([1]);
+    resp = await request(app)
+        .get(`/companies/c2`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body.company.jobs).toEqual([]);
+  });
+
   test("not found for no such company", async function () {
     const resp = await request(app).get(`/companies/nope`);
     expect(resp.statusCode).toEqual(404);
   });
 });
 
+/************************************** GET /companies/:handle/stats */
+
+describe("GET /companies/:handle/stats", function () {
+  test("works for anon", async function () {
+    await request(app)
+        .post(`/users/u1/jobs/1`)
+        .set("authorization", `Bearer ${adminToken}`);
+    const resp = await request(app).get(`/companies/c1/stats`);
+    expect(resp.body).toEqual({
+      stats: {
+        handle: "c1",
+        openJobs: 1,
+        salary: [{ currency: "USD", min: 111111, median: 111111, max: 111111 }],
+        equityShare: 1,
+        applications: {
+          interested: 0,
+          applied: 1,
+          accepted: 0,
+          rejected: 0,
+          withdrawn: 0,
+        },
+        topTechnologies: [],
+      },
+    });
+  });
+
+  test("leaves out jobs that aren't open", async function () {
+    await request(app)
+        .post(`/jobs/1/close`)
+        .set("authorization", `Bearer ${adminToken}`);
+    await request(app)
+        .post(`/jobs`)
+        .send({ title: "Draft", salary: 90000, equity: 0.5, companyHandle: "c1", status: "draft" })
+        .set("authorization", `Bearer ${adminToken}`);
+
+    const resp = await request(app).get(`/companies/c1/stats`);
+    expect(resp.body.stats).toEqual(expect.objectContaining({
+      openJobs: 0,
+      salary: [],
+      equityShare: 0,
+    }));
+  });
+
+  test("not found for no such company", async function () {
+    const resp = await request(app).get(`/companies/nope/stats`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** GET /companies/:handle/applicants */
+
+describe("GET /companies/:handle/applicants", function () {
+  test("works for admin", async function () {
+    await request(app)
+        .post(`/users/u1/jobs/1`)
+        .set("authorization", `Bearer ${adminToken}`);
+    const resp = await request(app)
+        .get(`/companies/c1/applicants`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      applicants: [
+        {
+          username: "u1",
+          firstName: "U1F",
+          lastName: "U1L",
+          email: "user1@user.com",
+          jobId: 1,
+          jobTitle: "Test Job",
+          state: "applied",
+          appliedAt: expect.any(String),
+          updatedAt: expect.any(String),
+          technologies: ["javascript", "sql"],
+        },
+      ],
+      total: 1,
+      page: 1,
+      limit: 20,
+      links: { next: null, prev: null },
+    });
+  });
+
+  test("bad request on a state that isn't one", async function () {
+    const resp = await request(app)
+        .get(`/companies/c1/applicants?state=toString`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request on unknown filter", async function () {
+    const resp = await request(app)
+        .get(`/companies/c1/applicants?sort=name`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+        .get(`/companies/c1/applicants`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("works for member of the company", async function () {
+    const resp = await request(app)
+        .get(`/companies/c1/applicants`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("unauth for member of another company", async function () {
+    const resp = await request(app)
+        .get(`/companies/c2/applicants`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found for no such company", async function () {
+    const resp = await request(app)
+        .get(`/companies/nope/applicants`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
 /************************************** PATCH /companies/:handle */
 
 describe("PATCH /companies/:handle", function () {
@@ -209,6 +416,39 @@ describe("PATCH /companies/:handle", function () {
     expect(resp.statusCode).toEqual(401);
   });
 
+  test("works for company-manager member of the company", async function () {
+    await db.query("UPDATE company_members SET role = 'company-manager' WHERE username = 'u2'");
+    const resp = await request(app)
+        .patch(`/companies/c1`)
+        .send({
+          name: "C1-new",
+        })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.company.name).toEqual("C1-new");
+  });
+
+  test("unauth for recruiter member of the company", async function () {
+    const resp = await request(app)
+        .patch(`/companies/c1`)
+        .send({
+          name: "C1-new",
+        })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for company-manager member of another company", async function () {
+    await db.query("UPDATE company_members SET role = 'company-manager' WHERE username = 'u2'");
+    const resp = await request(app)
+        .patch(`/companies/c2`)
+        .send({
+          name: "C2-new",
+        })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
   test("not found on no such company", async function () {
     const resp = await request(app)
         .patch(`/companies/nope`)
@@ -263,6 +503,16 @@ describe("DELETE /companies/:handle", function () {
     expect(resp.statusCode).toEqual(401);
   });
 
+  test("unauth for company-manager member of the company", async function () {
+    await db.query("UPDATE company_members SET role = 'company-manager' WHERE username = 'u2'");
+    const resp = await request(app)
+        .delete(`/companies/c1`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+    const found = await db.query("SELECT handle FROM companies WHERE handle = 'c1'");
+    expect(found.rows.length).toEqual(1);
+  });
+
   test("not found for no such company", async function () {
     const resp = await request(app)
         .delete(`/companies/nope`)
@@ -270,3 +520,137 @@ describe("DELETE /companies/:handle", function () {
     expect(resp.statusCode).toEqual(404);
   });
 });
+
+/************************************** GET /companies/:handle/members */
+
+describe("GET /companies/:handle/members", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .get(`/companies/c1/members`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({
+      members: [
+        {
+          username: "u2",
+          firstName: "U2F",
+          lastName: "U2L",
+          email: "user2@user.com",
+          role: "recruiter",
+        },
+      ],
+    });
+  });
+
+  test("works for company-manager member", async function () {
+    await db.query("UPDATE company_members SET role = 'company-manager' WHERE username = 'u2'");
+    const resp = await request(app)
+        .get(`/companies/c1/members`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("unauth for recruiter member", async function () {
+    const resp = await request(app)
+        .get(`/companies/c1/members`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found for no such company", async function () {
+    const resp = await request(app)
+        .get(`/companies/nope/members`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** POST /companies/:handle/members */
+
+describe("POST /companies/:handle/members", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .post(`/companies/c2/members`)
+        .send({ username: "u1" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      member: { companyHandle: "c2", username: "u1", role: "recruiter" },
+    });
+  });
+
+  test("new member can manage the company's jobs", async function () {
+    await request(app)
+        .post(`/companies/c2/members`)
+        .send({ username: "u1" })
+        .set("authorization", `Bearer ${adminToken}`);
+    const resp = await request(app)
+        .post(`/jobs`)
+        .send({ title: "New", salary: 1, equity: 0, companyHandle: "c2" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+  });
+
+  test("works for company-manager member", async function () {
+    await db.query("UPDATE company_members SET role = 'company-manager' WHERE username = 'u2'");
+    const resp = await request(app)
+        .post(`/companies/c1/members`)
+        .send({ username: "u1", role: "company-manager" })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.member.role).toEqual("company-manager");
+  });
+
+  test("unauth for recruiter member", async function () {
+    const resp = await request(app)
+        .post(`/companies/c1/members`)
+        .send({ username: "u1" })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request on invalid role", async function () {
+    const resp = await request(app)
+        .post(`/companies/c1/members`)
+        .send({ username: "u1", role: "seeker" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found for no such user", async function () {
+    const resp = await request(app)
+        .post(`/companies/c1/members`)
+        .send({ username: "nope" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** DELETE /companies/:handle/members/:username */
+
+describe("DELETE /companies/:handle/members/:username", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .delete(`/companies/c1/members/u2`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ removed: "u2" });
+
+    const jobResp = await request(app)
+        .get(`/companies/c1/applicants`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(jobResp.statusCode).toEqual(401);
+  });
+
+  test("unauth for recruiter member", async function () {
+    const resp = await request(app)
+        .delete(`/companies/c1/members/u2`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if not a member", async function () {
+    const resp = await request(app)
+        .delete(`/companies/c2/members/u2`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
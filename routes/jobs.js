@@ -5,25 +5,49 @@
 const jsonschema = require("jsonschema");
 const express = require("express");
 
-const { BadRequestError } = require("../expressError");
-const { ensureLoggedIn, isAdmin } = require("../middleware/auth");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { hasPermission, requirePermission } = require("../middleware/auth");
 const Job = require("../models/job");
+const { pageLinks } = require("../helpers/pagination");
 
 const jobNewSchema = require("../schemas/jobNew.json");
 const jobUpdateSchema = require("../schemas/jobUpdate.json");
+const jobPublishSchema = require("../schemas/jobPublish.json");
+const jobCloseSchema = require("../schemas/jobClose.json");
 
 const router = new express.Router();
 
+/** The handle of the company a job is for, so its members can manage it
+ * (see requirePermission); undefined if there's no such job
+ */
+
+async function jobCompany(req) {
+    try{
+        const job = await Job.get(req.params.jobId);
+        return job.companyHandle;
+    }catch(e){
+        if(e instanceof NotFoundError) return undefined;
+        throw e;
+    }
+}
+
 /** POST / { job } => { job }
  * 
- * job should be { title, salary, equity, companyHandle }
+ * job should be { title, salary, salaryMax, currency, payPeriod, equity,
+ *                 companyHandle, technologies, status, expiresAt }
+ * where salaryMax makes salary the bottom of a range, currency is an ISO
+ * code (default "USD"), payPeriod is hour, day, week, month or year
+ * (default), technologies is optional: [name, ...], status is "open"
+ * (default) or "draft", and expiresAt is an optional date-time
  * 
- * returns { id, title, salary, equity, companyHandle }
+ * returns { id, title, salary, salaryMax, currency, payPeriod, equity,
+ *           companyHandle, status, expiresAt, technologies }
  * 
- * Authorization: login, admin
+ * Authorization: login, admin, or jobs:write permission globally or as a
+ * member of the job's company
  */
 
-router.post("/", ensureLoggedIn, isAdmin, async function (req, res, next) {
+router.post("/", requirePermission("jobs:write", req => req.body.companyHandle), async function (req, res, next) {
     try{
         const validator = jsonschema.validate(req.body, jobNewSchema);
         if(!validator.valid){
@@ -40,30 +64,59 @@ router.post("/", ensureLoggedIn, isAdmin, async function (req, res, next) {
 })
 
 /** GET / => gets all jobs
- * { jobs: [{ id, title, salary, equity, companyHandle}, ...]}  
+ * { jobs: [{ id, title, salary, salaryMax, currency, payPeriod, equity,
+ *            companyHandle, status, expiresAt }, ...],
+ *   total, page, limit, links: { next, prev } }  
+ * 
+ * Only open jobs that haven't expired are listed, except to admins.
  * 
  * Filter functionality: implemented in job model findAll(req.query)
+ * - title: case-insensitive, partial match
+ * - minSalary, maxSalary: pay per payPeriod (default year); matches jobs
+ *   whose salary range overlaps them, comparing other periods as yearly pay
+ * - currency: ISO code; salary filters only match USD jobs without it
+ * - hasEquity: true or false (false doesn't filter)
+ * - technology: repeat to filter by several, ie. ?technology=react&technology=sql
+ * - technologyMatch: "any" (default) or "all" of the given technologies
+ * - status: draft, open, closed or filled; repeat to filter by several
+ * - open: true for only open jobs that haven't expired
+ * 
+ * Paging and sorting:
+ * - page: starting at 1
+ * - limit: jobs per page (default 20, max 100)
+ * - sort: comma-separated fields, "-" prefix for descending,
+ *   ie. ?sort=-salary,title (fields: id, title, salary, equity, companyHandle,
+ *   status, expiresAt)
+ * 
+ * total is the number of matching jobs across all pages; links are null
+ * when there is no next/previous page.
  * 
  * Authorization: None
  */
 router.get("/", async function (req, res, next) {
     try{
-        const jobs = await Job.findAll(req.query);
+        const openOnly = !(res.locals.user && res.locals.user.isAdmin);
+        const { jobs, ...pageInfo } = await Job.findAll(req.query, { openOnly });
 
-        return res.json({ jobs });
+        return res.json({ jobs, ...pageInfo, links: pageLinks(req, pageInfo) });
     } catch(e) {
         return next(e);
     }
 })
 
 /** GET /jobId => gets a job by id
- * { job: { id, title, salary, equity, companyHandle, technologies} }
+ * { job: { id, title, salary, salaryMax, currency, payPeriod, equity,
+ *          companyHandle, status, expiresAt, technologies } }
+ * 
+ * Jobs that aren't open are only found by those with jobs:write
+ * permission globally or as a member of the job's company
  * 
  * Authorization: None
  */
 router.get("/:jobId", async function (req, res, next) {
     try{
-        const job = await Job.get(req.params.jobId);
+        const openOnly = !(await hasPermission(res.locals.user, "jobs:write", () => jobCompany(req)));
+        const job = await Job.get(req.params.jobId, { openOnly });
 
         return res.json({ job });
     } catch(e) {
@@ -71,20 +124,53 @@ router.get("/:jobId", async function (req, res, next) {
     }
 })
 
+/** GET /[jobId]/applicants => { applicants, total, page, limit, links }
+ * 
+ * Applicants for a job, most recently updated first. Each applicant is
+ * { username, firstName, lastName, email, jobId, jobTitle, state,
+ *   appliedAt, updatedAt, technologies }
+ * 
+ * Query string can include:
+ * - state: repeat to filter by several, ie. ?state=applied&state=accepted
+ * - page: starting at 1
+ * - limit: applicants per page (default 20, max 100)
+ * 
+ * Authorization: login, admin, or applications:review permission globally
+ * or as a member of the job's company
+ */
+router.get("/:jobId/applicants", requirePermission("applications:review", jobCompany), async function (req, res, next) {
+    try{
+        const { state, page, limit, ...rest } = req.query;
+        const invalid = Object.keys(rest);
+        if(invalid.length) throw new BadRequestError(`Invalid filter parameter: ${invalid[0]}`);
+
+        const { applicants, ...pageInfo } = await Job.getApplicants(req.params.jobId, { state, page, limit });
+        return res.json({ applicants, ...pageInfo, links: pageLinks(req, pageInfo) });
+    } catch(e) {
+        return next(e);
+    }
+})
+
 /** PATCH /[id] {fld1, fld2, ... } => { job }
  * 
  * Patches job data.
  * 
- * Fields can be: { title, salary, equity }
+ * Fields can be: { title, salary, salaryMax, currency, payPeriod, equity,
+ *                  expiresAt, technologies }
+ * technologies replaces the job's current list, salaryMax can be null for
+ * a single salary, and expiresAt can be null for never. Status is changed
+ * with the routes below
  * 
- * returns { id, title, salary, equity, companyHandle }
- * Authorization: login, admin
+ * returns { id, title, salary, salaryMax, currency, payPeriod, equity,
+ *           companyHandle, status, expiresAt, technologies }
+ * Authorization: login, admin, or jobs:write permission globally or as a
+ * member of the job's company
  */
-router.patch("/:jobId", ensureLoggedIn, isAdmin, async function (req, res, next) {
+router.patch("/:jobId", requirePermission("jobs:write", jobCompany), async function (req, res, next) {
     try{
         const validator = jsonschema.validate(req.body, jobUpdateSchema);
         if(!validator.valid){
-            const errs = Validator.errors.map(e => e.stack);
+            const errs = validator.errors.map(e => e.stack);
             throw new BadRequestError(errs);
         }
 
@@ -95,12 +181,83 @@ router.patch("/:jobId", ensureLoggedIn, isAdmin, async function (req, res, next)
     }
 })
 
+/** POST /[id]/publish { expiresAt } => { job }
+ * 
+ * Publishes a draft job, so it's listed and can be applied to. expiresAt
+ * is optional, and replaces the job's (null for never)
+ * 
+ * Authorization: login, admin, or jobs:write permission globally or as a
+ * member of the job's company
+ */
+router.post("/:jobId/publish", requirePermission("jobs:write", jobCompany), async function (req, res, next) {
+    try{
+        const validator = jsonschema.validate(req.body, jobPublishSchema);
+        if(!validator.valid){
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+
+        const job = await Job.publish(req.params.jobId, req.body);
+        return res.json({ job });
+    }catch(e){
+        return next(e);
+    }
+})
+
+/** POST /[id]/close { status } => { job }
+ * 
+ * Closes an open job, so it's no longer listed or taking applications.
+ * status is "closed" (default) or "filled"
+ * 
+ * Authorization: login, admin, or jobs:write permission globally or as a
+ * member of the job's company
+ */
+router.post("/:jobId/close", requirePermission("jobs:write", jobCompany), async function (req, res, next) {
+    try{
+        const validator = jsonschema.validate(req.body, jobCloseSchema);
+        if(!validator.valid){
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+
+        const job = await Job.close(req.params.jobId, req.body.status);
+        return res.json({ job });
+    }catch(e){
+        return next(e);
+    }
+})
+
+/** POST /[id]/reopen { expiresAt } => { job }
+ * 
+ * Reopens a closed, filled or expired job. expiresAt is optional, and
+ * replaces the job's (null for never); an expired job's is cleared
+ * otherwise
+ * 
+ * Authorization: login, admin, or jobs:write permission globally or as a
+ * member of the job's company
+ */
+router.post("/:jobId/reopen", requirePermission("jobs:write", jobCompany), async function (req, res, next) {
+    try{
+        const validator = jsonschema.validate(req.body, jobPublishSchema);
+        if(!validator.valid){
+            const errs = validator.errors.map(e => e.stack);
+            throw new BadRequestError(errs);
+        }
+
+        const job = await Job.reopen(req.params.jobId, req.body);
+        return res.json({ job });
+    }catch(e){
+        return next(e);
+    }
+})
+
 /** DELETE /[id] => { deleted: id } 
  * 
- * authorization: login, admin
+ * authorization: login, admin, or jobs:write permission globally or as a
+ * member of the job's company
 */
 
-router.delete("/:jobId", ensureLoggedIn, isAdmin, async function(req, res, next) {
+router.delete("/:jobId", requirePermission("jobs:write", jobCompany), async function(req, res, next) {
     try{
         await Job.remove(req.params.jobId);
 
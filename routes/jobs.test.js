@@ -13,7 +13,9 @@ const {
     commonAfterEach,
     commonAfterAll,
     u1Token,
-    adminToken
+    u2Token,
+    adminToken,
+    recruiterToken
   } = require("./_testCommon");
 const { update } = require("../models/company");
 const { BadRequestError } = require("../expressError");
@@ -44,11 +46,59 @@ describe("POST /jobs", function() {
             job: {
                 ...newJob,
                 equity: "0.002",
-                id: expect.any(Number)
+                id: expect.any(Number),
+                salaryMax: null,
+                currency: "USD",
+                payPeriod: "year",
+                status: "open",
+                expiresAt: null,
+                technologies: []
             }
         })
     })
 
+    test("Ok for recruiter", async function() {
+        const resp = await request(app)
+            .post("/jobs")
+            .send(newJob)
+            .set("authorization",`Bearer ${recruiterToken}`);
+        expect(resp.statusCode).toEqual(201);
+    })
+
+    test("Ok for member of the job's company", async function() {
+        const resp = await request(app)
+            .post("/jobs")
+            .send({ ...newJob, companyHandle: "c1" })
+            .set("authorization",`Bearer ${u2Token}`);
+        expect(resp.statusCode).toEqual(201);
+        expect(resp.body.job.companyHandle).toEqual("c1");
+    })
+
+    test("Unauthorized for member of another company", async function() {
+        const resp = await request(app)
+            .post("/jobs")
+            .send(newJob)
+            .set("authorization",`Bearer ${u2Token}`);
+        expect(resp.statusCode).toEqual(401);
+    })
+
+    test("Ok for admin with technologies", async function() {
+        const resp = await request(app)
+            .post("/jobs")
+            .send({ ...newJob, technologies: ["react", "sql"] })
+            .set("authorization",`Bearer ${adminToken}`);
+        expect(resp.statusCode).toEqual(201);
+        expect(resp.body.job.technologies).toEqual(["react", "sql"]);
+    })
+
+    test("BadRequestError if technologies not an array", async function() {
+        const resp = await request(app)
+            .post("/jobs")
+            .send({ ...newJob, technologies: "react" })
+            .set("authorization",`Bearer ${adminToken}`);
+        expect(resp.statusCode).toEqual(400);
+    })
+
     // Should throw error if not admin
     test("Unauthorized for regular user", async function() {
         const resp = await request(app)
@@ -106,6 +156,48 @@ describe("POST /jobs", function() {
             .set("authorization",`Bearer ${adminToken}`);
         expect(resp.statusCode).toEqual(400);
     })
+
+    test("Ok for admin as a draft that expires", async function() {
+        const resp = await request(app)
+            .post("/jobs")
+            .send({ ...newJob, status: "draft", expiresAt: "2099-01-01T00:00:00Z" })
+            .set("authorization",`Bearer ${adminToken}`);
+        expect(resp.statusCode).toEqual(201);
+        expect(resp.body.job.status).toEqual("draft");
+        expect(resp.body.job.expiresAt).toEqual("2099-01-01T00:00:00.000Z");
+    })
+
+    test("Ok for admin with a salary range", async function() {
+        const resp = await request(app)
+            .post("/jobs")
+            .send({ ...newJob, salaryMax: 60000, currency: "gbp", payPeriod: "month" })
+            .set("authorization",`Bearer ${adminToken}`);
+        expect(resp.statusCode).toEqual(201);
+        expect(resp.body.job).toEqual(expect.objectContaining({
+            salary: 50000,
+            salaryMax: 60000,
+            currency: "GBP",
+            payPeriod: "month"
+        }));
+    })
+
+    test("BadRequestError on invalid currency or pay period", async function() {
+        for(let data of [{ currency: "dollars" }, { payPeriod: "fortnight" }, { salaryMax: 100 }]){
+            const resp = await request(app)
+                .post("/jobs")
+                .send({ ...newJob, ...data })
+                .set("authorization",`Bearer ${adminToken}`);
+            expect(resp.statusCode).toEqual(400);
+        }
+    })
+
+    test("BadRequestError if status isn't draft or open", async function() {
+        const resp = await request(app)
+            .post("/jobs")
+            .send({ ...newJob, status: "filled" })
+            .set("authorization",`Bearer ${adminToken}`);
+        expect(resp.statusCode).toEqual(400);
+    })
 })
 
 /** GET /jobs *************************/
@@ -124,25 +216,177 @@ describe("GET /jobs", function() {
                     title: "Test Job",
                     salary: 111111,
                     equity: "0.001",
-                    companyHandle: "c1"
+                    companyHandle: "c1",
+                    salaryMax: null,
+                    currency: "USD",
+                    payPeriod: "year",
+                    status: "open",
+                    expiresAt: null
                 },
                 {
                     id: expect.any(Number),
                     title: "Test Job 2",
                     salary: 22222,
                     equity: "0.002",
-                    companyHandle: "c2"
+                    companyHandle: "c2",
+                    salaryMax: null,
+                    currency: "USD",
+                    payPeriod: "year",
+                    status: "open",
+                    expiresAt: null
                 },
                 {
                     id: expect.any(Number),
                     title: "Test Job 3",
                     salary: 33333,
                     equity: "0.003",
-                    companyHandle: "c3"
+                    companyHandle: "c3",
+                    salaryMax: null,
+                    currency: "USD",
+                    payPeriod: "year",
+                    status: "open",
+                    expiresAt: null
                 }
-            ]
+            ],
+            total: 3,
+            page: 1,
+            limit: 20,
+            links: { next: null, prev: null }
         })
     })
+
+    test("pages and sorts", async function () {
+        const resp = await request(app)
+        .get("/jobs?sort=-salary&limit=2");
+
+        expect(resp.statusCode).toEqual(200);
+        expect(resp.body.jobs.map(j => j.title)).toEqual(["Test Job", "Test Job 3"]);
+        expect(resp.body.total).toEqual(3);
+        expect(resp.body.links).toEqual({
+            next: "/jobs?sort=-salary&page=2&limit=2",
+            prev: null
+        });
+    })
+
+    test("BadRequestError on invalid sort field", async function () {
+        const resp = await request(app)
+        .get("/jobs?sort=bananas");
+
+        expect(resp.statusCode).toEqual(400);
+    })
+
+    test("BadRequestError on repeated sort", async function () {
+        const resp = await request(app)
+        .get("/jobs?sort=title&sort=-salary");
+
+        expect(resp.statusCode).toEqual(400);
+    })
+
+    test("hides jobs that aren't open, except from admins", async function () {
+        await db.query("UPDATE jobs SET status = 'draft' WHERE id = 1");
+        await db.query("UPDATE jobs SET expires_at = NOW() WHERE id = 2");
+
+        let resp = await request(app).get("/jobs");
+        expect(resp.body.jobs.map(j => j.title)).toEqual(["Test Job 3"]);
+
+        resp = await request(app)
+            .get("/jobs?status=draft")
+            .set("authorization", `Bearer ${u1Token}`);
+        expect(resp.body.jobs).toEqual([]);
+
+        resp = await request(app)
+            .get("/jobs")
+            .set("authorization", `Bearer ${adminToken}`);
+        expect(resp.body.jobs.map(j => [j.title, j.status]))
+            .toEqual([["Test Job", "draft"], ["Test Job 2", "open"], ["Test Job 3", "open"]]);
+
+        resp = await request(app)
+            .get("/jobs?open=true")
+            .set("authorization", `Bearer ${adminToken}`);
+        expect(resp.body.jobs.map(j => j.title)).toEqual(["Test Job 3"]);
+    })
+
+    test("filters by overlapping salary range", async function () {
+        await request(app)
+            .patch("/jobs/2")
+            .send({ salary: 30, salaryMax: 60, payPeriod: "hour" })
+            .set("authorization", `Bearer ${adminToken}`);
+
+        let resp = await request(app).get("/jobs?minSalary=100000");
+        expect(resp.body.jobs.map(j => j.title)).toEqual(["Test Job", "Test Job 2"]);
+
+        resp = await request(app).get("/jobs?minSalary=15&maxSalary=25&payPeriod=hour");
+        expect(resp.body.jobs.map(j => j.title)).toEqual(["Test Job 3"]);
+        expect(resp.body.links).toEqual({ next: null, prev: null });
+
+        resp = await request(app).get("/jobs?minSalary=1&currency=EUR");
+        expect(resp.body.jobs).toEqual([]);
+    })
+
+    test("BadRequestError on invalid or repeated currency", async function () {
+        for(let query of ["currency=dollars", "currency[code]=USD", "currency=USD&currency=EUR"]){
+            const resp = await request(app)
+                .get(`/jobs?minSalary=1&${query}`);
+
+            expect(resp.statusCode).toEqual(400);
+        }
+    })
+
+    test("BadRequestError on invalid payPeriod", async function () {
+        const resp = await request(app)
+            .get("/jobs?minSalary=1&payPeriod=decade");
+
+        expect(resp.statusCode).toEqual(400);
+    })
+
+    test("BadRequestError on invalid status", async function () {
+        const resp = await request(app)
+            .get("/jobs?status=bananas")
+            .set("authorization", `Bearer ${adminToken}`);
+
+        expect(resp.statusCode).toEqual(400);
+    })
+})
+
+describe("GET /jobs?technology", function() {
+
+    test("filters by any technology", async function() {
+        await request(app)
+            .patch("/jobs/1")
+            .send({ technologies: ["react", "postgres"] })
+            .set("authorization", `Bearer ${adminToken}`);
+        await request(app)
+            .patch("/jobs/2")
+            .send({ technologies: ["react"] })
+            .set("authorization", `Bearer ${adminToken}`);
+
+        const resp = await request(app)
+            .get("/jobs?technology=react&technology=postgres");
+        expect(resp.statusCode).toEqual(200);
+        expect(resp.body.jobs.map(j => j.title)).toEqual(["Test Job", "Test Job 2"]);
+    })
+
+    test("filters by all technologies", async function() {
+        await request(app)
+            .patch("/jobs/1")
+            .send({ technologies: ["react", "postgres"] })
+            .set("authorization", `Bearer ${adminToken}`);
+        await request(app)
+            .patch("/jobs/2")
+            .send({ technologies: ["react"] })
+            .set("authorization", `Bearer ${adminToken}`);
+
+        const resp = await request(app)
+            .get("/jobs?technology=react&technology=postgres&technologyMatch=all");
+        expect(resp.statusCode).toEqual(200);
+        expect(resp.body.jobs.map(j => j.title)).toEqual(["Test Job"]);
+    })
+
+    test("BadRequestError for invalid technologyMatch", async function() {
+        const resp = await request(app)
+            .get("/jobs?technology=react&technologyMatch=most");
+        expect(resp.statusCode).toEqual(400);
+    })
 })
 
 /** GET /jobs/:jobId *************************/
@@ -161,11 +405,52 @@ describe("GET /jobs/:jobId", function() {
                     title: "Test Job",
                     salary: 111111,
                     equity: "0.001",
-                    companyHandle: "c1"
+                    companyHandle: "c1",
+                    salaryMax: null,
+                    currency: "USD",
+                    payPeriod: "year",
+                    status: "open",
+                    expiresAt: null,
+                    technologies: []
                 }
         })
     })
 
+    test("NotFoundError for a job that isn't open, except for admin", async function() {
+        await db.query("UPDATE jobs SET status = 'draft' WHERE id = 1");
+        await db.query("UPDATE jobs SET expires_at = NOW() WHERE id = 2");
+
+        let resp = await request(app)
+        .get("/jobs/1");
+        expect(resp.statusCode).toEqual(404);
+
+        resp = await request(app)
+        .get("/jobs/2")
+        .set("authorization", `Bearer ${u1Token}`);
+        expect(resp.statusCode).toEqual(404);
+
+        resp = await request(app)
+        .get("/jobs/1")
+        .set("authorization", `Bearer ${adminToken}`);
+        expect(resp.statusCode).toEqual(200);
+        expect(resp.body.job.status).toEqual("draft");
+    })
+
+    test("works for a member of the job's company: job that isn't open", async function() {
+        await db.query("UPDATE jobs SET status = 'draft' WHERE id IN (1, 2)");
+
+        let resp = await request(app)
+        .get("/jobs/1")
+        .set("authorization", `Bearer ${u2Token}`);
+        expect(resp.statusCode).toEqual(200);
+        expect(resp.body.job.status).toEqual("draft");
+
+        resp = await request(app)
+        .get("/jobs/2")
+        .set("authorization", `Bearer ${u2Token}`);
+        expect(resp.statusCode).toEqual(404);
+    })
+
     test("NotFoundError if ID not found", async function() {
         const resp = await request(app)
         .get("/jobs/99999");
@@ -174,6 +459,77 @@ describe("GET /jobs/:jobId", function() {
     })
 })
 
+/** GET /jobs/:jobId/applicants *************************/
+
+describe("GET /jobs/:jobId/applicants", function() {
+
+    test("works for admin", async function() {
+        await request(app)
+            .post(`/users/u1/jobs/1`)
+            .set("authorization", `Bearer ${adminToken}`);
+        await request(app)
+            .post(`/users/u2/jobs/1/interest`)
+            .set("authorization", `Bearer ${adminToken}`);
+
+        const resp = await request(app)
+            .get("/jobs/1/applicants?state=applied&limit=5")
+            .set("authorization", `Bearer ${adminToken}`);
+
+        expect(resp.statusCode).toEqual(200);
+        expect(resp.body.applicants.map(a => a.username)).toEqual(["u1"]);
+        expect(resp.body.total).toEqual(1);
+        expect(resp.body.limit).toEqual(5);
+    })
+
+    test("works for recruiter", async function() {
+        const resp = await request(app)
+            .get("/jobs/1/applicants")
+            .set("authorization", `Bearer ${recruiterToken}`);
+
+        expect(resp.statusCode).toEqual(200);
+    })
+
+    test("works for member of the job's company", async function() {
+        const resp = await request(app)
+            .get("/jobs/1/applicants")
+            .set("authorization", `Bearer ${u2Token}`);
+
+        expect(resp.statusCode).toEqual(200);
+    })
+
+    test("Unauthorized for member of another company", async function() {
+        const resp = await request(app)
+            .get("/jobs/2/applicants")
+            .set("authorization", `Bearer ${u2Token}`);
+
+        expect(resp.statusCode).toEqual(401);
+    })
+
+    test("Unauthorized for regular user", async function() {
+        const resp = await request(app)
+            .get("/jobs/1/applicants")
+            .set("authorization", `Bearer ${u1Token}`);
+
+        expect(resp.statusCode).toEqual(401);
+    })
+
+    test("BadRequestError on invalid state", async function() {
+        const resp = await request(app)
+            .get("/jobs/1/applicants?state=hired")
+            .set("authorization", `Bearer ${adminToken}`);
+
+        expect(resp.statusCode).toEqual(400);
+    })
+
+    test("NotFoundError if ID not found", async function() {
+        const resp = await request(app)
+            .get("/jobs/99999/applicants")
+            .set("authorization", `Bearer ${adminToken}`);
+
+        expect(resp.statusCode).toEqual(404);
+    })
+})
+
 /** PATCH /jobs/:id *********************/
 
 describe("PATCH /jobs/jobId", function() {
@@ -202,7 +558,13 @@ describe("PATCH /jobs/jobId", function() {
                 id: testJob.id,
                 ...updateData,
                 equity: `${updateData.equity}`,
-                companyHandle: testJob.companyHandle
+                companyHandle: testJob.companyHandle,
+                salaryMax: null,
+                currency: "USD",
+                payPeriod: "year",
+                status: "open",
+                expiresAt: null,
+                technologies: []
             }
         });
     });
@@ -227,6 +589,48 @@ describe("PATCH /jobs/jobId", function() {
         
         expect(resp.statusCode).toEqual(401);
     });
+
+    test("Works for member of the job's company", async function() {
+        const queryJob = await db.query(`
+        SELECT id FROM jobs WHERE title = 'Test Job'`);
+
+        const resp = await request(app)
+            .patch(`/jobs/${queryJob.rows[0].id}`)
+            .send({ title: "Update Job Title" })
+            .set("authorization", `Bearer ${u2Token}`);
+
+        expect(resp.statusCode).toEqual(200);
+        expect(resp.body.job.title).toEqual("Update Job Title");
+    });
+
+    test("BadRequestError for member moving a job to another company", async function() {
+        const queryJob = await db.query(`
+        SELECT id FROM jobs WHERE title = 'Test Job'`);
+
+        for(let data of [{ company_handle: "c2" }, { companyHandle: "c2" }, { status: "draft" }]){
+            const resp = await request(app)
+                .patch(`/jobs/${queryJob.rows[0].id}`)
+                .send(data)
+                .set("authorization", `Bearer ${u2Token}`);
+            expect(resp.statusCode).toEqual(400);
+        }
+
+        const check = await db.query(`
+        SELECT company_handle, status FROM jobs WHERE title = 'Test Job'`);
+        expect(check.rows[0]).toEqual({ company_handle: "c1", status: "open" });
+    });
+
+    test("Unauthorized for member of another company", async function() {
+        const queryJob = await db.query(`
+        SELECT id FROM jobs WHERE title = 'Test Job 2'`);
+
+        const resp = await request(app)
+            .patch(`/jobs/${queryJob.rows[0].id}`)
+            .send({ title: "Update Job Title" })
+            .set("authorization", `Bearer ${u2Token}`);
+
+        expect(resp.statusCode).toEqual(401);
+    });
     
     test("Unauthorized if not logged in", async function() {
         const queryJob = await db.query(`
@@ -271,11 +675,30 @@ describe("PATCH /jobs/jobId", function() {
                 title: updateData.title,
                 salary: testJob.salary,
                 equity: `${testJob.equity}`,
-                companyHandle: testJob.companyHandle
+                companyHandle: testJob.companyHandle,
+                salaryMax: null,
+                currency: "USD",
+                payPeriod: "year",
+                status: "open",
+                expiresAt: null,
+                technologies: []
             }
         });
     });
 
+    test("Works for technologies", async function() {
+        const resp = await request(app)
+            .patch(`/jobs/1`)
+            .send({ technologies: ["sql", "python"] })
+            .set("authorization", `Bearer ${adminToken}`);
+        
+        expect(resp.statusCode).toEqual(200);
+        expect(resp.body.job.technologies).toEqual(["python", "sql"]);
+
+        const getResp = await request(app).get("/jobs/1");
+        expect(getResp.body.job.technologies).toEqual(["python", "sql"]);
+    });
+
         
     test("BadRequestError if Salary Negative", async function() {
         const queryJob = await db.query(`
@@ -325,6 +748,221 @@ describe("PATCH /jobs/jobId", function() {
             expect(e instanceof BadRequestError).toBeTruthy();
         }
     });
+
+    test("BadRequestError if salaryMax is below salary", async function() {
+        const resp = await request(app)
+            .patch("/jobs/1")
+            .send({ salaryMax: 1000 })
+            .set("authorization", `Bearer ${adminToken}`);
+        expect(resp.statusCode).toEqual(400);
+    });
+})
+
+/** POST /jobs/:id/publish *********************/
+
+describe("POST /jobs/:jobId/publish", function() {
+    async function draftJob(){
+        const job = await Job.create({
+            title: "Draft Job",
+            salary: 50000,
+            equity: 0.002,
+            companyHandle: "c1",
+            status: "draft"
+        });
+        return job.id;
+    }
+
+    test("Works for admin", async function() {
+        const id = await draftJob();
+        const resp = await request(app)
+            .post(`/jobs/${id}/publish`)
+            .send({ expiresAt: "2099-01-01T00:00:00Z" })
+            .set("authorization", `Bearer ${adminToken}`);
+        expect(resp.statusCode).toEqual(200);
+        expect(resp.body.job).toEqual(expect.objectContaining({
+            id,
+            status: "open",
+            expiresAt: "2099-01-01T00:00:00.000Z"
+        }));
+
+        const listResp = await request(app).get("/jobs?title=draft");
+        expect(listResp.body.total).toEqual(1);
+    })
+
+    test("Works for recruiter", async function() {
+        const id = await draftJob();
+        const resp = await request(app)
+            .post(`/jobs/${id}/publish`)
+            .set("authorization", `Bearer ${recruiterToken}`);
+        expect(resp.statusCode).toEqual(200);
+    })
+
+    test("Works for member of the job's company: their own draft", async function() {
+        let resp = await request(app)
+            .post("/jobs")
+            .send({ title: "Member Draft", salary: 50000, equity: 0, companyHandle: "c1", status: "draft" })
+            .set("authorization", `Bearer ${u2Token}`);
+        const id = resp.body.job.id;
+
+        resp = await request(app)
+            .get(`/jobs/${id}`)
+            .set("authorization", `Bearer ${u2Token}`);
+        expect(resp.body.job.status).toEqual("draft");
+
+        resp = await request(app)
+            .post(`/jobs/${id}/publish`)
+            .set("authorization", `Bearer ${u2Token}`);
+        expect(resp.statusCode).toEqual(200);
+        expect(resp.body.job.status).toEqual("open");
+    })
+
+    test("Unauthorized for member of another company", async function() {
+        const job = await Job.create({ title: "Draft Job", companyHandle: "c2", status: "draft" });
+        const resp = await request(app)
+            .post(`/jobs/${job.id}/publish`)
+            .set("authorization", `Bearer ${u2Token}`);
+        expect(resp.statusCode).toEqual(401);
+    })
+
+    test("Unauthorized for non-member", async function() {
+        const id = await draftJob();
+        const resp = await request(app)
+            .post(`/jobs/${id}/publish`)
+            .set("authorization", `Bearer ${u1Token}`);
+        expect(resp.statusCode).toEqual(401);
+    })
+
+    test("Unauthorized for anon", async function() {
+        const id = await draftJob();
+        const resp = await request(app)
+            .post(`/jobs/${id}/publish`);
+        expect(resp.statusCode).toEqual(401);
+    })
+
+    test("BadRequestError if already published", async function() {
+        const resp = await request(app)
+            .post("/jobs/1/publish")
+            .set("authorization", `Bearer ${adminToken}`);
+        expect(resp.statusCode).toEqual(400);
+    })
+
+    test("BadRequestError on invalid expiresAt", async function() {
+        const id = await draftJob();
+        const resp = await request(app)
+            .post(`/jobs/${id}/publish`)
+            .send({ expiresAt: "soon" })
+            .set("authorization", `Bearer ${adminToken}`);
+        expect(resp.statusCode).toEqual(400);
+    })
+
+    test("NotFoundError if ID not found", async function() {
+        const resp = await request(app)
+            .post("/jobs/99999/publish")
+            .set("authorization", `Bearer ${adminToken}`);
+        expect(resp.statusCode).toEqual(404);
+    })
+})
+
+/** POST /jobs/:id/close *********************/
+
+describe("POST /jobs/:jobId/close", function() {
+    test("Works for admin", async function() {
+        const resp = await request(app)
+            .post("/jobs/1/close")
+            .set("authorization", `Bearer ${adminToken}`);
+        expect(resp.statusCode).toEqual(200);
+        expect(resp.body.job).toEqual(expect.objectContaining({ id: 1, status: "closed" }));
+
+        const listResp = await request(app).get("/jobs");
+        expect(listResp.body.jobs.map(j => j.title)).toEqual(["Test Job 2", "Test Job 3"]);
+    })
+
+    test("Works for admin: filled", async function() {
+        const resp = await request(app)
+            .post("/jobs/1/close")
+            .send({ status: "filled" })
+            .set("authorization", `Bearer ${adminToken}`);
+        expect(resp.body.job.status).toEqual("filled");
+    })
+
+    test("Works for member of the job's company", async function() {
+        const resp = await request(app)
+            .post("/jobs/1/close")
+            .set("authorization", `Bearer ${u2Token}`);
+        expect(resp.statusCode).toEqual(200);
+    })
+
+    test("Unauthorized for member of another company", async function() {
+        const resp = await request(app)
+            .post("/jobs/2/close")
+            .set("authorization", `Bearer ${u2Token}`);
+        expect(resp.statusCode).toEqual(401);
+    })
+
+    test("BadRequestError if already closed", async function() {
+        await request(app)
+            .post("/jobs/1/close")
+            .set("authorization", `Bearer ${adminToken}`);
+        const resp = await request(app)
+            .post("/jobs/1/close")
+            .set("authorization", `Bearer ${adminToken}`);
+        expect(resp.statusCode).toEqual(400);
+    })
+
+    test("BadRequestError on invalid status", async function() {
+        const resp = await request(app)
+            .post("/jobs/1/close")
+            .send({ status: "draft" })
+            .set("authorization", `Bearer ${adminToken}`);
+        expect(resp.statusCode).toEqual(400);
+    })
+})
+
+/** POST /jobs/:id/reopen *********************/
+
+describe("POST /jobs/:jobId/reopen", function() {
+    test("Works for admin", async function() {
+        await request(app)
+            .post("/jobs/1/close")
+            .set("authorization", `Bearer ${adminToken}`);
+        const resp = await request(app)
+            .post("/jobs/1/reopen")
+            .set("authorization", `Bearer ${adminToken}`);
+        expect(resp.statusCode).toEqual(200);
+        expect(resp.body.job).toEqual(expect.objectContaining({ id: 1, status: "open" }));
+    })
+
+    test("Works for admin: expired job", async function() {
+        await db.query("UPDATE jobs SET expires_at = NOW() WHERE id = 1");
+        const resp = await request(app)
+            .post("/jobs/1/reopen")
+            .send({ expiresAt: "2099-01-01T00:00:00Z" })
+            .set("authorization", `Bearer ${adminToken}`);
+        expect(resp.body.job.expiresAt).toEqual("2099-01-01T00:00:00.000Z");
+    })
+
+    test("Works for member of the job's company", async function() {
+        await db.query("UPDATE jobs SET status = 'closed' WHERE id = 1");
+        const resp = await request(app)
+            .post("/jobs/1/reopen")
+            .set("authorization", `Bearer ${u2Token}`);
+        expect(resp.statusCode).toEqual(200);
+    })
+
+    test("Unauthorized for non-member", async function() {
+        await db.query("UPDATE jobs SET status = 'closed' WHERE id = 1");
+        const resp = await request(app)
+            .post("/jobs/1/reopen")
+            .set("authorization", `Bearer ${u1Token}`);
+        expect(resp.statusCode).toEqual(401);
+    })
+
+    test("BadRequestError if already open", async function() {
+        const resp = await request(app)
+            .post("/jobs/1/reopen")
+            .set("authorization", `Bearer ${adminToken}`);
+        expect(resp.statusCode).toEqual(400);
+    })
 })
 
 describe("DELETE /jobs/jobId", function() {
@@ -360,6 +998,28 @@ describe("DELETE /jobs/jobId", function() {
         expect(resp.statusCode).toEqual(401);
     });
 
+    test("Works for member of the job's company", async function() {
+        const queryJob = await db.query(`
+        SELECT id FROM jobs WHERE title = 'Test Job'`);
+        const deletedId = queryJob.rows[0].id;
+
+        const resp = await request(app)
+        .delete(`/jobs/${deletedId}`)
+        .set("authorization", `Bearer ${u2Token}`);
+        expect(resp.statusCode).toEqual(200);
+        expect(resp.body).toEqual({ deleted: `${deletedId}` });
+    });
+
+    test("Unauthorized for member of another company", async function() {
+        const queryJob = await db.query(`
+        SELECT id FROM jobs WHERE title = 'Test Job 2'`);
+
+        const resp = await request(app)
+        .delete(`/jobs/${queryJob.rows[0].id}`)
+        .set("authorization", `Bearer ${u2Token}`);
+        expect(resp.statusCode).toEqual(401);
+    });
+
     test("Unauthorized if not logged in", async function() {
         const queryJob = await db.query(`
         SELECT id, title, salary, equity, company_handle AS "companyHandle"
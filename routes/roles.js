@@ -0,0 +1,31 @@
+"use strict";
+
+/** Routes for roles. */
+
+const express = require("express");
+
+const { ensureLoggedIn, isAdmin } = require("../middleware/auth");
+const Role = require("../models/role");
+
+const router = new express.Router();
+
+
+/** GET /  =>  { roles: [{ name, description, permissions: [name, ...] }, ...] }
+ *
+ * Lists the roles users can be given (see POST /users/[username]/roles/[role])
+ * and the permissions each grants.
+ *
+ * Authorization required: login, admin
+ */
+
+router.get("/", ensureLoggedIn, isAdmin, async function (req, res, next) {
+  try {
+    const roles = await Role.findAll();
+    return res.json({ roles });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+module.exports = router;
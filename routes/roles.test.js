@@ -0,0 +1,41 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  u1Token,
+  adminToken,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** GET /roles */
+
+describe("GET /roles", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .get("/roles")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.roles).toContainEqual({
+      name: "recruiter",
+      description: expect.any(String),
+      permissions: ["applications:review", "jobs:write"],
+    });
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+        .get("/roles")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
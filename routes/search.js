@@ -0,0 +1,46 @@
+"use strict";
+
+/** Routes for searching companies and jobs. */
+
+const express = require("express");
+
+const { BadRequestError } = require("../expressError");
+const Search = require("../models/search");
+const { pageLinks } = require("../helpers/pagination");
+
+const router = new express.Router();
+
+
+/** GET /?q=  =>  { results, total, page, limit, links }
+ *
+ * Full-text search over companies (name, description) and open jobs
+ * (title, company name, technologies), best matches first. q can have
+ * "quoted phrases", OR and -excluded words. Each result is
+ *   { type: "company", handle, name, snippet, rank } or
+ *   { type: "job", id, title, companyHandle, companyName, snippet, rank }
+ * where snippet shows the matched words wrapped in <b></b>.
+ *
+ * Query string can include:
+ * - q: the search (required)
+ * - type: company or job, to only get those
+ * - page: starting at 1
+ * - limit: results per page (default 20, max 100)
+ *
+ * Authorization required: none
+ */
+
+router.get("/", async function (req, res, next) {
+  try {
+    const { q, type, page, limit, ...rest } = req.query;
+    const invalid = Object.keys(rest);
+    if (invalid.length) throw new BadRequestError(`Invalid search parameter: ${invalid[0]}`);
+
+    const { results, ...pageInfo } = await Search.search(q, { type, page, limit });
+    return res.json({ results, ...pageInfo, links: pageLinks(req, pageInfo) });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+module.exports = router;
@@ -0,0 +1,81 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** GET /search */
+
+describe("GET /search", function () {
+  test("works for anon", async function () {
+    const resp = await request(app).get("/search?q=desc2");
+    expect(resp.body).toEqual({
+      results: [
+        {
+          type: "company",
+          handle: "c2",
+          name: "C2",
+          snippet: "<b>Desc2</b>",
+          rank: expect.any(Number),
+        },
+      ],
+      total: 1,
+      page: 1,
+      limit: 20,
+      links: { next: null, prev: null },
+    });
+  });
+
+  test("works: mixed results, best first", async function () {
+    const resp = await request(app).get("/search?q=c1");
+    expect(resp.body.results).toEqual([
+      expect.objectContaining({ type: "company", handle: "c1" }),
+      {
+        type: "job",
+        id: expect.any(Number),
+        title: "Test Job",
+        companyHandle: "c1",
+        companyName: "C1",
+        snippet: expect.stringContaining("<b>C1</b>"),
+        rank: expect.any(Number),
+      },
+    ]);
+  });
+
+  test("pages, keeping the query in links", async function () {
+    const resp = await request(app).get("/search?q=test%20job&type=job&limit=1&page=2");
+    expect(resp.body.total).toEqual(3);
+    expect(resp.body.results).toHaveLength(1);
+    expect(resp.body.links).toEqual({
+      next: "/search?q=test+job&type=job&page=3&limit=1",
+      prev: "/search?q=test+job&type=job&page=1&limit=1",
+    });
+  });
+
+  test("bad request without q", async function () {
+    const resp = await request(app).get("/search");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request on invalid type", async function () {
+    const resp = await request(app).get("/search?q=c1&type=user");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request on invalid parameter", async function () {
+    const resp = await request(app).get("/search?q=c1&sort=rank");
+    expect(resp.statusCode).toEqual(400);
+  });
+});
@@ -7,12 +7,33 @@ const jsonschema = require("jsonschema");
 const generator = require("generate-password");
 
 const express = require("express");
-const { ensureLoggedIn, isAdmin, sameUserOrAdmin } = require("../middleware/auth");
-const { BadRequestError } = require("../expressError");
+const {
+  ensureLoggedIn,
+  isAdmin,
+  sameUserOrAdmin,
+  sameUser,
+  ensureNotApiKey,
+  ensureVerifiedEmail,
+} = require("../middleware/auth");
+const { BadRequestError, UnauthorizedError } = require("../expressError");
 const User = require("../models/user");
+const Application = require("../models/application");
+const Session = require("../models/session");
+const RefreshToken = require("../models/refreshToken");
+const EmailVerification = require("../models/emailVerification");
+const Role = require("../models/role");
+const ApiKey = require("../models/apiKey");
+const Mfa = require("../models/mfa");
 const { createToken } = require("../helpers/tokens");
+const { pageLinks } = require("../helpers/pagination");
+const { checkPasswordPolicy } = require("../helpers/passwordPolicy");
 const userNewSchema = require("../schemas/userNew.json");
 const userUpdateSchema = require("../schemas/userUpdate.json");
+const userTechnologiesSchema = require("../schemas/userTechnologies.json");
+const applicationUpdateSchema = require("../schemas/applicationUpdate.json");
+const userPasswordSchema = require("../schemas/userPassword.json");
+const apiKeyNewSchema = require("../schemas/apiKeyNew.json");
+const userMfaCodeSchema = require("../schemas/userMfaCode.json");
 
 const router = express.Router();
 
@@ -53,17 +74,24 @@ router.post("/", ensureLoggedIn, isAdmin, async function (req, res, next) {
 });
 
 
-/** GET / => { users: [ {username, firstName, lastName, email }, ... ] }
+/** GET / => { users: [ {username, firstName, lastName, email }, ... ],
+ *            total, page, limit, links: { next, prev } }
  *
- * Returns list of all users.
+ * Returns list of all users, a page at a time.
+ *
+ * Query string can include:
+ * - page: starting at 1
+ * - limit: users per page (default 20, max 100)
+ * - sort: comma-separated fields, "-" prefix for descending,
+ *   ie. ?sort=lastName,firstName (fields: username, firstName, lastName, email)
  *
  * Authorization required: login, admin
  **/
 
 router.get("/", ensureLoggedIn, isAdmin, async function (req, res, next) {
   try {
-    const users = await User.findAll();
-    return res.json({ users });
+    const { users, ...pageInfo } = await User.findAll(req.query);
+    return res.json({ users, ...pageInfo, links: pageLinks(req, pageInfo) });
   } catch (err) {
     return next(err);
   }
@@ -71,7 +99,11 @@ router.get("/", ensureLoggedIn, isAdmin, async function (req, res, next) {
 
 /** GET /[username] => { user }
  *
- * Returns { username, firstName, lastName, isAdmin }
+ * Returns { username, firstName, lastName, isAdmin, emailVerified,
+ *           mfaEnabled, mfaRequired, roles, jobs, technologies }
+ *   where jobs is [{ id, title, companyHandle, companyName, state,
+ *                    appliedAt, updatedAt }, ...]
+ *   and technologies is [name, ...]
  *
  * Authorization required: login, admin, same-user
  **/
@@ -91,6 +123,12 @@ router.get("/:username", ensureLoggedIn, sameUserOrAdmin, async function (req, r
  * Data can include:
  *   { firstName, lastName, password, email }
  *
+ * Only admins can set password here, and it has to follow the password
+ * policy (see checkPasswordPolicy); users change their own with
+ * POST /[username]/password.
+ *
+ * A new email address has to be verified again; a link is sent to it.
+ *
  * Returns { username, firstName, lastName, email, isAdmin }
  *
  * Authorization required: login, admin, same-username
@@ -103,8 +141,18 @@ router.patch("/:username", ensureLoggedIn, sameUserOrAdmin, async function (req,
       const errs = validator.errors.map(e => e.stack);
       throw new BadRequestError(errs);
     }
+    if (req.body.password !== undefined && !res.locals.user.isAdmin) {
+      throw new UnauthorizedError(
+          `Use POST /users/${req.params.username}/password to change your password`);
+    }
+    if (req.body.password !== undefined) {
+      checkPasswordPolicy(req.body.password, { username: req.params.username });
+    }
 
     const user = await User.update(req.params.username, req.body);
+    if (req.body.email !== undefined && !(await EmailVerification.isVerified(user.username))) {
+      await EmailVerification.send(user.username);
+    }
     return res.json({ user });
   } catch (err) {
     return next(err);
@@ -112,6 +160,38 @@ router.patch("/:username", ensureLoggedIn, sameUserOrAdmin, async function (req,
 });
 
 
+/** POST /[username]/password { currentPassword, newPassword }
+ *   => { changed: username, token, refreshToken }
+ *
+ * Changes the user's password. The new password has to follow the password
+ * policy (see checkPasswordPolicy). All of the user's sessions are signed
+ * out, so a new token and refresh token are returned for this one.
+ *
+ * Authorization required: same-username
+ **/
+
+router.post("/:username/password", ensureLoggedIn, sameUser, async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, userPasswordSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { username } = req.params;
+    const { currentPassword, newPassword } = req.body;
+    checkPasswordPolicy(newPassword, { username });
+
+    const user = await User.changePassword(username, currentPassword, newPassword);
+    const token = createToken(user);
+    const refreshToken = await RefreshToken.issue(username);
+    return res.json({ changed: username, token, refreshToken });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
 /** DELETE /[username]  =>  { deleted: username }
  *
  * Authorization required: login
@@ -126,19 +206,340 @@ router.delete("/:username", ensureLoggedIn, sameUserOrAdmin, async function (req
   }
 });
 
-/** GET /[username]/jobs => { matching jobs: [job1, job2, ... ]} */
+/** DELETE /[username]/sessions  =>  { revoked: username }
+ *
+ * Signs the user out everywhere: revokes every access and refresh token
+ * they have, ie. after their account was compromised.
+ *
+ * Authorization required: admin
+ **/
+
+router.delete("/:username/sessions", ensureLoggedIn, isAdmin, async function (req, res, next) {
+  try {
+    await Session.revokeAll(req.params.username);
+    return res.json({ revoked: req.params.username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /[username]/roles/[role]  =>  { roles: [name, ...] }
+ *
+ * Gives the user a role (see GET /roles); returns all of their roles. The
+ * user is signed out of tokens with their old roles.
+ *
+ * Authorization required: admin
+ **/
+
+router.post("/:username/roles/:role", ensureLoggedIn, isAdmin, async function (req, res, next) {
+  try {
+    const roles = await Role.assign(req.params.username, req.params.role);
+    return res.status(201).json({ roles });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** DELETE /[username]/roles/[role]  =>  { removed: role }
+ *
+ * Takes a role away from the user.
+ *
+ * Authorization required: admin
+ **/
+
+router.delete("/:username/roles/:role", ensureLoggedIn, isAdmin, async function (req, res, next) {
+  try {
+    await Role.remove(req.params.username, req.params.role);
+    return res.json({ removed: req.params.role });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /[username]/api-keys  =>  { apiKeys: [{ id, name, prefix, scopes,
+ *                                             createdAt, expiresAt,
+ *                                             lastUsedAt }, ...] }
+ *
+ * The user's API keys that haven't been revoked; the keys themselves
+ * aren't shown, only their first few characters (prefix).
+ *
+ * Authorization required: login (not with an API key), admin, same-user
+ **/
+
+router.get("/:username/api-keys", ensureLoggedIn, sameUserOrAdmin, ensureNotApiKey, async function (req, res, next) {
+  try {
+    const apiKeys = await ApiKey.findForUser(req.params.username);
+    return res.json({ apiKeys });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /[username]/api-keys { name, scopes, expiresInDays }  =>  { apiKey }
+ *
+ * Creates an API key; send it as `Authorization: ApiKey <key>`. scopes
+ * (permission names, see GET /roles) and expiresInDays are optional; a key
+ * with scopes only gets those permissions, and never acts as an admin.
+ *
+ * Returns { id, name, prefix, scopes, createdAt, expiresAt, key }; this is
+ * the only time key is shown.
+ *
+ * Authorization required: login (not with an API key), same-user
+ **/
+
+router.post("/:username/api-keys", ensureLoggedIn, sameUser, ensureNotApiKey, async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, apiKeyNewSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const apiKey = await ApiKey.create(req.params.username, req.body);
+    return res.status(201).json({ apiKey });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** DELETE /[username]/api-keys/[id]  =>  { revoked: id }
+ *
+ * Authorization required: login (not with an API key), admin, same-user
+ **/
+
+router.delete("/:username/api-keys/:id", ensureLoggedIn, sameUserOrAdmin, ensureNotApiKey, async function (req, res, next) {
+  try {
+    await ApiKey.revoke(req.params.username, req.params.id);
+    return res.json({ revoked: +req.params.id });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /[username]/mfa  =>  { secret, otpauthUri }
+ *
+ * Starts turning on two-factor authentication (MFA). Add the secret to an
+ * authenticator app (otpauthUri is usually shown as a QR code for this),
+ * then confirm a code from it with POST /[username]/mfa/confirm.
+ *
+ * Authorization required: login (not with an API key), same-user
+ **/
+
+router.post("/:username/mfa", ensureLoggedIn, sameUser, ensureNotApiKey, async function (req, res, next) {
+  try {
+    const enrollment = await Mfa.startEnrollment(req.params.username);
+    return res.status(201).json(enrollment);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /[username]/mfa/confirm { code }  =>  { enabled: username, recoveryCodes }
+ *
+ * Turns on MFA once a code from the authenticator app checks out. From
+ * then on, logging in needs a code too (see POST /auth/token). Each of the
+ * recoveryCodes can be used once in place of a code; this is the only time
+ * they're shown.
+ *
+ * Authorization required: login (not with an API key), same-user
+ **/
+
+router.post("/:username/mfa/confirm", ensureLoggedIn, sameUser, ensureNotApiKey, async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, userMfaCodeSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const recoveryCodes = await Mfa.confirmEnrollment(req.params.username, req.body.code);
+    return res.json({ enabled: req.params.username, recoveryCodes });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /[username]/mfa/recovery-codes { code }  =>  { recoveryCodes }
+ *
+ * Replaces the user's recovery codes with new ones, ie. when they've used
+ * most of them. code is from their authenticator app, or a recovery code.
+ *
+ * Authorization required: login (not with an API key), same-user
+ **/
+
+router.post("/:username/mfa/recovery-codes", ensureLoggedIn, sameUser, ensureNotApiKey, async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, userMfaCodeSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { username } = req.params;
+    if (!(await Mfa.verifyCode(username, req.body.code))) throw new BadRequestError("Invalid code");
+
+    const recoveryCodes = await Mfa.createRecoveryCodes(username);
+    return res.status(201).json({ recoveryCodes });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** DELETE /[username]/mfa { code }  =>  { disabled: username }
+ *
+ * Turns off MFA. Users need a code (from their app, or a recovery code)
+ * and can't turn it off if they're required to use it. Admins can turn it
+ * off for other users without one, ie. if they lost their app.
+ *
+ * Authorization required: login (not with an API key), admin, same-user
+ **/
+
+router.delete("/:username/mfa", ensureLoggedIn, sameUserOrAdmin, ensureNotApiKey, async function (req, res, next) {
+  try {
+    const { username } = req.params;
+    let code;
+    if (username === res.locals.user.username) {
+      const validator = jsonschema.validate(req.body, userMfaCodeSchema);
+      if (!validator.valid) {
+        const errs = validator.errors.map(e => e.stack);
+        throw new BadRequestError(errs);
+      }
+      code = req.body.code;
+    }
+
+    await Mfa.disable(username, code);
+    return res.json({ disabled: username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /[username]/mfa/required  =>  { mfaRequired: true }
+ *
+ * Requires an admin user to use MFA. They're signed out everywhere, and
+ * have to turn MFA on at their next login if it isn't already.
+ *
+ * Authorization required: admin
+ **/
+
+router.post("/:username/mfa/required", ensureLoggedIn, isAdmin, async function (req, res, next) {
+  try {
+    await Mfa.setRequired(req.params.username, true);
+    return res.status(201).json({ mfaRequired: true });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** DELETE /[username]/mfa/required  =>  { mfaRequired: false }
+ *
+ * Stops requiring the user to use MFA; it stays on if they turned it on.
+ *
+ * Authorization required: admin
+ **/
+
+router.delete("/:username/mfa/required", ensureLoggedIn, isAdmin, async function (req, res, next) {
+  try {
+    await Mfa.setRequired(req.params.username, false);
+    return res.json({ mfaRequired: false });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /[username]/technologies => { technologies: [name, ...] }
+ *
+ * Returns the user's skill profile.
+ *
+ * Authorization required: login, admin, same-user
+ **/
+
+router.get("/:username/technologies", ensureLoggedIn, sameUserOrAdmin, async function (req, res, next) {
+  try {
+    const technologies = await User.getTechnologies(req.params.username);
+    return res.json({ technologies });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /[username]/technologies { technologies: [name, ...] }
+ *    => { technologies: [name, ...] }
+ *
+ * Adds skills to the user's profile; technologies not already known are
+ * created. Returns the user's full skill list.
+ *
+ * Authorization required: login, admin, same-user
+ **/
+
+router.post("/:username/technologies", ensureLoggedIn, sameUserOrAdmin, async function (req, res, next) {
+  try {
+    const validator = jsonschema.validate(req.body, userTechnologiesSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const technologies = await User.addTechnologies(req.params.username, req.body.technologies);
+    return res.status(201).json({ technologies });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** DELETE /[username]/technologies/[name] => { removed: name }
+ *
+ * Removes a skill from the user's profile.
+ *
+ * Authorization required: login, admin, same-user
+ **/
+
+router.delete("/:username/technologies/:name", ensureLoggedIn, sameUserOrAdmin, async function (req, res, next) {
+  try {
+    const { username, name } = req.params;
+    await User.removeTechnology(username, name);
+    return res.json({ removed: name });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /[username]/jobs => { jobs: [job1, job2, ... ] }
+ *
+ * Recommends open jobs matching the user's skill profile, best match
+ * first. Jobs the user has already applied to are left out.
+ *
+ * Each job is { id, title, salary, equity, companyHandle,
+ *               matchScore, matchedTechnologies }
+ *
+ * Authorization required: login, admin, same-user
+ **/
+
+router.get("/:username/jobs", ensureLoggedIn, sameUserOrAdmin, async function (req, res, next) {
+  try {
+    const jobs = await User.getRecommendedJobs(req.params.username);
+    return res.json({ jobs });
+  } catch (err) {
+    return next(err);
+  }
+});
+
 
 /** POST /[username]/jobs/[jobId] => { applied: jobId}
  * 
- * Should not allow duplicate job applications
+ * Should not allow duplicate job applications; moves an "interested"
+ * application to "applied"
  * 
- * authorization: logged-in user OR admin
+ * authorization: logged-in user with a verified email OR admin
  */
 
-router.post("/:username/jobs/:jobId", ensureLoggedIn, sameUserOrAdmin, async function (req, res, next) {
+router.post("/:username/jobs/:jobId", ensureLoggedIn, sameUserOrAdmin, ensureVerifiedEmail, async function (req, res, next) {
   try{
     const { username, jobId } = req.params;
-    const result = await User.apply(username, jobId);
+    const result = await User.apply(username, jobId, res.locals.user.username);
 
     return res.json({ applied: result.jobId });
 
@@ -147,4 +548,127 @@ router.post("/:username/jobs/:jobId", ensureLoggedIn, sameUserOrAdmin, async fun
   }
 })
 
+/** DELETE /[username]/jobs/[jobId] => { withdrawn: jobId }
+ * 
+ * Withdraws an application. The application is kept as "withdrawn" so it
+ * stays in its history; accepted or rejected applications can't be
+ * withdrawn.
+ * 
+ * authorization: logged-in user OR admin
+ */
+
+router.delete("/:username/jobs/:jobId", ensureLoggedIn, sameUserOrAdmin, async function (req, res, next) {
+  try{
+    const { username, jobId } = req.params;
+    const result = await User.withdraw(username, jobId, res.locals.user.username);
+
+    return res.json({ withdrawn: result.jobId });
+
+  }catch(e){
+    return next(e);
+  }
+})
+
+/** POST /[username]/jobs/[jobId]/interest => { interested: jobId }
+ * 
+ * Marks the user as interested in a job without applying yet
+ * 
+ * authorization: logged-in user with a verified email OR admin
+ */
+
+router.post("/:username/jobs/:jobId/interest", ensureLoggedIn, sameUserOrAdmin, ensureVerifiedEmail, async function (req, res, next) {
+  try{
+    const { username, jobId } = req.params;
+    const result = await User.markInterested(username, jobId, res.locals.user.username);
+
+    return res.json({ interested: result.jobId });
+
+  }catch(e){
+    return next(e);
+  }
+})
+
+/** GET /[username]/applications => { applications: [application, ...] }
+ * 
+ * Lists the user's applications with job and company details. Each is
+ *   { id, title, companyHandle, companyName, state, appliedAt, updatedAt }
+ * 
+ * Query string can include:
+ * - state: repeat to filter by several, ie. ?state=interested&state=applied
+ * - sort: appliedAt or updatedAt, "-" prefix for newest first
+ *   (default -updatedAt)
+ * 
+ * authorization: logged-in user OR admin
+ */
+
+router.get("/:username/applications", ensureLoggedIn, sameUserOrAdmin, async function (req, res, next) {
+  try{
+    const { state, sort, ...rest } = req.query;
+    const invalid = Object.keys(rest);
+    if (invalid.length) throw new BadRequestError(`Invalid filter parameter: ${invalid[0]}`);
+
+    const applications = await User.getApplications(req.params.username, { state, sort });
+    return res.json({ applications });
+
+  }catch(e){
+    return next(e);
+  }
+})
+
+/** PATCH /[username]/applications/[jobId] { state, note } => { application }
+ * 
+ * Moves an existing application to a new state. Legal moves are
+ *   interested -> applied -> accepted OR rejected
+ * plus withdrawing from, and starting over after, interested or applied;
+ * anything else is a BadRequestError. The change and optional note are
+ * recorded in the application's history.
+ * 
+ * Returns { username, jobId, state, appliedAt, updatedAt }
+ * 
+ * authorization: logged-in user OR admin; only admins can accept or reject
+ */
+
+router.patch("/:username/applications/:jobId", ensureLoggedIn, sameUserOrAdmin, async function (req, res, next) {
+  try{
+    const validator = jsonschema.validate(req.body, applicationUpdateSchema);
+    if (!validator.valid) {
+      const errs = validator.errors.map(e => e.stack);
+      throw new BadRequestError(errs);
+    }
+
+    const { username, jobId } = req.params;
+    const { state, note } = req.body;
+    if ((state === "accepted" || state === "rejected") && !res.locals.user.isAdmin) {
+      throw new UnauthorizedError();
+    }
+
+    const application = await Application.update(username, jobId, state,
+      { changedBy: res.locals.user.username, note });
+    return res.json({ application });
+
+  }catch(e){
+    return next(e);
+  }
+})
+
+/** GET /[username]/applications/[jobId]/history => { history: [change, ...] }
+ * 
+ * Every state change of the application, oldest first. Each change is
+ *   { fromState, toState, changedBy, note, changedAt }
+ * 
+ * authorization: logged-in user OR admin
+ */
+
+router.get("/:username/applications/:jobId/history", ensureLoggedIn, sameUserOrAdmin, async function (req, res, next) {
+  try{
+    const { username, jobId } = req.params;
+    const history = await Application.getHistory(username, jobId);
+
+    return res.json({ history });
+
+  }catch(e){
+    return next(e);
+  }
+})
+
 module.exports = router;
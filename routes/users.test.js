@@ -5,6 +5,9 @@ const request = require("supertest");
 const db = require("../db.js");
 const app = require("../app");
 const User = require("../models/user");
+const { outbox } = require("../helpers/mail");
+const { totp, timeStep } = require("../helpers/totp");
+const Mfa = require("../models/mfa");
 
 const {
   commonBeforeAll,
@@ -13,7 +16,8 @@ const {
   commonAfterAll,
   u1Token,
   u2Token,
-  adminToken
+  adminToken,
+  recruiterToken
 } = require("./_testCommon");
 const { BadRequestError, NotFoundError } = require("../expressError.js");
 
@@ -135,6 +139,13 @@ describe("GET /users", function () {
         .set("authorization", `Bearer ${adminToken}`);
     expect(resp.body).toEqual({
       users: [
+        {
+          username: "a1",
+          firstName: "A1F",
+          lastName: "A1L",
+          email: "admin1@user.com",
+          isAdmin: true,
+        },
         {
           username: "u1",
           firstName: "U1F",
@@ -157,9 +168,31 @@ describe("GET /users", function () {
           isAdmin: false,
         },
       ],
+      total: 4,
+      page: 1,
+      limit: 20,
+      links: { next: null, prev: null },
+    });
+  });
+
+  test("pages and sorts", async function () {
+    const resp = await request(app)
+        .get("/users?sort=-username&page=2&limit=2")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.users.map(u => u.username)).toEqual(["u1", "a1"]);
+    expect(resp.body.links).toEqual({
+      next: null,
+      prev: "/users?sort=-username&page=1&limit=2",
     });
   });
 
+  test("bad request on unknown parameter", async function () {
+    const resp = await request(app)
+        .get("/users?isAdmin=true")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
   test("unauth for users without is_admin flag", async function () {
     const resp = await request(app)
         .get("/users")
@@ -199,6 +232,12 @@ describe("GET /users/:username", function () {
         lastName: "U1L",
         email: "user1@user.com",
         isAdmin: false,
+        emailVerified: true,
+        mfaEnabled: false,
+        mfaRequired: false,
+        roles: [],
+        jobs: [],
+        technologies: ["javascript", "sql"],
       },
     });
   });
@@ -214,6 +253,12 @@ describe("GET /users/:username", function () {
         lastName: "U1L",
         email: "user1@user.com",
         isAdmin: false,
+        emailVerified: true,
+        mfaEnabled: false,
+        mfaRequired: false,
+        roles: [],
+        jobs: [],
+        technologies: ["javascript", "sql"],
       },
     });
   });
@@ -317,11 +362,25 @@ describe("PATCH /users/:username", () => {
     expect(resp.statusCode).toEqual(400);
   });
 
+  test("works: new email needs verifying", async function () {
+    outbox.length = 0;
+    const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({
+          email: "new@user.com",
+        })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(outbox.map(m => m.to)).toEqual(["new@user.com"]);
+    const user = await User.get("u1");
+    expect(user.emailVerified).toEqual(false);
+  });
+
   test("works: set new password", async function () {
     const resp = await request(app)
         .patch(`/users/u1`)
         .send({
-          password: "new-password",
+          password: "new-password1",
         })
         .set("authorization", `Bearer ${adminToken}`);
     expect(resp.body).toEqual({
@@ -333,9 +392,140 @@ describe("PATCH /users/:username", () => {
         isAdmin: false,
       },
     });
-    const isSuccessful = await User.authenticate("u1", "new-password");
+    const isSuccessful = await User.authenticate("u1", "new-password1");
     expect(isSuccessful).toBeTruthy();
   });
+
+  test("works: a passphrase longer than 20 characters", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({
+          password: "correct horse battery staple 42",
+        })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(200);
+    await expect(User.authenticate("u1", "correct horse battery staple 42"))
+        .resolves.toBeTruthy();
+  });
+
+  test("bad request if new password breaks policy", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({
+          password: "short",
+        })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message).toEqual([
+      "password must be at least 8 characters",
+      "password must contain a number",
+    ]);
+    await expect(User.authenticate("u1", "password1")).resolves.toBeTruthy();
+  });
+
+  test("works: setting a password revokes refresh tokens", async function () {
+    const signIn = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+
+    await request(app)
+        .patch(`/users/u1`)
+        .send({
+          password: "new-password1",
+        })
+        .set("authorization", `Bearer ${adminToken}`);
+
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: signIn.body.refreshToken });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for same user setting password", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({
+          password: "new-password1",
+        })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+    await expect(User.authenticate("u1", "password1")).resolves.toBeTruthy();
+  });
+});
+
+/************************************** POST /users/:username/password */
+
+describe("POST /users/:username/password", function () {
+  test("works for same user", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/password`)
+        .send({ currentPassword: "password1", newPassword: "new-password9" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      changed: "u1",
+      token: expect.any(String),
+      refreshToken: expect.any(String),
+    });
+    await expect(User.authenticate("u1", "new-password9")).resolves.toBeTruthy();
+
+    // old token is signed out, new one works
+    const oldResp = await request(app)
+        .get(`/users/u1`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(oldResp.statusCode).toEqual(401);
+    const newResp = await request(app)
+        .get(`/users/u1`)
+        .set("authorization", `Bearer ${resp.body.token}`);
+    expect(newResp.statusCode).toEqual(200);
+  });
+
+  test("unauth with wrong current password", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/password`)
+        .send({ currentPassword: "nope", newPassword: "new-password9" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for admin", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/password`)
+        .send({ currentPassword: "password1", newPassword: "new-password9" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/password`)
+        .send({ currentPassword: "password1", newPassword: "new-password9" })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request if new password breaks policy", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/password`)
+        .send({ currentPassword: "password1", newPassword: "short" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request if new password is the current one", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/password`)
+        .send({ currentPassword: "password1", newPassword: "password1" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with missing data", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/password`)
+        .send({ newPassword: "new-password9" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
 });
 
 /************************************** DELETE /users/:username */
@@ -376,87 +566,1096 @@ describe("DELETE /users/:username", function () {
   });
 });
 
-/**************** POST /users/:username/jobs/:jobId ****************/
+/************************************** DELETE /users/:username/sessions */
 
-describe("POST /users/:username/jobs/:jobId", function() {
- 
-  test("Works for user with matching username to token", async function() {
-    
-    const jobResult = await db.query(`
-    SELECT * FROM jobs WHERE title = 'Test Job'
-    `);
-    const testJob1 = jobResult.rows[0];
+describe("DELETE /users/:username/sessions", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .delete(`/users/u1/sessions`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ revoked: "u1" });
+
+    const revokedResp = await request(app)
+        .get(`/users/u1`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(revokedResp.statusCode).toEqual(401);
+  });
 
+  test("unauth for same user", async function () {
     const resp = await request(app)
-      .post(`/users/u1/jobs/${testJob1.id}`)
-      .set("authorization", `Bearer ${u1Token}`);
+        .delete(`/users/u1/sessions`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
 
-    expect(resp.statusCode).toEqual(200);
-    expect(resp.body).toEqual({ applied: testJob1.id });
-  })
- 
-  test("Works for admin applying a job for a user", async function() {
-    
-    const jobResult = await db.query(`
-    SELECT * FROM jobs WHERE title = 'Test Job'
-    `);
-    const testJob1 = jobResult.rows[0];
+  test("not found if user missing", async function () {
+    const resp = await request(app)
+        .delete(`/users/nope/sessions`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** /users/:username/roles */
 
+describe("POST /users/:username/roles/:role", function () {
+  test("works for admin", async function () {
     const resp = await request(app)
-      .post(`/users/u1/jobs/${testJob1.id}`)
-      .set("authorization", `Bearer ${adminToken}`);
+        .post(`/users/u1/roles/recruiter`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({ roles: ["recruiter"] });
 
-      expect(resp.statusCode).toEqual(200);
-      expect(resp.body).toEqual({ applied: testJob1.id });
-  })
- 
-  test("Unauthorized for a different user", async function() {
-    
-    const jobResult = await db.query(`
-    SELECT * FROM jobs WHERE title = 'Test Job'
-    `);
-    const testJob1 = jobResult.rows[0];
+    // tokens with the old roles are signed out
+    const oldResp = await request(app)
+        .get(`/users/u1`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(oldResp.statusCode).toEqual(401);
+  });
 
+  test("unauth for non-admin", async function () {
     const resp = await request(app)
-      .post(`/users/u1/jobs/${testJob1.id}`)
-      .set("authorization", `Bearer ${u2Token}`);
+        .post(`/users/u1/roles/recruiter`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
 
-      expect(resp.statusCode).toEqual(401);
-  })
- 
-  test("Unauthorized if not logged in", async function() {
-    
-    const jobResult = await db.query(`
-    SELECT * FROM jobs WHERE title = 'Test Job'
-    `);
-    const testJob1 = jobResult.rows[0];
+  test("not found if no such role", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/roles/nope`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
 
+describe("DELETE /users/:username/roles/:role", function () {
+  test("works for admin", async function () {
     const resp = await request(app)
-      .post(`/users/u1/jobs/${testJob1.id}`);
+        .delete(`/users/u3/roles/recruiter`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ removed: "recruiter" });
+  });
 
-      expect(resp.statusCode).toEqual(401);
-  })
- 
-  test("BadRequestError: duplicate application (same user, same jobId", async function() {
-    
-    const jobResult = await db.query(`
-    SELECT * FROM jobs WHERE title = 'Test Job'
-    `);
-    const testJob1 = jobResult.rows[0];
-    // console.log("TESTTESTTEST", testJob1);
+  test("not found if user lacks role", async function () {
+    const resp = await request(app)
+        .delete(`/users/u1/roles/recruiter`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** /users/:username/api-keys */
+
+describe("POST /users/:username/api-keys", function () {
+  test("works for same user", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/api-keys`)
+        .send({ name: "ci", expiresInDays: 30 })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      apiKey: {
+        id: expect.any(Number),
+        name: "ci",
+        prefix: expect.any(String),
+        scopes: null,
+        createdAt: expect.any(String),
+        expiresAt: expect.any(String),
+        key: expect.stringMatching(/^jobly_/),
+      },
+    });
+  });
+
+  test("key works in place of a token", async function () {
+    const keyResp = await request(app)
+        .post(`/users/u3/api-keys`)
+        .send({ name: "ci" })
+        .set("authorization", `Bearer ${recruiterToken}`);
+    const resp = await request(app)
+        .post(`/jobs`)
+        .send({ title: "New", salary: 1, equity: 0, companyHandle: "c1" })
+        .set("authorization", `ApiKey ${keyResp.body.apiKey.key}`);
+    expect(resp.statusCode).toEqual(201);
+  });
+
+  test("scoped key only gets its scopes", async function () {
+    const keyResp = await request(app)
+        .post(`/users/u3/api-keys`)
+        .send({ name: "ci", scopes: ["applications:review"] })
+        .set("authorization", `Bearer ${recruiterToken}`);
+    const key = keyResp.body.apiKey.key;
+
+    const postResp = await request(app)
+        .post(`/jobs`)
+        .send({ title: "New", salary: 1, equity: 0, companyHandle: "c1" })
+        .set("authorization", `ApiKey ${key}`);
+    expect(postResp.statusCode).toEqual(401);
+
+    const applicantsResp = await request(app)
+        .get(`/jobs/1/applicants`)
+        .set("authorization", `ApiKey ${key}`);
+    expect(applicantsResp.statusCode).toEqual(200);
+  });
+
+  test("scoped key can't be used where no permission is needed", async function () {
+    const keyResp = await request(app)
+        .post(`/users/u3/api-keys`)
+        .send({ name: "ci", scopes: ["applications:review"] })
+        .set("authorization", `Bearer ${recruiterToken}`);
+    const key = keyResp.body.apiKey.key;
+
+    const patchResp = await request(app)
+        .patch(`/users/u3`)
+        .send({ firstName: "New" })
+        .set("authorization", `ApiKey ${key}`);
+    expect(patchResp.statusCode).toEqual(401);
+
+    const deleteResp = await request(app)
+        .delete(`/users/u3`)
+        .set("authorization", `ApiKey ${key}`);
+    expect(deleteResp.statusCode).toEqual(401);
+    expect((await User.get("u3")).firstName).toEqual("U3F");
+  });
+
+  test("unauth for other users, even admin", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/api-keys`)
+        .send({ name: "ci" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth with an API key", async function () {
+    const keyResp = await request(app)
+        .post(`/users/u1/api-keys`)
+        .send({ name: "ci" })
+        .set("authorization", `Bearer ${u1Token}`);
+    const resp = await request(app)
+        .post(`/users/u1/api-keys`)
+        .send({ name: "another" })
+        .set("authorization", `ApiKey ${keyResp.body.apiKey.key}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request on unknown scope", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/api-keys`)
+        .send({ name: "ci", scopes: ["nope"] })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request on invalid data", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/api-keys`)
+        .send({ name: "ci", expiresInDays: 0 })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+describe("GET /users/:username/api-keys", function () {
+  test("works for same user, recording last use", async function () {
+    const keyResp = await request(app)
+        .post(`/users/u1/api-keys`)
+        .send({ name: "ci" })
+        .set("authorization", `Bearer ${u1Token}`);
     await request(app)
-      .post(`/users/u1/jobs/${testJob1.id}`)
-      .set("authorization", `Bearer ${u1Token}`);
+        .get(`/users/u1`)
+        .set("authorization", `ApiKey ${keyResp.body.apiKey.key}`);
 
-    try{
-      const duplApp = await request(app)
-        .post(`/users/u1/jobs/${testJob1.id}`)
+    const resp = await request(app)
+        .get(`/users/u1/api-keys`)
         .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      apiKeys: [
+        {
+          id: keyResp.body.apiKey.id,
+          name: "ci",
+          prefix: keyResp.body.apiKey.prefix,
+          scopes: null,
+          createdAt: expect.any(String),
+          expiresAt: null,
+          lastUsedAt: expect.any(String),
+        },
+      ],
+    });
+  });
 
-      expect(duplApp.statusCode).toEqual(400);
-      
-      }catch(e){
-      expect(e instanceof BadRequestError).toBeTruthy();
-    }
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .get(`/users/u1/api-keys`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ apiKeys: [] });
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+        .get(`/users/u1/api-keys`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+describe("DELETE /users/:username/api-keys/:id", function () {
+  test("works for same user", async function () {
+    const keyResp = await request(app)
+        .post(`/users/u1/api-keys`)
+        .send({ name: "ci" })
+        .set("authorization", `Bearer ${u1Token}`);
+    const { id, key } = keyResp.body.apiKey;
+
+    const resp = await request(app)
+        .delete(`/users/u1/api-keys/${id}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ revoked: id });
+
+    const useResp = await request(app)
+        .get(`/users/u1`)
+        .set("authorization", `ApiKey ${key}`);
+    expect(useResp.statusCode).toEqual(401);
+  });
+
+  test("not found for another user's key", async function () {
+    const keyResp = await request(app)
+        .post(`/users/u1/api-keys`)
+        .send({ name: "ci" })
+        .set("authorization", `Bearer ${u1Token}`);
+    const resp = await request(app)
+        .delete(`/users/u2/api-keys/${keyResp.body.apiKey.id}`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** /users/:username/mfa */
+
+/** Turn on MFA for a user; returns { secret, recoveryCodes }. The code used
+ * is for the last time step, so the current one is still free to use. */
+
+async function enrollMfa(username) {
+  const { secret } = await Mfa.startEnrollment(username);
+  const recoveryCodes = await Mfa.confirmEnrollment(username, totp(secret, timeStep() - 1));
+  return { secret, recoveryCodes };
+}
+
+describe("POST /users/:username/mfa", function () {
+  test("works for same user, then confirms", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/mfa`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      secret: expect.any(String),
+      otpauthUri: expect.stringMatching(/^otpauth:\/\/totp\//),
+    });
+
+    const confirmResp = await request(app)
+        .post(`/users/u1/mfa/confirm`)
+        .send({ code: totp(resp.body.secret) })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(confirmResp.body).toEqual({
+      enabled: "u1",
+      recoveryCodes: expect.any(Array),
+    });
+  });
+
+  test("bad request confirming a wrong code", async function () {
+    await request(app)
+        .post(`/users/u1/mfa`)
+        .set("authorization", `Bearer ${u1Token}`);
+    const resp = await request(app)
+        .post(`/users/u1/mfa/confirm`)
+        .send({ code: "nope" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for other users, even admin", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/mfa`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+describe("POST /users/:username/mfa/recovery-codes", function () {
+  test("works", async function () {
+    const { secret } = await enrollMfa("u1");
+    const resp = await request(app)
+        .post(`/users/u1/mfa/recovery-codes`)
+        .send({ code: totp(secret) })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.recoveryCodes).toHaveLength(10);
+  });
+
+  test("bad request on wrong code", async function () {
+    await enrollMfa("u1");
+    const resp = await request(app)
+        .post(`/users/u1/mfa/recovery-codes`)
+        .send({ code: "nope" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+describe("DELETE /users/:username/mfa", function () {
+  test("works for same user with a code", async function () {
+    const { recoveryCodes } = await enrollMfa("u1");
+    const resp = await request(app)
+        .delete(`/users/u1/mfa`)
+        .send({ code: recoveryCodes[0] })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ disabled: "u1" });
+  });
+
+  test("bad request for same user without a code", async function () {
+    await enrollMfa("u1");
+    const resp = await request(app)
+        .delete(`/users/u1/mfa`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("works for admin without a code", async function () {
+    await enrollMfa("u1");
+    const resp = await request(app)
+        .delete(`/users/u1/mfa`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ disabled: "u1" });
+  });
+
+  test("unauth for other users", async function () {
+    await enrollMfa("u1");
+    const resp = await request(app)
+        .delete(`/users/u1/mfa`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+describe("POST /users/:username/mfa/required", function () {
+  test("works for admin on an admin user", async function () {
+    await db.query("UPDATE users SET is_admin = TRUE WHERE username = 'u1'");
+    const resp = await request(app)
+        .post(`/users/u1/mfa/required`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({ mfaRequired: true });
+
+    const userResp = await request(app)
+        .get(`/users/u1`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(userResp.body.user.mfaRequired).toEqual(true);
+  });
+
+  test("admin's API keys stop working", async function () {
+    await db.query("UPDATE users SET is_admin = TRUE WHERE username = 'u1'");
+    const keyResp = await request(app)
+        .post(`/users/u1/api-keys`)
+        .send({ name: "ci" })
+        .set("authorization", `Bearer ${u1Token}`);
+    const key = keyResp.body.apiKey.key;
+
+    await request(app)
+        .post(`/users/u1/mfa/required`)
+        .set("authorization", `Bearer ${adminToken}`);
+    const resp = await request(app)
+        .get(`/users`)
+        .set("authorization", `ApiKey ${key}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request for a user who isn't an admin", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/mfa/required`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/mfa/required`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+describe("DELETE /users/:username/mfa/required", function () {
+  test("works for admin", async function () {
+    await db.query("UPDATE users SET is_admin = TRUE, mfa_required = TRUE WHERE username = 'u1'");
+    const resp = await request(app)
+        .delete(`/users/u1/mfa/required`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ mfaRequired: false });
+  });
+});
+
+/************************************** /users/:username/technologies */
+
+describe("GET /users/:username/technologies", function () {
+  test("works for same user", async function () {
+    const resp = await request(app)
+        .get(`/users/u1/technologies`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ technologies: ["javascript", "sql"] });
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+        .get(`/users/u1/technologies`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if user missing", async function () {
+    const resp = await request(app)
+        .get(`/users/nope/technologies`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+describe("POST /users/:username/technologies", function () {
+  test("works for same user", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/technologies`)
+        .send({ technologies: ["react", "sql"] })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({ technologies: ["javascript", "react", "sql"] });
+  });
+
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .post(`/users/u2/technologies`)
+        .send({ technologies: ["python"] })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({ technologies: ["python"] });
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/technologies`)
+        .send({ technologies: ["react"] })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request if invalid data", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/technologies`)
+        .send({ technologies: [] })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+describe("DELETE /users/:username/technologies/:name", function () {
+  test("works for same user", async function () {
+    const resp = await request(app)
+        .delete(`/users/u1/technologies/sql`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ removed: "sql" });
+
+    const userResp = await request(app)
+        .get(`/users/u1`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(userResp.body.user.technologies).toEqual(["javascript"]);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .delete(`/users/u1/technologies/sql`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if user lacks skill", async function () {
+    const resp = await request(app)
+        .delete(`/users/u1/technologies/python`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/**************** GET /users/:username/jobs ****************/
+
+describe("GET /users/:username/jobs", function() {
+
+  test("Works for user with matching username to token", async function() {
+    await request(app)
+      .patch(`/jobs/1`)
+      .send({ technologies: ["sql", "python"] })
+      .set("authorization", `Bearer ${adminToken}`);
+    await request(app)
+      .patch(`/jobs/2`)
+      .send({ technologies: ["javascript", "sql"] })
+      .set("authorization", `Bearer ${adminToken}`);
+
+    const resp = await request(app)
+      .get(`/users/u1/jobs`)
+      .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      jobs: [
+        {
+          id: 2,
+          title: "Test Job 2",
+          salary: 22222,
+          equity: "0.002",
+          companyHandle: "c2",
+          matchScore: 2,
+          matchedTechnologies: ["javascript", "sql"]
+        },
+        {
+          id: 1,
+          title: "Test Job",
+          salary: 111111,
+          equity: "0.001",
+          companyHandle: "c1",
+          matchScore: 1,
+          matchedTechnologies: ["sql"]
+        }
+      ]
+    });
+  })
+
+  test("Leaves out closed jobs", async function() {
+    await request(app)
+      .patch(`/jobs/1`)
+      .send({ technologies: ["sql"] })
+      .set("authorization", `Bearer ${adminToken}`);
+    await request(app)
+      .post(`/jobs/1/close`)
+      .set("authorization", `Bearer ${adminToken}`);
+
+    const resp = await request(app)
+      .get(`/users/u1/jobs`)
+      .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({ jobs: [] });
+  })
+
+  test("Unauthorized for a different user", async function() {
+    const resp = await request(app)
+      .get(`/users/u1/jobs`)
+      .set("authorization", `Bearer ${u2Token}`);
+
+    expect(resp.statusCode).toEqual(401);
+  })
+
+  test("NotFound if user missing", async function() {
+    const resp = await request(app)
+      .get(`/users/nope/jobs`)
+      .set("authorization", `Bearer ${adminToken}`);
+
+    expect(resp.statusCode).toEqual(404);
+  })
+})
+
+/**************** POST /users/:username/jobs/:jobId ****************/
+
+describe("POST /users/:username/jobs/:jobId", function() {
+ 
+  test("Works for user with matching username to token", async function() {
+    
+    const jobResult = await db.query(`
+    SELECT * FROM jobs WHERE title = 'Test Job'
+    `);
+    const testJob1 = jobResult.rows[0];
+
+    const resp = await request(app)
+      .post(`/users/u1/jobs/${testJob1.id}`)
+      .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({ applied: testJob1.id });
+  })
+ 
+  test("Forbidden if email not verified", async function() {
+    await db.query("UPDATE users SET email_verified = FALSE WHERE username = 'u1'");
+
+    const resp = await request(app)
+      .post(`/users/u1/jobs/1`)
+      .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.statusCode).toEqual(403);
+  })
+ 
+  test("Works for admin applying a job for a user", async function() {
+    
+    const jobResult = await db.query(`
+    SELECT * FROM jobs WHERE title = 'Test Job'
+    `);
+    const testJob1 = jobResult.rows[0];
+
+    const resp = await request(app)
+      .post(`/users/u1/jobs/${testJob1.id}`)
+      .set("authorization", `Bearer ${adminToken}`);
+
+      expect(resp.statusCode).toEqual(200);
+      expect(resp.body).toEqual({ applied: testJob1.id });
+  })
+ 
+  test("Unauthorized for a different user", async function() {
+    
+    const jobResult = await db.query(`
+    SELECT * FROM jobs WHERE title = 'Test Job'
+    `);
+    const testJob1 = jobResult.rows[0];
+
+    const resp = await request(app)
+      .post(`/users/u1/jobs/${testJob1.id}`)
+      .set("authorization", `Bearer ${u2Token}`);
+
+      expect(resp.statusCode).toEqual(401);
+  })
+ 
+  test("Unauthorized if not logged in", async function() {
+    
+    const jobResult = await db.query(`
+    SELECT * FROM jobs WHERE title = 'Test Job'
+    `);
+    const testJob1 = jobResult.rows[0];
+
+    const resp = await request(app)
+      .post(`/users/u1/jobs/${testJob1.id}`);
+
+      expect(resp.statusCode).toEqual(401);
+  })
+ 
+  test("BadRequestError: duplicate application (same user, same jobId", async function() {
+    
+    const jobResult = await db.query(`
+    SELECT * FROM jobs WHERE title = 'Test Job'
+    `);
+    const testJob1 = jobResult.rows[0];
+    // console.log("TESTTESTTEST", testJob1);
+    await request(app)
+      .post(`/users/u1/jobs/${testJob1.id}`)
+      .set("authorization", `Bearer ${u1Token}`);
+
+    try{
+      const duplApp = await request(app)
+        .post(`/users/u1/jobs/${testJob1.id}`)
+        .set("authorization", `Bearer ${u1Token}`);
+
+      expect(duplApp.statusCode).toEqual(400);
+      
+      }catch(e){
+      expect(e instanceof BadRequestError).toBeTruthy();
+    }
+  })
+
+  test("Bad request if the job is closed", async function() {
+    await request(app)
+      .post(`/jobs/1/close`)
+      .set("authorization", `Bearer ${adminToken}`);
+
+    const resp = await request(app)
+      .post(`/users/u1/jobs/1`)
+      .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.statusCode).toEqual(400);
+  })
+})
+
+/**************** POST /users/:username/jobs/:jobId/interest ****************/
+
+describe("POST /users/:username/jobs/:jobId/interest", function() {
+
+  test("Works for user with matching username to token", async function() {
+    const resp = await request(app)
+      .post(`/users/u1/jobs/1/interest`)
+      .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({ interested: 1 });
+  })
+
+  test("Then applying moves the interest to applied", async function() {
+    await request(app)
+      .post(`/users/u1/jobs/1/interest`)
+      .set("authorization", `Bearer ${u1Token}`);
+    const resp = await request(app)
+      .post(`/users/u1/jobs/1`)
+      .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({ applied: 1 });
+  })
+
+  test("Unauthorized for a different user", async function() {
+    const resp = await request(app)
+      .post(`/users/u1/jobs/1/interest`)
+      .set("authorization", `Bearer ${u2Token}`);
+
+    expect(resp.statusCode).toEqual(401);
+  })
+
+  test("NotFound if job missing", async function() {
+    const resp = await request(app)
+      .post(`/users/u1/jobs/0/interest`)
+      .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.statusCode).toEqual(404);
+  })
+
+  test("Bad request if the job is closed", async function() {
+    await request(app)
+      .post(`/jobs/1/close`)
+      .set("authorization", `Bearer ${adminToken}`);
+
+    const resp = await request(app)
+      .post(`/users/u1/jobs/1/interest`)
+      .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message).toEqual("Job 1 is not open for applications");
+  })
+})
+
+/**************** PATCH /users/:username/applications/:jobId ****************/
+
+describe("PATCH /users/:username/applications/:jobId", function() {
+
+  test("Admin can accept an application", async function() {
+    await request(app)
+      .post(`/users/u1/jobs/1`)
+      .set("authorization", `Bearer ${u1Token}`);
+    const resp = await request(app)
+      .patch(`/users/u1/applications/1`)
+      .send({ state: "accepted" })
+      .set("authorization", `Bearer ${adminToken}`);
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      application: {
+        username: "u1",
+        jobId: 1,
+        state: "accepted",
+        appliedAt: expect.any(String),
+        updatedAt: expect.any(String)
+      }
+    });
+  })
+
+  test("User can move an interest to applied", async function() {
+    await request(app)
+      .post(`/users/u1/jobs/1/interest`)
+      .set("authorization", `Bearer ${u1Token}`);
+    const resp = await request(app)
+      .patch(`/users/u1/applications/1`)
+      .send({ state: "applied" })
+      .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.application.state).toEqual("applied");
+  })
+
+  test("BadRequest moving an interest to applied once the job is closed", async function() {
+    await request(app)
+      .post(`/users/u1/jobs/1/interest`)
+      .set("authorization", `Bearer ${u1Token}`);
+    await request(app)
+      .post(`/jobs/1/close`)
+      .set("authorization", `Bearer ${adminToken}`);
+    const resp = await request(app)
+      .patch(`/users/u1/applications/1`)
+      .send({ state: "applied" })
+      .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message).toEqual("Job 1 is not open for applications");
+  })
+
+  test("Admin can still accept an application once the job is closed", async function() {
+    await request(app)
+      .post(`/users/u1/jobs/1`)
+      .set("authorization", `Bearer ${u1Token}`);
+    await request(app)
+      .post(`/jobs/1/close`)
+      .set("authorization", `Bearer ${adminToken}`);
+    const resp = await request(app)
+      .patch(`/users/u1/applications/1`)
+      .send({ state: "accepted" })
+      .set("authorization", `Bearer ${adminToken}`);
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.application.state).toEqual("accepted");
+  })
+
+  test("Unauthorized for user rejecting", async function() {
+    await request(app)
+      .post(`/users/u1/jobs/1`)
+      .set("authorization", `Bearer ${u1Token}`);
+    const resp = await request(app)
+      .patch(`/users/u1/applications/1`)
+      .send({ state: "rejected" })
+      .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.statusCode).toEqual(401);
+  })
+
+  test("BadRequest on illegal move", async function() {
+    await request(app)
+      .post(`/users/u1/jobs/1`)
+      .set("authorization", `Bearer ${u1Token}`);
+    await request(app)
+      .patch(`/users/u1/applications/1`)
+      .send({ state: "rejected" })
+      .set("authorization", `Bearer ${adminToken}`);
+    const resp = await request(app)
+      .patch(`/users/u1/applications/1`)
+      .send({ state: "applied" })
+      .set("authorization", `Bearer ${adminToken}`);
+
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message).toEqual(
+      "Cannot move application for job ID: 1 from rejected to applied");
+  })
+
+  test("BadRequest on invalid state", async function() {
+    const resp = await request(app)
+      .patch(`/users/u1/applications/1`)
+      .send({ state: "hired" })
+      .set("authorization", `Bearer ${adminToken}`);
+
+    expect(resp.statusCode).toEqual(400);
+  })
+
+  test("NotFound if no application", async function() {
+    const resp = await request(app)
+      .patch(`/users/u1/applications/1`)
+      .send({ state: "accepted" })
+      .set("authorization", `Bearer ${adminToken}`);
+
+    expect(resp.statusCode).toEqual(404);
+  })
+})
+
+/**************** GET /users/:username/applications/:jobId/history ****************/
+
+describe("GET /users/:username/applications/:jobId/history", function() {
+
+  test("Works for user with matching username to token", async function() {
+    await request(app)
+      .post(`/users/u1/jobs/1`)
+      .set("authorization", `Bearer ${u1Token}`);
+    await request(app)
+      .patch(`/users/u1/applications/1`)
+      .send({ state: "rejected", note: "Not enough experience" })
+      .set("authorization", `Bearer ${adminToken}`);
+
+    const resp = await request(app)
+      .get(`/users/u1/applications/1/history`)
+      .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      history: [
+        {
+          fromState: null,
+          toState: "applied",
+          changedBy: "u1",
+          note: null,
+          changedAt: expect.any(String)
+        },
+        {
+          fromState: "applied",
+          toState: "rejected",
+          changedBy: "a1",
+          note: "Not enough experience",
+          changedAt: expect.any(String)
+        }
+      ]
+    });
+  })
+
+  test("Records admin applying for a user", async function() {
+    await request(app)
+      .post(`/users/u1/jobs/1`)
+      .set("authorization", `Bearer ${adminToken}`);
+
+    const resp = await request(app)
+      .get(`/users/u1/applications/1/history`)
+      .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.body.history[0].changedBy).toEqual("a1");
+  })
+
+  test("Unauthorized for a different user", async function() {
+    const resp = await request(app)
+      .get(`/users/u1/applications/1/history`)
+      .set("authorization", `Bearer ${u2Token}`);
+
+    expect(resp.statusCode).toEqual(401);
+  })
+
+  test("NotFound if no application", async function() {
+    const resp = await request(app)
+      .get(`/users/u1/applications/1/history`)
+      .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.statusCode).toEqual(404);
+  })
+})
+
+/**************** GET /users/:username/applications ****************/
+
+describe("GET /users/:username/applications", function() {
+
+  test("Works for user with matching username to token", async function() {
+    await request(app)
+      .post(`/users/u1/jobs/1`)
+      .set("authorization", `Bearer ${u1Token}`);
+    await request(app)
+      .post(`/users/u1/jobs/2/interest`)
+      .set("authorization", `Bearer ${u1Token}`);
+
+    const resp = await request(app)
+      .get(`/users/u1/applications?state=applied`)
+      .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      applications: [
+        {
+          id: 1,
+          title: "Test Job",
+          companyHandle: "c1",
+          companyName: "C1",
+          state: "applied",
+          appliedAt: expect.any(String),
+          updatedAt: expect.any(String)
+        }
+      ]
+    });
+  })
+
+  test("Shows up in the user's jobs", async function() {
+    await request(app)
+      .post(`/users/u1/jobs/1`)
+      .set("authorization", `Bearer ${u1Token}`);
+
+    const resp = await request(app)
+      .get(`/users/u1`)
+      .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.body.user.jobs.map(j => j.id)).toEqual([1]);
+  })
+
+  test("BadRequest on a state that isn't one", async function() {
+    const resp = await request(app)
+      .get(`/users/u1/applications?state=constructor`)
+      .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.statusCode).toEqual(400);
+  })
+
+  test("BadRequest on unknown filter", async function() {
+    const resp = await request(app)
+      .get(`/users/u1/applications?title=test`)
+      .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.statusCode).toEqual(400);
+  })
+
+  test("BadRequest on invalid sort", async function() {
+    const resp = await request(app)
+      .get(`/users/u1/applications?sort=title`)
+      .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.statusCode).toEqual(400);
+  })
+
+  test("BadRequest on repeated sort", async function() {
+    const resp = await request(app)
+      .get(`/users/u1/applications?sort=appliedAt&sort=-updatedAt`)
+      .set("authorization", `Bearer ${u1Token}`);
+
+    expect(resp.statusCode).toEqual(400);
+  })
+
+  test("Unauthorized for a different user", async function() {
+    const resp = await request(app)
+      .get(`/users/u1/applications`)
+      .set("authorization", `Bearer ${u2Token}`);
+
+    expect(resp.statusCode).toEqual(401);
+  })
+
+  test("NotFound if user missing", async function() {
+    const resp = await request(app)
+      .get(`/users/nope/applications`)
+      .set("authorization", `Bearer ${adminToken}`);
+
+    expect(resp.statusCode).toEqual(404);
+  })
+})
+
+/**************** DELETE /users/:username/jobs/:jobId ****************/
+
+describe("DELETE /users/:username/jobs/:jobId", function() {
+
+  test("Works for user with matching username to token", async function() {
+    await request(app)
+      .post(`/users/u1/jobs/1`)
+      .set("authorization", `Bearer ${u1Token}`);
+
+    const resp = await request(app)
+      .delete(`/users/u1/jobs/1`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({ withdrawn: 1 });
+
+    const histResp = await request(app)
+      .get(`/users/u1/applications/1/history`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(histResp.body.history.map(h => h.toState)).toEqual(["applied", "withdrawn"]);
+  })
+
+  test("Works for admin", async function() {
+    await request(app)
+      .post(`/users/u1/jobs/1`)
+      .set("authorization", `Bearer ${u1Token}`);
+
+    const resp = await request(app)
+      .delete(`/users/u1/jobs/1`)
+      .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ withdrawn: 1 });
+  })
+
+  test("BadRequest once accepted", async function() {
+    await request(app)
+      .post(`/users/u1/jobs/1`)
+      .set("authorization", `Bearer ${u1Token}`);
+    await request(app)
+      .patch(`/users/u1/applications/1`)
+      .send({ state: "accepted" })
+      .set("authorization", `Bearer ${adminToken}`);
+
+    const resp = await request(app)
+      .delete(`/users/u1/jobs/1`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  })
+
+  test("Unauthorized for a different user", async function() {
+    const resp = await request(app)
+      .delete(`/users/u1/jobs/1`)
+      .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(401);
+  })
+
+  test("NotFound if no application", async function() {
+    const resp = await request(app)
+      .delete(`/users/u1/jobs/1`)
+      .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
   })
-})
\ No newline at end of file
+})